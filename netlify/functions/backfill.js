@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { runBackfill, toCsv } = require('../lib/backfill');
+const { getScheduledFunctionDeadline } = require('../lib/retry');
+const { getStore, withStore } = require('../lib/store');
+const log = require('../lib/logger');
+const { withRequestLogging } = log;
+const { withRequestMetrics } = require('../lib/metrics');
+
+// Tracking backfill and audit (see lib/backfill.js), two ways:
+//
+// Scheduled (see netlify.toml): covers shipments shipped in the last
+// BACKFILL_DAYS days (default 2) and keeps the report in the "backfill" store
+// under report:<YYYY-MM-DD> as { ...report, csv }. A run that runs out of time
+// leaves a cursor ({ from, nextPage }) in the same store, and the next run
+// carries on from that page with the range stretched to today instead of
+// starting a new window. Shipments are paged oldest first, so the pages before
+// nextPage are still the ones already done.
+//
+// From the command line, for any range, with the same environment variables
+// as the deployed functions:
+//   node netlify/functions/backfill.js --from 2024-01-01 --to 2024-01-31
+//     [--page 3]          resume from a page (a report's nextPage)
+//     [--out reports]     directory for backfill-<from>-<to>.json and .csv
+//                         (default: the current directory)
+//     [--max-minutes 30]  stop between pages after this long
+
+// Time kept back to save the report
+const REPORT_MARGIN_MS = 2000;
+const DEFAULT_BACKFILL_DAYS = 2;
+const CURSOR_KEY = 'cursor';
+const DEFAULT_CLI_MAX_MINUTES = 30;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+exports.handler = withRequestLogging('backfill', withRequestMetrics('backfill', withStore(async (event, context) => {
+  const deadline = getScheduledFunctionDeadline(context) - REPORT_MARGIN_MS;
+  const days = Number(process.env.BACKFILL_DAYS) || DEFAULT_BACKFILL_DAYS;
+  const store = getStore('backfill');
+
+  try {
+    const cursor = await store.get(CURSOR_KEY);
+    if (cursor) {
+      log.info('Resuming unfinished backfill', { from: cursor.from, nextPage: cursor.nextPage });
+    }
+
+    const report = await runBackfill({
+      from: cursor ? cursor.from : formatDate(Date.now() - (days - 1) * 24 * 60 * 60 * 1000),
+      to: formatDate(Date.now()),
+      startPage: cursor ? cursor.nextPage : 1,
+      deadline
+    });
+
+    await store.set(`report:${report.startedAt.slice(0, 10)}`, { ...report, csv: toCsv(report.rows) });
+    if (report.complete) {
+      await store.delete(CURSOR_KEY);
+    } else {
+      await store.set(CURSOR_KEY, { from: report.from, nextPage: report.nextPage });
+    }
+    log.info('Backfill done', { complete: report.complete, nextPage: report.nextPage, ...report.summary });
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ complete: report.complete, nextPage: report.nextPage, summary: report.summary })
+    };
+  } catch (error) {
+    log.error('Backfill failed', { error: error });
+    return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+  }
+})));
+
+async function runFromCommandLine(argv) {
+  const args = parseArgs(argv);
+  if (!DATE_REGEX.test(args.from || '') || !DATE_REGEX.test(args.to || '')) {
+    console.error('Usage: node netlify/functions/backfill.js --from YYYY-MM-DD --to YYYY-MM-DD ' +
+      '[--page N] [--out DIR] [--max-minutes N]');
+    return 2;
+  }
+
+  const maxMinutes = Number(args['max-minutes']) || DEFAULT_CLI_MAX_MINUTES;
+  const report = await runBackfill({
+    from: args.from,
+    to: args.to,
+    startPage: Number(args.page) || 1,
+    deadline: Date.now() + maxMinutes * 60 * 1000
+  });
+
+  const outDir = args.out || process.cwd();
+  const baseName = path.join(outDir, `backfill-${args.from}-${args.to}`);
+  await fs.promises.mkdir(outDir, { recursive: true });
+  await fs.promises.writeFile(`${baseName}.json`, JSON.stringify(report, null, 2) + '\n');
+  await fs.promises.writeFile(`${baseName}.csv`, toCsv(report.rows));
+
+  log.info('Backfill done', {
+    complete: report.complete,
+    nextPage: report.nextPage,
+    report: `${baseName}.json`,
+    ...report.summary
+  });
+  return 0;
+}
+
+// --name value pairs
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+if (require.main === module) {
+  runFromCommandLine(process.argv.slice(2))
+    .then(exitCode => {
+      process.exitCode = exitCode;
+    })
+    .catch(error => {
+      log.error('Backfill failed', { error: error });
+      process.exitCode = 1;
+    });
+}
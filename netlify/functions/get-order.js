@@ -1,15 +1,55 @@
-exports.handler = async (event, context) => {
+const { getShipmentsWithTracking } = require('../lib/tracking');
+const { hasTrackingProviders } = require('../lib/tracking-providers');
+const { buildShipments, aggregateOrderStatus, getArrivesBy } = require('../lib/order-status');
+const { describeOrderStatus } = require('../lib/order-states');
+const { guardLookup, findOrder, getOrderById, buildOrderResponse, RESPONSE_MARGIN_MS } = require('../lib/order-lookup');
+const { getOrderSources, hasOrderSources } = require('../lib/order-sources');
+const { formatCacheStatus } = require('../lib/cache');
+const { UpstreamBusyError, getFunctionDeadline, sleep } = require('../lib/retry');
+const { getClientIp, recordFailedLookup } = require('../lib/rate-limit');
+const { getCorsHeaders } = require('../lib/cors');
+const { signToken, verifyToken } = require('../lib/tokens');
+const { sendMail } = require('../lib/mailer');
+const { createShareUrl, verifyShareToken } = require('../lib/share-links');
+const { withStore } = require('../lib/store');
+const log = require('../lib/logger');
+const { withRequestLogging } = log;
+const metrics = require('../lib/metrics');
+const { withRequestMetrics } = metrics;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEFAULT_RECENT_ORDERS_LIMIT = 10;
+const DEFAULT_MAGIC_LINK_TTL_MINUTES = 30;
+// Email-only lookups answer no sooner than this whether or not a link was
+// sent, so response times don't give away which addresses are customers
+const EMAIL_LOOKUP_MIN_RESPONSE_MS = 2500;
+
+exports.handler = withRequestLogging('get-order', withRequestMetrics('get-order', withStore(async (event, context) => {
   // Set longer timeout for Netlify function
   context.callbackWaitsForEmptyEventLoop = false;
   
-  // CORS headers for your domain
+  // Everything, including 17track polling, has to finish before this
+  const deadline = getFunctionDeadline(context);
+  
+  // CORS headers for the allowed origins (CORS_ALLOWED_ORIGINS)
+  const cors = getCorsHeaders(event, {
+    allowMethods: 'GET, POST, OPTIONS',
+    exposeHeaders: 'X-Cache-Status, Retry-After, X-Request-Id'
+  });
   const headers = {
-    'Access-Control-Allow-Origin': 'https://www.cameupinthedrought.com',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    ...cors.headers,
     'Content-Type': 'application/json'
   };
 
+  // Reject browsers calling from origins outside the allowlist
+  if (!cors.allowed) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ error: 'Origin not allowed' })
+    };
+  }
+
   // Handle preflight OPTIONS request
   if (event.httpMethod === 'OPTIONS') {
     return {
@@ -19,8 +59,8 @@ exports.handler = async (event, context) => {
     };
   }
 
-  // Only allow POST requests
-  if (event.httpMethod !== 'POST') {
+  // POST for lookups, GET for shareable links
+  if (event.httpMethod !== 'POST' && event.httpMethod !== 'GET') {
     return {
       statusCode: 405,
       headers,
@@ -29,14 +69,18 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    console.log('=== FUNCTION START ===');
+    // Shareable tracking link: GET ?share=<token>
+    if (event.httpMethod === 'GET') {
+      const shareToken = (event.queryStringParameters || {}).share;
+      return await lookupByShareToken(shareToken, { headers, deadline });
+    }
     
     // Parse request body
     let requestBody;
     try {
       requestBody = JSON.parse(event.body || '{}');
     } catch (parseError) {
-      console.error('JSON parse error:', parseError);
+      log.warn('Invalid JSON in request body', { error: parseError });
       return {
         statusCode: 400,
         headers,
@@ -44,8 +88,21 @@ exports.handler = async (event, context) => {
       };
     }
 
+    const clientIp = getClientIp(event);
+    
+    // Alternative lookup modes: magic-link token, tracking number, email only
+    if (requestBody.accessToken) {
+      return await lookupRecentOrders(requestBody.accessToken, { headers, deadline });
+    }
+    if (requestBody.trackingNumber) {
+      return await lookupByTrackingNumber(requestBody, { headers, clientIp, deadline });
+    }
+    if (requestBody.email && !requestBody.orderNumber) {
+      return await sendRecentOrdersLink(requestBody, { headers, clientIp, deadline });
+    }
+    
     const { orderNumber, email } = requestBody;
-    console.log(`Processing request for order: ${orderNumber}, email: ${email}`);
+    log.info('Order lookup', { orderNumber: orderNumber });
 
     // Validate inputs
     if (!orderNumber || !email) {
@@ -68,8 +125,7 @@ exports.handler = async (event, context) => {
     }
 
     // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(cleanEmail)) {
+    if (!EMAIL_REGEX.test(cleanEmail)) {
       return {
         statusCode: 400,
         headers,
@@ -85,282 +141,67 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Get API credentials
-    const apiKey = process.env.SHIPSTATION_API_KEY;
-    const apiSecret = process.env.SHIPSTATION_API_SECRET;
-    const seventeenTrackKey = process.env.SEVENTEEN_TRACK_API_KEY;
-
-    if (!apiKey || !apiSecret) {
-      console.error('Missing ShipStation API credentials');
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({ error: 'Server configuration error' })
-      };
-    }
-
-    console.log('17track API Key configured:', seventeenTrackKey ? 'YES' : 'NO');
-
-    // Create auth header for ShipStation
-    const auth = Buffer.from(`${apiKey}:${apiSecret}`).toString('base64');
-    
-    // Search for order
-    const searchParams = new URLSearchParams({
-      orderNumber: cleanOrderNumber,
-      customerEmail: cleanEmail
-    });
-
-    console.log(`=== SEARCHING SHIPSTATION ===`);
-    
-    // Get order from ShipStation
-    const orderData = await makeShipStationRequest(`/orders?${searchParams}`, auth);
-
-    if (!orderData.orders || orderData.orders.length === 0) {
-      console.log('No orders found in ShipStation');
-      return {
-        statusCode: 404,
-        headers,
-        body: JSON.stringify({ error: 'Order not found. Please check your order number and email address and try again.' })
-      };
+    // Throttle per client IP and per IP + order number, with lockout after failed matches
+    const blockedResponse = await guardLookup(clientIp, cleanOrderNumber, requestBody, headers);
+    if (blockedResponse) {
+      return blockedResponse;
     }
 
-    // Find exact match
-    const exactMatch = orderData.orders.find(order => {
-      const orderMatches = order.orderNumber === cleanOrderNumber;
-      const emailMatches = order.customerEmail.toLowerCase() === cleanEmail.toLowerCase();
-      return orderMatches && emailMatches;
-    });
-
-    if (!exactMatch) {
-      console.log('No exact match found');
-      return {
-        statusCode: 404,
-        headers,
-        body: JSON.stringify({ error: 'Order not found. Please check your order number and email address and try again.' })
-      };
+    if (!hasOrderSources()) {
+      return configurationErrorResponse(headers);
     }
 
-    const order = exactMatch;
-    console.log(`=== ORDER FOUND ===`);
-    console.log(`Order: ${order.orderNumber}, Status: ${order.orderStatus}`);
-
-    // Get shipments - always check regardless of order status
-    let shipments = [];
-    let effectiveOrderStatus = order.orderStatus;
+    // Which lookups were answered from cache, reported in X-Cache-Status
+    const cacheStatus = {};
     
-    try {
-      console.log(`=== FETCHING SHIPMENTS ===`);
-      const shipmentData = await makeShipStationRequest(`/shipments?orderNumber=${cleanOrderNumber}`, auth);
-      
-      if (shipmentData.shipments && shipmentData.shipments.length > 0) {
-        console.log(`Found ${shipmentData.shipments.length} shipments`);
-        
-        if (seventeenTrackKey) {
-          console.log('=== USING 17TRACK V2.2 ===');
-          
-          try {
-            const trackedShipments = await getShipmentsWithTracking(
-              shipmentData.shipments, 
-              seventeenTrackKey
-            );
-            
-            console.log('=== 17TRACK V2.2 COMPLETE ===');
-            
-            // Process shipments and determine overall order status
-            let hasDeliveredShipments = false;
-            let hasInTransitShipments = false;
-            let hasActuallyShippedShipments = false;
-            
-            trackedShipments.forEach((shipment, index) => {
-              const trackingUrl = generateTrackingUrl(shipment.carrierCode, shipment.trackingNumber, shipment.carrier17trackName);
-              const carrierName = getStandardCarrierName(shipment.carrierCode, shipment.carrier17trackName);
-              
-              // Determine shipment status from 17track v2.2 data
-              let shipmentStatus = 'processing';
-              if (shipment.isDelivered) {
-                shipmentStatus = 'delivered';
-                hasDeliveredShipments = true;
-              } else if (shipment.actuallyShipped) {
-                shipmentStatus = 'shipped';
-                hasInTransitShipments = true;
-                hasActuallyShippedShipments = true;
-              }
-              
-              shipments.push({
-                shipmentId: shipment.shipmentId,
-                trackingNumber: shipment.trackingNumber,
-                trackingUrl: trackingUrl,
-                carrierCode: shipment.carrierCode,
-                carrierName: carrierName,
-                shipDate: shipment.shipDate,
-                deliveryDate: shipment.deliveryDate || null,
-                isDelivered: shipment.isDelivered,
-                shipmentNumber: index + 1,
-                totalShipments: trackedShipments.length,
-                latestActivity: shipment.latestActivity || null,
-                items: shipment.shipmentItems || [],
-                status: shipmentStatus,
-                trackingStatus: shipment.trackingStatus || ''
-              });
-            });
-            
-            // Determine overall order status based on 17track data
-            if (hasDeliveredShipments && trackedShipments.every(s => s.isDelivered)) {
-              effectiveOrderStatus = 'delivered';
-              console.log('📦 All shipments delivered');
-            } else if (hasDeliveredShipments) {
-              effectiveOrderStatus = 'partially_delivered';
-              console.log('📦 Some shipments delivered');
-            } else if (hasInTransitShipments) {
-              effectiveOrderStatus = 'shipped';
-              console.log('📦 Shipments in transit');
-            } else if (trackedShipments.length > 0 && !hasActuallyShippedShipments) {
-              effectiveOrderStatus = 'awaiting_fulfillment';
-              console.log('📦 Labels created but not shipped');
-            }
-            
-          } catch (trackingError) {
-            console.error('17track processing failed:', trackingError);
-            console.log('Falling back to ShipStation data only');
-            
-            // Fallback to ShipStation data
-            let hasDeliveredShipments = false;
-            let hasInTransitShipments = false;
-            let hasActuallyShippedShipments = false;
-            
-            shipmentData.shipments.forEach((shipment, index) => {
-              const trackingUrl = generateTrackingUrl(shipment.carrierCode, shipment.trackingNumber);
-              const carrierName = getStandardCarrierName(shipment.carrierCode);
-              const isDelivered = checkShipmentDeliveryStatus(shipment);
-              // In fallback mode, assume shipped if there's a tracking number
-              const actuallyShipped = shipment.trackingNumber ? true : false;
-              
-              // Update status tracking
-              if (isDelivered) {
-                hasDeliveredShipments = true;
-              } else if (actuallyShipped) {
-                hasInTransitShipments = true;
-                hasActuallyShippedShipments = true;
-              }
-              
-              shipments.push({
-                shipmentId: shipment.shipmentId,
-                trackingNumber: shipment.trackingNumber,
-                trackingUrl: trackingUrl,
-                carrierCode: shipment.carrierCode,
-                carrierName: carrierName,
-                shipDate: shipment.shipDate,
-                deliveryDate: shipment.deliveryDate || null,
-                isDelivered: isDelivered,
-                actuallyShipped: actuallyShipped,
-                shipmentNumber: index + 1,
-                totalShipments: shipmentData.shipments.length,
-                items: shipment.shipmentItems || []
-              });
-            });
-            
-            // Determine overall order status based on fallback data
-            if (hasDeliveredShipments && shipmentData.shipments.every(s => checkShipmentDeliveryStatus(s))) {
-              effectiveOrderStatus = 'delivered';
-              console.log('📦 All shipments delivered (fallback data)');
-            } else if (hasDeliveredShipments) {
-              effectiveOrderStatus = 'partially_delivered';
-              console.log('📦 Some shipments delivered (fallback data)');
-            } else if (hasInTransitShipments) {
-              effectiveOrderStatus = 'shipped';
-              console.log('📦 Shipments in transit (fallback data)');
-            } else if (shipmentData.shipments.length > 0 && !hasActuallyShippedShipments) {
-              effectiveOrderStatus = 'awaiting_fulfillment';
-              console.log('📦 Labels created but not shipped (fallback data)');
-            }
-          }
-          
-        } else {
-          // No 17track configured
-          console.log('17track not configured, using ShipStation data only');
-          
-          let hasDeliveredShipments = false;
-          let hasInTransitShipments = false;
-          let hasActuallyShippedShipments = false;
-          
-          shipmentData.shipments.forEach((shipment, index) => {
-            const trackingUrl = generateTrackingUrl(shipment.carrierCode, shipment.trackingNumber);
-            const carrierName = getStandardCarrierName(shipment.carrierCode);
-            const isDelivered = checkShipmentDeliveryStatus(shipment);
-            // Without 17track, assume shipped if there's a tracking number, otherwise processing
-            const actuallyShipped = shipment.trackingNumber ? true : false;
-            
-            // Update status tracking
-            if (isDelivered) {
-              hasDeliveredShipments = true;
-            } else if (actuallyShipped) {
-              hasInTransitShipments = true;
-              hasActuallyShippedShipments = true;
-            }
-            
-            shipments.push({
-              shipmentId: shipment.shipmentId,
-              trackingNumber: shipment.trackingNumber,
-              trackingUrl: trackingUrl,
-              carrierCode: shipment.carrierCode,
-              carrierName: carrierName,
-              shipDate: shipment.shipDate,
-              deliveryDate: shipment.deliveryDate || null,
-              isDelivered: isDelivered,
-              actuallyShipped: actuallyShipped,
-              shipmentNumber: index + 1,
-              totalShipments: shipmentData.shipments.length,
-              items: shipment.shipmentItems || []
-            });
-          });
-          
-          // Determine overall order status based on ShipStation data
-          if (hasDeliveredShipments && shipmentData.shipments.every(s => checkShipmentDeliveryStatus(s))) {
-            effectiveOrderStatus = 'delivered';
-            console.log('📦 All shipments delivered (ShipStation data)');
-          } else if (hasDeliveredShipments) {
-            effectiveOrderStatus = 'partially_delivered';
-            console.log('📦 Some shipments delivered (ShipStation data)');
-          } else if (hasInTransitShipments) {
-            effectiveOrderStatus = 'shipped';
-            console.log('📦 Shipments in transit (ShipStation data)');
-          } else if (shipmentData.shipments.length > 0 && !hasActuallyShippedShipments) {
-            effectiveOrderStatus = 'awaiting_fulfillment';
-            console.log('📦 Labels created but not shipped (ShipStation data)');
-          }
-        }
-      } else {
-        console.log('No shipments found for this order');
-      }
-    } catch (shipmentError) {
-      console.error('Error fetching shipment info:', shipmentError);
+    const orderResult = await findOrder(cleanOrderNumber, cleanEmail, { deadline });
+    cacheStatus.order = orderResult.cacheStatus;
+
+    if (!orderResult.order) {
+      log.info('No matching order found', { orderNumber: cleanOrderNumber });
+      await recordFailedLookup(clientIp);
+      return orderNotFoundResponse(headers);
     }
 
-    console.log(`=== FINAL RESULT ===`);
-    console.log(`Effective status: ${effectiveOrderStatus}`);
-    console.log(`Total shipments: ${shipments.length}`);
+    const order = orderResult.order;
+    log.info('Order found', { orderNumber: order.orderNumber, source: order.source, orderStatus: order.orderStatus });
 
-    // Format response
-    const response = {
-      orderNumber: order.orderNumber,
-      customerEmail: order.customerEmail,
-      orderDate: order.orderDate,
-      orderStatus: effectiveOrderStatus.toLowerCase(),
-      shipments: shipments
-    };
+    const response = await buildOrderResponse(order, {
+      deadline,
+      cacheStatus
+    });
+    // The link hides the customer's details unless they ask for a full one
+    // with "shareRedacted": false
+    response.shareUrl = createShareUrl(order, { redact: requestBody.shareRedacted !== false });
 
-    console.log('=== SENDING RESPONSE ===');
+    log.debug('Sending response', { cache: formatCacheStatus(cacheStatus) });
 
     return {
       statusCode: 200,
-      headers,
+      headers: {
+        ...headers,
+        'X-Cache-Status': formatCacheStatus(cacheStatus)
+      },
       body: JSON.stringify(response)
     };
 
   } catch (error) {
-    console.error('=== FUNCTION ERROR ===');
-    console.error('Error details:', error);
-    console.error('Stack trace:', error.stack);
+    if (error instanceof UpstreamBusyError) {
+      log.warn('Upstream busy', { error: error, retryAfterSeconds: error.retryAfterSeconds });
+      return {
+        statusCode: 503,
+        headers: {
+          ...headers,
+          'Retry-After': String(error.retryAfterSeconds)
+        },
+        body: JSON.stringify({
+          error: `Order tracking is temporarily busy. Please try again in ${error.retryAfterSeconds} seconds.`,
+          retryAfter: error.retryAfterSeconds
+        })
+      };
+    }
+    
+    log.error('Order lookup failed', { error: error });
     
     return {
       statusCode: 500,
@@ -371,439 +212,296 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
+})));
 
-// CORRECTED: 17track v2.2 implementation
-async function getShipmentsWithTracking(shipments, apiKey) {
-  const trackedShipments = [];
-  
-  console.log(`\n=== STARTING 17TRACK V2.2 PROCESSING ===`);
-  console.log(`Processing ${shipments.length} shipments`);
-  
-  for (const shipment of shipments) {
-    if (!shipment.trackingNumber) {
-      console.log(`Shipment ${shipment.shipmentId} has no tracking number`);
-      trackedShipments.push({
-        ...shipment,
-        actuallyShipped: false,
-        isDelivered: false,
-        trackingStatus: '',
-        latestActivity: null
-      });
-      continue;
-    }
-    
-    try {
-      console.log(`\n--- Processing: ${shipment.trackingNumber} ---`);
-      
-      // Step 1: Try to get existing tracking data
-      console.log(`Step 1: Getting existing data for ${shipment.trackingNumber}`);
-      let trackingData = await makeSeventeenTrackV22Request('/gettrackinfo', [{
-        number: shipment.trackingNumber
-        // NO carrier - let it auto-detect
-      }], apiKey);
-      
-      // Check if we got data - CORRECTED: latest_status is inside track_info
-      let hasValidData = false;
-      if (trackingData && trackingData.data && trackingData.data.accepted && trackingData.data.accepted.length > 0) {
-        const acceptedData = trackingData.data.accepted[0];
-        // Check if we have actual tracking info (not just registration)
-        hasValidData = acceptedData.track_info && 
-                      acceptedData.track_info.latest_status && 
-                      acceptedData.track_info.latest_status.status;
-        
-        if (hasValidData) {
-          console.log(`✅ Found valid tracking data: ${acceptedData.track_info.latest_status.status}`);
-        }
-      }
-      
-      // Step 2: If no data, register and wait
-      if (!hasValidData) {
-        console.log(`Step 2: Registering ${shipment.trackingNumber} with 17track v2.2`);
-        
-        const registerResponse = await makeSeventeenTrackV22Request('/register', [{
-          number: shipment.trackingNumber
-          // NO carrier - let it auto-detect (80% success rate)
-        }], apiKey);
-        
-        console.log(`Register response:`, JSON.stringify(registerResponse, null, 2));
-        
-        // Check if registration was successful
-        if (registerResponse && registerResponse.data && registerResponse.data.accepted && registerResponse.data.accepted.length > 0) {
-          console.log(`✅ Registration successful for ${shipment.trackingNumber}`);
-          
-          // Step 3: Wait and retry to get tracking data
-          for (let attempt = 0; attempt < 3; attempt++) {
-            console.log(`Step 3: Polling attempt ${attempt + 1} for ${shipment.trackingNumber}`);
-            
-            if (attempt > 0) {
-              await new Promise(resolve => setTimeout(resolve, 3000)); // 3 second wait
-            }
-            
-            trackingData = await makeSeventeenTrackV22Request('/gettrackinfo', [{
-              number: shipment.trackingNumber
-            }], apiKey);
-            
-            console.log(`Attempt ${attempt + 1} response:`, JSON.stringify(trackingData, null, 2));
-            
-            if (trackingData && trackingData.data && trackingData.data.accepted && trackingData.data.accepted.length > 0) {
-              const acceptedData = trackingData.data.accepted[0];
-              if (acceptedData.track_info && acceptedData.track_info.latest_status && acceptedData.track_info.latest_status.status) {
-                console.log(`✅ Got tracking data for ${shipment.trackingNumber} on attempt ${attempt + 1}`);
-                hasValidData = true;
-                break;
-              }
-            }
-          }
-        } else {
-          console.log(`❌ Registration failed for ${shipment.trackingNumber}`);
-          if (registerResponse && registerResponse.data && registerResponse.data.rejected && registerResponse.data.rejected.length > 0) {
-            console.log(`Rejection reason:`, registerResponse.data.rejected[0]);
-          }
-        }
-      } else {
-        console.log(`✅ Found existing data for ${shipment.trackingNumber}`);
-      }
-      
-      // Step 4: Process the tracking data using v2.2 format - CORRECTED PATHS
-      let actuallyShipped = false;
-      let isDelivered = false;
-      let deliveryDate = null;
-      let latestActivity = null;
-      let trackingStatus = '';
-      
-      if (hasValidData && trackingData.data.accepted.length > 0) {
-        const acceptedData = trackingData.data.accepted[0];
-        
-        console.log(`📊 v2.2 Analysis for ${shipment.trackingNumber}:`);
-        console.log(`Track Info:`, JSON.stringify(acceptedData.track_info, null, 2));
-        
-        if (acceptedData.track_info && acceptedData.track_info.latest_status) {
-          const latestStatus = acceptedData.track_info.latest_status;
-          trackingStatus = latestStatus.status || '';
-          const subStatus = latestStatus.sub_status || '';
-          
-          console.log(`Status: "${trackingStatus}", Sub-status: "${subStatus}"`);
-          
-          // v2.2 Status interpretation based on documentation
-          switch (trackingStatus.toLowerCase()) {
-            case 'delivered':
-              actuallyShipped = true;
-              isDelivered = true;
-              // Get delivery date from latest_event
-              if (acceptedData.track_info.latest_event && acceptedData.track_info.latest_event.time_iso) {
-                deliveryDate = acceptedData.track_info.latest_event.time_iso;
-              }
-              break;
-              
-            case 'intransit':
-            case 'in_transit':
-              actuallyShipped = true;
-              isDelivered = false;
-              break;
-              
-            case 'pickup':
-            case 'picked_up':
-              actuallyShipped = true;
-              isDelivered = false;
-              break;
-              
-            case 'undelivered':
-            case 'exception':
-            case 'alert':
-              actuallyShipped = true; // Package was moving but had issues
-              isDelivered = false;
-              break;
-              
-            case 'pending':
-            case 'info_received':
-            case 'inforeceived':
-            case 'not_found':
-            default:
-              actuallyShipped = false;
-              isDelivered = false;
-              break;
-          }
-          
-          // Get latest activity from latest_event
-          if (acceptedData.track_info.latest_event) {
-            const latestEvent = acceptedData.track_info.latest_event;
-            latestActivity = {
-              status: latestEvent.description || trackingStatus,
-              location: latestEvent.location || '',
-              time: latestEvent.time_iso || latestEvent.time_utc || '',
-              description: latestEvent.description || trackingStatus
-            };
-          } else {
-            // Fallback to latest_status
-            latestActivity = {
-              status: trackingStatus,
-              location: '',
-              time: '',
-              description: trackingStatus
-            };
-          }
-          
-          // Special handling for sub-status
-          if (subStatus.toLowerCase().includes('pickedup') || subStatus.toLowerCase().includes('picked_up')) {
-            actuallyShipped = true;
-          }
-          
-          console.log(`📦 Final v2.2 result: ${shipment.trackingNumber} shipped=${actuallyShipped}, delivered=${isDelivered}, status="${trackingStatus}"`);
-        } else {
-          console.log(`❌ No track_info.latest_status found for ${shipment.trackingNumber}`);
-        }
-      }
-      
-      trackedShipments.push({
-        ...shipment,
-        actuallyShipped: actuallyShipped,
-        isDelivered: isDelivered,
-        deliveryDate: deliveryDate || shipment.deliveryDate,
-        trackingStatus: trackingStatus,
-        latestActivity: latestActivity,
-        carrier17trackName: get17trackCarrierName(trackingData) // Add 17track carrier name
-      });
-      
-    } catch (error) {
-      console.error(`❌ Failed ${shipment.trackingNumber}:`, error.message);
-      
-      // Return fallback data
-      trackedShipments.push({
-        ...shipment,
-        actuallyShipped: true, // Assume shipped if we can't verify
-        isDelivered: checkShipmentDeliveryStatus(shipment),
-        trackingStatus: 'error',
-        latestActivity: null
-      });
-    }
+// Resolve a shareable link to the same response as the order + email lookup.
+// Links are created redacted by default, so whoever they were forwarded to
+// doesn't see the customer's email.
+async function lookupByShareToken(shareToken, { headers, deadline }) {
+  log.info('Share link lookup');
+
+  if (!hasOrderSources() || !process.env.TOKEN_SECRET) {
+    return configurationErrorResponse(headers);
   }
-  
-  console.log(`=== 17TRACK V2.2 PROCESSING COMPLETE ===`);
-  return trackedShipments;
-}
 
-// CORRECTED: 17track v2.2 API request function
-function makeSeventeenTrackV22Request(endpoint, data, apiKey) {
-  return new Promise((resolve, reject) => {
-    const https = require('https');
-    
-    const postData = JSON.stringify(data);
-    
-    const options = {
-      hostname: 'api.17track.net',
-      path: `/track/v2.2${endpoint}`, // v2.2 path
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData),
-        '17token': apiKey
-      }
+  const claims = verifyShareToken(shareToken);
+  if (!claims) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'This tracking link is invalid or has expired.' })
     };
-    
-    console.log(`🌐 17track v2.2 API request: ${endpoint}`);
-    console.log(`URL: https://${options.hostname}${options.path}`);
-    console.log(`Body:`, postData);
-    
-    const req = https.request(options, (res) => {
-      let responseData = '';
-      
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-      
-      res.on('end', () => {
-        console.log(`📥 17track v2.2 response: ${res.statusCode}`);
-        console.log(`📥 Response body:`, responseData);
-        
-        if (res.statusCode === 200) {
-          try {
-            const parsedData = JSON.parse(responseData);
-            resolve(parsedData);
-          } catch (parseError) {
-            console.error('17track v2.2 parse error:', responseData);
-            reject(new Error('Invalid response from 17track v2.2'));
-          }
-        } else {
-          console.error(`17track v2.2 error ${res.statusCode}:`, responseData);
-          reject(new Error(`17track v2.2 API error: ${res.statusCode}`));
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      console.error('17track v2.2 request error:', error.message);
-      reject(error);
-    });
-    
-    req.setTimeout(15000, () => {
-      req.destroy();
-      console.error('17track v2.2 timeout');
-      reject(new Error('17track v2.2 request timeout'));
-    });
-    
-    req.write(postData);
-    req.end();
+  }
+
+  const cacheStatus = {};
+  // Links from before there were other order sources are ShipStation's
+  const orderResult = await getOrderById(claims.source || 'shipstation', claims.orderId, { deadline });
+  cacheStatus.order = orderResult.cacheStatus;
+
+  const order = orderResult.order;
+  if (!order || order.orderNumber !== claims.orderNumber) {
+    log.info('Order for share link no longer exists', { orderNumber: claims.orderNumber });
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'This order could not be found.' })
+    };
+  }
+
+  const response = await buildOrderResponse(order, {
+    deadline,
+    cacheStatus
   });
+
+  if (claims.redact) {
+    response.customerEmail = null;
+    response.redacted = true;
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'X-Cache-Status': formatCacheStatus(cacheStatus)
+    },
+    body: JSON.stringify(response)
+  };
 }
 
-// ShipStation API request function (unchanged)
-function makeShipStationRequest(endpoint, auth) {
-  return new Promise((resolve, reject) => {
-    const https = require('https');
-    
-    const options = {
-      hostname: 'ssapi.shipstation.com',
-      path: endpoint,
-      method: 'GET',
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'Drought-Order-Tracker/1.0'
-      }
+// Lookup by carrier tracking number alone. Anyone holding a tracking number
+// can already see it on the carrier's site, so this returns only the shipment
+// view - no order number, email, address or items.
+async function lookupByTrackingNumber(requestBody, { headers, clientIp, deadline }) {
+  const trackingNumber = String(requestBody.trackingNumber).replace(/\s+/g, '').toUpperCase();
+  log.info('Tracking number lookup', { trackingNumber: trackingNumber });
+
+  if (trackingNumber.length < 8) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Tracking number must be at least 8 characters' })
     };
+  }
 
-    const req = https.request(options, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          try {
-            const parsedData = JSON.parse(data);
-            resolve(parsedData);
-          } catch (parseError) {
-            reject(new Error('Invalid response from ShipStation'));
-          }
-        } else if (res.statusCode === 404) {
-          resolve({ orders: [], shipments: [] });
-        } else {
-          reject(new Error(`ShipStation API error: ${res.statusCode}`));
-        }
-      });
-    });
+  const blockedResponse = await guardLookup(clientIp, `tracking:${trackingNumber}`, requestBody, headers);
+  if (blockedResponse) {
+    return blockedResponse;
+  }
 
-    req.on('error', (error) => {
-      reject(new Error(`Network error: ${error.message}`));
-    });
+  if (!hasOrderSources()) {
+    return configurationErrorResponse(headers);
+  }
 
-    req.setTimeout(15000, () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
+  let shipment = null;
+  for (const source of getOrderSources()) {
+    shipment = await source.findShipmentByTrackingNumber(trackingNumber, { deadline });
+    if (shipment) break;
+  }
 
-    req.end();
-  });
+  if (!shipment) {
+    log.info('No shipment found for tracking number', { trackingNumber: trackingNumber });
+    await recordFailedLookup(clientIp);
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Tracking number not found. Please check the number and try again.' })
+    };
+  }
+
+  let trackedShipments = null;
+  if (hasTrackingProviders()) {
+    try {
+      trackedShipments = await getShipmentsWithTracking(
+        [shipment],
+        { deadline: deadline - RESPONSE_MARGIN_MS }
+      );
+    } catch (trackingError) {
+      log.error('Tracking lookup failed', { trackingNumber: trackingNumber, error: trackingError });
+      metrics.increment('tracking.fallback', { reason: 'lookup_failed' });
+    }
+  }
+
+  const shipments = buildShipments([shipment], trackedShipments).map(toPublicShipmentView);
+  const orderStatus = aggregateOrderStatus(shipments, 'shipped');
+  const orderState = describeOrderStatus(orderStatus);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      lookupType: 'tracking_number',
+      orderStatus: orderStatus,
+      orderState: orderState.state,
+      statusLabel: orderState.label,
+      statusMessage: orderState.message,
+      arrivesBy: getArrivesBy(shipments),
+      shipments: shipments
+    })
+  };
 }
 
-// Helper function to extract carrier name from 17track response
-function get17trackCarrierName(trackingData) {
-  if (!trackingData || !trackingData.data || !trackingData.data.accepted || trackingData.data.accepted.length === 0) {
-    return null;
+function toPublicShipmentView(shipment) {
+  return {
+    trackingNumber: shipment.trackingNumber,
+    trackingUrl: shipment.trackingUrl,
+    carrierName: shipment.carrierName,
+    shipDate: shipment.shipDate,
+    isReturn: shipment.isReturn,
+    deliveryDate: shipment.deliveryDate,
+    estimatedDelivery: shipment.estimatedDelivery,
+    isDelivered: shipment.isDelivered,
+    actuallyShipped: shipment.actuallyShipped,
+    status: shipment.status,
+    stage: shipment.stage,
+    stageLabel: shipment.stageLabel,
+    needsAttention: shipment.needsAttention,
+    latestActivity: shipment.latestActivity,
+    events: shipment.events
+  };
+}
+
+// Lookup by email alone: email that address a signed, time-limited link to its
+// recent orders. The response never says whether any orders were found.
+async function sendRecentOrdersLink(requestBody, { headers, clientIp, deadline }) {
+  const startedAt = Date.now();
+  const email = String(requestBody.email).trim();
+  log.info('Email-only lookup');
+
+  if (!EMAIL_REGEX.test(email)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid email format' })
+    };
   }
-  
-  const acceptedData = trackingData.data.accepted[0];
-  
-  // Try to get carrier name from tracking providers
-  if (acceptedData.track_info && 
-      acceptedData.track_info.tracking && 
-      acceptedData.track_info.tracking.providers && 
-      acceptedData.track_info.tracking.providers.length > 0) {
-    
-    const provider = acceptedData.track_info.tracking.providers[0].provider;
-    return provider.name || provider.alias || null;
+
+  const blockedResponse = await guardLookup(clientIp, `email:${email}`, requestBody, headers);
+  if (blockedResponse) {
+    return blockedResponse;
   }
-  
-  return null;
-}
 
-// UPDATED: Function to generate tracking URLs (handles 17track carrier names)  
-function generateTrackingUrl(carrierCode, trackingNumber, carrier17trackName = null) {
-  if (!trackingNumber) {
-    return null;
+  if (!hasOrderSources() || !process.env.TOKEN_SECRET || !process.env.TRACKER_PAGE_URL) {
+    return configurationErrorResponse(headers);
   }
-  
-  // Determine the carrier for URL generation
-  let carrierForUrl = carrierCode;
-  
-  // If we have 17track carrier name, use it to determine the right URL
-  if (carrier17trackName) {
-    const name = carrier17trackName.toLowerCase();
-    if (name.includes('ups')) carrierForUrl = 'ups';
-    else if (name.includes('fedex')) carrierForUrl = 'fedex';
-    else if (name.includes('usps')) carrierForUrl = 'usps';
-    else if (name.includes('dhl')) carrierForUrl = 'dhl';
-    else if (name.includes('ontrac')) carrierForUrl = 'ontrac';
-    else if (name.includes('lasership')) carrierForUrl = 'lasership';
-    else if (name.includes('amazon')) carrierForUrl = 'amazon';
+
+  const orders = await getRecentOrders(email, deadline);
+
+  if (orders.length > 0) {
+    // A failed send answers like any other request - an error here would
+    // tell the caller the address has orders
+    try {
+      await sendRecentOrdersMail(email, orders);
+    } catch (error) {
+      log.error('Failed to send recent orders link', { error: error });
+    }
+  } else {
+    log.info('No orders for email-only lookup, not sending a link');
   }
-  
-  if (!carrierForUrl) {
-    return null;
+
+  const padMs = Math.min(
+    startedAt + EMAIL_LOOKUP_MIN_RESPONSE_MS - Date.now(),
+    deadline - RESPONSE_MARGIN_MS - Date.now()
+  );
+  if (padMs > 0) {
+    await sleep(padMs);
   }
-  
-  const trackingUrls = {
-    'ups': `https://www.ups.com/track?track=yes&trackNums=${trackingNumber}`,
-    'ups_ground': `https://www.ups.com/track?track=yes&trackNums=${trackingNumber}`,
-    'fedex': `https://www.fedex.com/fedextrack/?tracknumbers=${trackingNumber}`,
-    'fedex_express': `https://www.fedex.com/fedextrack/?tracknumbers=${trackingNumber}`,
-    'fedex_ground': `https://www.fedex.com/fedextrack/?tracknumbers=${trackingNumber}`,
-    'usps': `https://tools.usps.com/go/TrackConfirmAction?tLabels=${trackingNumber}`,
-    'stamps_com': `https://tools.usps.com/go/TrackConfirmAction?tLabels=${trackingNumber}`,
-    'dhl': `https://www.dhl.com/en/express/tracking.html?AWB=${trackingNumber}`,
-    'dhl_express': `https://www.dhl.com/en/express/tracking.html?AWB=${trackingNumber}`,
-    'ontrac': `https://www.ontrac.com/tracking/?number=${trackingNumber}`,
-    'lasership': `https://www.lasership.com/track/${trackingNumber}`,
-    'amazon': `https://track.amazon.com/tracking/${trackingNumber}`
+
+  return {
+    statusCode: 202,
+    headers,
+    body: JSON.stringify({
+      message: 'If that email address has orders with us, we\'ve sent it a link to view them.'
+    })
   };
-  
-  return trackingUrls[carrierForUrl.toLowerCase()] || null;
 }
 
-function checkShipmentDeliveryStatus(shipment) {
-  if (shipment.deliveryDate) return true;
-  if (shipment.voidDate) return false;
-  if (shipment.shipmentStatus && shipment.shipmentStatus.toLowerCase() === 'delivered') return true;
-  if (shipment.trackingStatus && shipment.trackingStatus.toLowerCase().includes('delivered')) return true;
-  return false;
+async function sendRecentOrdersMail(email, orders) {
+  const ttlMinutes = Number(process.env.MAGIC_LINK_TTL_MINUTES) || DEFAULT_MAGIC_LINK_TTL_MINUTES;
+  const token = signToken('orders', { email: email.toLowerCase() }, ttlMinutes * 60);
+  const link = new URL(process.env.TRACKER_PAGE_URL);
+  link.searchParams.set('access', token);
+
+  await sendMail({
+    to: email,
+    subject: 'Your recent orders',
+    text: [
+      `Here's the link to track your ${orders.length === 1 ? 'order' : 'recent orders'}:`,
+      '',
+      link.toString(),
+      '',
+      `The link expires in ${ttlMinutes} minutes. If you didn't ask for it, you can ignore this email.`
+    ].join('\n'),
+    html: `<p>Here's the link to track your ${orders.length === 1 ? 'order' : 'recent orders'}:</p>` +
+      `<p><a href="${link.toString().replace(/&/g, '&amp;')}">View my orders</a></p>` +
+      `<p>The link expires in ${ttlMinutes} minutes. If you didn't ask for it, you can ignore this email.</p>`
+  });
 }
 
-// UPDATED: Improved carrier name function that uses 17track data when available
-function getStandardCarrierName(carrierCode, carrier17trackName = null) {
-  // First try to use 17track carrier name for better accuracy
-  if (carrier17trackName) {
-    const name = carrier17trackName.toLowerCase();
-    if (name.includes('ups')) return 'UPS';
-    if (name.includes('fedex')) return 'FedEx';
-    if (name.includes('usps') || name.includes('postal')) return 'USPS';
-    if (name.includes('dhl')) return 'DHL';
-    if (name.includes('ontrac')) return 'OnTrac';
-    if (name.includes('lasership')) return 'LaserShip';
-    if (name.includes('amazon')) return 'Amazon Logistics';
-    if (name.includes('newgistics')) return 'Newgistics';
+// Resolve a magic-link token to the customer's recent orders
+async function lookupRecentOrders(accessToken, { headers, deadline }) {
+  log.info('Magic-link lookup');
+
+  if (!hasOrderSources() || !process.env.TOKEN_SECRET) {
+    return configurationErrorResponse(headers);
   }
-  
-  // Fallback to carrier code mapping
-  if (!carrierCode) return 'CARRIER';
-  
-  const carrierNames = {
-    'ups': 'UPS',
-    'ups_ground': 'UPS',
-    'fedex': 'FedEx',
-    'fedex_express': 'FedEx',
-    'fedex_ground': 'FedEx',
-    'usps': 'USPS',
-    'stamps_com': 'USPS',
-    'dhl': 'DHL',
-    'dhl_express': 'DHL',
-    'ontrac': 'OnTrac',
-    'lasership': 'LaserShip',
-    'amazon': 'Amazon Logistics',
-    'newgistics': 'Newgistics'
+
+  const claims = verifyToken(accessToken, 'orders');
+  if (!claims) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'This link is invalid or has expired. Please request a new one.' })
+    };
+  }
+
+  const orders = await getRecentOrders(claims.email, deadline);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      lookupType: 'email',
+      customerEmail: claims.email,
+      orders: orders.map(order => {
+        const orderState = describeOrderStatus(order.orderStatus);
+        return {
+          orderNumber: order.orderNumber,
+          orderDate: order.orderDate,
+          orderStatus: (order.orderStatus || '').toLowerCase(),
+          orderState: orderState.state,
+          statusLabel: orderState.label
+        };
+      })
+    })
   };
-  
-  return carrierNames[carrierCode.toLowerCase()] || carrierCode.toUpperCase();
-}
\ No newline at end of file
+}
+
+// Newest orders first across every order source, exact email matches only
+async function getRecentOrders(email, deadline) {
+  const limit = Number(process.env.RECENT_ORDERS_LIMIT) || DEFAULT_RECENT_ORDERS_LIMIT;
+  const ordersBySource = await Promise.all(getOrderSources()
+    .map(source => source.listOrdersByEmail(email, limit, { deadline })));
+
+  return ordersBySource
+    .flat()
+    .sort((a, b) => (Date.parse(b.orderDate) || 0) - (Date.parse(a.orderDate) || 0))
+    .slice(0, limit);
+}
+
+function configurationErrorResponse(headers) {
+  return {
+    statusCode: 500,
+    headers,
+    body: JSON.stringify({ error: 'Server configuration error' })
+  };
+}
+
+// Every failed match gets the identical response, so a 404 says nothing about
+// whether the order number or the email was wrong
+function orderNotFoundResponse(headers) {
+  return {
+    statusCode: 404,
+    headers,
+    body: JSON.stringify({ error: 'Order not found. Please check your order number and email address and try again.' })
+  };
+}
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { getOrderSources } = require('../lib/order-sources');
+const { getConfiguredProviders } = require('../lib/tracking-providers');
+const { getStore, getBackendName, isDeployed, withStore } = require('../lib/store');
+const log = require('../lib/logger');
+const { withRequestLogging } = log;
+const { withRequestMetrics } = require('../lib/metrics');
+
+// Health report for uptime monitors and deploy checks: which credentials are
+// configured, whether the shared store works, and a cheap authenticated call
+// to every configured order source and tracking provider.
+//
+//   GET /.netlify/functions/health
+//   HEALTH_CHECK_TOKEN   required as "Authorization: Bearer <token>"; deployed
+//                        functions answer 401 to everyone until it's set, since
+//                        every check makes authenticated upstream calls (and
+//                        spends the ShipStation rate limit lookups depend on).
+//                        Local runs without it are open.
+//
+// status is "ok" when every check passes, "degraded" when something failed but
+// orders can still be looked up, and "down" (with a 503) when they can't.
+
+// Upstream checks run in parallel and must all finish inside this
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+exports.handler = withRequestLogging('health', withRequestMetrics('health', withStore(async (event) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  };
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  if (!isAuthorized(event)) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  const deadline = Date.now() + HEALTH_CHECK_TIMEOUT_MS;
+  const checkOptions = { deadline, maxRetries: 0 };
+
+  const [store, orderSources, trackingProviders] = await Promise.all([
+    runCheck(checkStore),
+    checkAll(getOrderSources(), checkOptions),
+    checkAll(getConfiguredProviders(), checkOptions)
+  ]);
+
+  const report = {
+    status: getOverallStatus(store, orderSources, trackingProviders),
+    time: new Date().toISOString(),
+    config: getConfigReport(),
+    checks: {
+      store: store,
+      orderSources: orderSources,
+      trackingProviders: trackingProviders
+    }
+  };
+
+  if (report.status !== 'ok') {
+    log.warn('Health check not ok', { status: report.status });
+  }
+
+  return {
+    statusCode: report.status === 'down' ? 503 : 200,
+    headers,
+    body: JSON.stringify(report)
+  };
+})));
+
+function isAuthorized(event) {
+  const expected = process.env.HEALTH_CHECK_TOKEN;
+  if (!expected) {
+    if (isDeployed()) {
+      log.error('HEALTH_CHECK_TOKEN is not configured');
+      return false;
+    }
+    return true;
+  }
+
+  const requestHeaders = event.headers || {};
+  const authorization = requestHeaders.authorization || requestHeaders.Authorization || '';
+  const supplied = Buffer.from(authorization.replace(/^Bearer\s+/i, ''));
+  const wanted = Buffer.from(expected);
+  return supplied.length === wanted.length && crypto.timingSafeEqual(supplied, wanted);
+}
+
+// Which integrations have credentials - names only, never values
+function getConfigReport() {
+  return {
+    tokenSecret: Boolean(process.env.TOKEN_SECRET),
+    tokenSecretRotating: Boolean(process.env.TOKEN_SECRET_PREVIOUS),
+    trackerPageUrl: Boolean(process.env.TRACKER_PAGE_URL),
+    orderSources: getOrderSources().map(source => source.name),
+    trackingProviders: getConfiguredProviders().map(provider => provider.name),
+    storeBackend: getBackendName(),
+    mailTransport: process.env.MAIL_TRANSPORT ? process.env.MAIL_TRANSPORT.toLowerCase() : null,
+    smsTransport: process.env.SMS_TRANSPORT ? process.env.SMS_TRANSPORT.toLowerCase() : null,
+    captchaProvider: process.env.CAPTCHA_PROVIDER || null
+  };
+}
+
+// { name: { ok, latencyMs, error?, ...details } } for each integration
+async function checkAll(integrations, options) {
+  const results = await Promise.all(integrations.map(integration =>
+    runCheck(() => integration.healthCheck ? integration.healthCheck(options) : null)));
+
+  const report = {};
+  integrations.forEach((integration, index) => {
+    report[integration.name] = results[index];
+  });
+  return report;
+}
+
+async function runCheck(check) {
+  const startedAt = Date.now();
+  try {
+    const details = await check();
+    return { ok: true, latencyMs: Date.now() - startedAt, ...(details || {}) };
+  } catch (error) {
+    log.error('Health check failed', { error: error });
+    return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+// Round-trip a value through the shared store
+async function checkStore() {
+  const store = getStore('health');
+  const key = `check:${crypto.randomUUID()}`;
+  await store.set(key, { at: Date.now() });
+  const value = await store.get(key);
+  await store.delete(key);
+  if (!value) {
+    throw new Error('Store read back nothing');
+  }
+}
+
+function getOverallStatus(store, orderSources, trackingProviders) {
+  const sources = Object.values(orderSources);
+  if (sources.length === 0 || !sources.some(result => result.ok)) {
+    return 'down';
+  }
+
+  const everythingOk = store.ok &&
+    sources.every(result => result.ok) &&
+    Object.values(trackingProviders).every(result => result.ok) &&
+    Boolean(process.env.TOKEN_SECRET);
+  return everythingOk ? 'ok' : 'degraded';
+}
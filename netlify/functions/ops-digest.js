@@ -0,0 +1,73 @@
+const { forEachShipmentPage } = require('../lib/backfill');
+const { getShipmentsWithTracking } = require('../lib/tracking');
+const { buildShipments, partitionShipments } = require('../lib/order-status');
+const { findStuckRule } = require('../lib/stuck-shipments');
+const { buildDigest, sendDigest } = require('../lib/ops-digest');
+const { getScheduledFunctionDeadline } = require('../lib/retry');
+const { withStore } = require('../lib/store');
+const log = require('../lib/logger');
+const { withRequestLogging } = log;
+const metrics = require('../lib/metrics');
+const { withRequestMetrics } = metrics;
+
+// Scheduled (see netlify.toml): checks every outbound shipment shipped in the
+// last STUCK_LOOKBACK_DAYS days (default 21) against the stuck-shipment rules
+// (lib/stuck-shipments.js) and sends the digest to the OPS_DIGEST_SINKS
+// (lib/ops-digest.js). Tracking comes from the stored state and provider
+// chains as for customers, without waiting on newly registered numbers.
+// Shipments are checked newest first, so when a run is out of time it's the
+// oldest that miss the digest, not the ones that just shipped.
+
+// Time kept back to send the digest
+const DIGEST_MARGIN_MS = 4000;
+const DEFAULT_LOOKBACK_DAYS = 21;
+
+exports.handler = withRequestLogging('ops-digest', withRequestMetrics('ops-digest', withStore(async (event, context) => {
+  const deadline = getScheduledFunctionDeadline(context) - DIGEST_MARGIN_MS;
+  const days = Number(process.env.STUCK_LOOKBACK_DAYS) || DEFAULT_LOOKBACK_DAYS;
+  const from = formatDate(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+  const to = formatDate(Date.now());
+
+  try {
+    const findings = [];
+    let checked = 0;
+
+    const paging = await forEachShipmentPage({ from, to, deadline, sortDir: 'DESC' }, async (shipments) => {
+      const live = partitionShipments(shipments).outbound.filter(shipment => shipment.trackingNumber);
+      if (live.length === 0) {
+        return;
+      }
+
+      const trackedShipments = await getShipmentsWithTracking(live, { deadline, poll: false });
+      const built = buildShipments(live, trackedShipments);
+      checked += live.length;
+
+      built.forEach((shipment, index) => {
+        const stuck = findStuckRule(shipment);
+        if (stuck) {
+          findings.push({ shipment: { ...shipment, orderNumber: live[index].orderNumber }, ...stuck });
+        }
+      });
+    });
+
+    const digest = buildDigest(findings, { from, to, checked, complete: paging.complete });
+    const failedSinks = await sendDigest(digest);
+
+    Object.keys(digest.byRule).forEach(rule => {
+      metrics.increment('shipments.stuck', { rule: rule }, digest.byRule[rule]);
+    });
+    log.info('Ops digest done', { checked: checked, stuck: digest.total, complete: paging.complete, failedSinks: failedSinks });
+
+    return {
+      statusCode: failedSinks.length > 0 ? 500 : 200,
+      body: JSON.stringify({ checked: checked, stuck: digest.total, complete: paging.complete, failedSinks: failedSinks })
+    };
+  } catch (error) {
+    log.error('Ops digest failed', { error: error });
+    return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+  }
+})));
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
@@ -0,0 +1,133 @@
+const { buildOrderResponse, getOrderById } = require('../lib/order-lookup');
+const { hasOrderSources } = require('../lib/order-sources');
+const { createShareUrl } = require('../lib/share-links');
+const { hasTimeToWait, getScheduledFunctionDeadline } = require('../lib/retry');
+const {
+  listSubscriptions,
+  saveSubscription,
+  deleteSubscription,
+  isSubscriptionExpired,
+  isSubscriptionLinkConfigured,
+  snapshotShipments,
+  findTransitions,
+  sendNotification
+} = require('../lib/notifications');
+const { withStore } = require('../lib/store');
+const log = require('../lib/logger');
+const { withRequestLogging } = log;
+const { withRequestMetrics } = require('../lib/metrics');
+
+// Scheduled (see netlify.toml): checks every notification subscription
+// against the same shipment/status logic get-order uses and sends a message
+// for each transition. Subscriptions are checked oldest-first and the run
+// stops when its time is up; the rest are picked up on the next run.
+//
+// A subscription is removed once every item has shipped and every shipment is
+// delivered, when the order is gone or cancelled, or when it expires.
+
+// Don't start checking an order with less time than this left
+const MIN_ORDER_BUDGET_MS = 5000;
+// Most time one order may take, so 17track polling can't starve the rest
+const MAX_ORDER_BUDGET_MS = 8000;
+
+exports.handler = withRequestLogging('send-notifications', withRequestMetrics('send-notifications', withStore(async (event, context) => {
+  const deadline = getScheduledFunctionDeadline(context);
+  const summary = { checked: 0, sent: 0, removed: 0, failed: 0, remaining: 0 };
+
+  if (!hasOrderSources() || !isSubscriptionLinkConfigured()) {
+    log.error('Missing notification configuration', {
+      orderSources: hasOrderSources(),
+      tokenSecret: Boolean(process.env.TOKEN_SECRET),
+      siteUrl: Boolean(process.env.URL || process.env.TRACKER_PAGE_URL)
+    });
+    return { statusCode: 500, body: JSON.stringify({ error: 'Server configuration error' }) };
+  }
+
+  const subscriptions = (await listSubscriptions())
+    .sort((a, b) => String(a.lastCheckedAt || '').localeCompare(String(b.lastCheckedAt || '')));
+  log.info('Checking notification subscriptions', { subscriptions: subscriptions.length });
+
+  for (const subscription of subscriptions) {
+    if (!hasTimeToWait(deadline, MIN_ORDER_BUDGET_MS)) {
+      summary.remaining = subscriptions.length - summary.checked;
+      log.info('Out of time, leaving subscriptions for the next run', { remaining: summary.remaining });
+      break;
+    }
+
+    summary.checked++;
+    try {
+      const orderDeadline = Math.min(deadline, Date.now() + MAX_ORDER_BUDGET_MS);
+      const result = await checkSubscription(subscription, orderDeadline);
+      summary.sent += result.sent;
+      if (result.removed) summary.removed++;
+    } catch (error) {
+      summary.failed++;
+      log.error('Notification check failed', { orderNumber: subscription.orderNumber, error: error });
+    }
+  }
+
+  log.info('Notifications done', summary);
+  return {
+    statusCode: 200,
+    body: JSON.stringify(summary)
+  };
+})));
+
+async function checkSubscription(subscription, deadline) {
+  if (isSubscriptionExpired(subscription)) {
+    await deleteSubscription(subscription.id);
+    return { sent: 0, removed: true };
+  }
+
+  // SMS numbers that haven't confirmed yet get nothing
+  if (subscription.confirmed === false) {
+    return { sent: 0, removed: false };
+  }
+
+  // Subscriptions from before there were other order sources are ShipStation's
+  const { order } = await getOrderById(subscription.source || 'shipstation', subscription.orderId, {
+    deadline,
+    bypassCache: true
+  });
+  if (!order || (order.orderStatus || '').toLowerCase() === 'cancelled') {
+    log.info('Order is gone or cancelled, removing subscription', { orderNumber: subscription.orderNumber });
+    await deleteSubscription(subscription.id);
+    return { sent: 0, removed: true };
+  }
+
+  const response = await buildOrderResponse(order, { deadline });
+
+  const trackerUrl = createShareUrl(order) || process.env.TRACKER_PAGE_URL || null;
+  let sent = 0;
+
+  for (const transition of findTransitions(subscription, response)) {
+    await sendNotification(subscription, transition.event, {
+      response,
+      shipment: transition.shipment,
+      trackerUrl
+    });
+    // Saved right away, so a later send failing can't repeat this one next run
+    subscription.sent.push(transition.dedupeKey);
+    await saveSubscription(subscription);
+    sent++;
+    log.info('Sent notification', {
+      event: transition.event,
+      orderNumber: subscription.orderNumber,
+      channel: subscription.channel
+    });
+  }
+
+  const allDelivered = response.shipments.length > 0 &&
+    response.shipments.every(shipment => shipment.isDelivered) &&
+    response.fulfillment.unfulfilledQuantity === 0;
+
+  if (allDelivered) {
+    await deleteSubscription(subscription.id);
+    return { sent, removed: true };
+  }
+
+  subscription.lastKnown = snapshotShipments(response);
+  subscription.lastCheckedAt = new Date().toISOString();
+  await saveSubscription(subscription);
+  return { sent, removed: false };
+}
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { makeShipStationRequest, createShipStationAuth, SHIPSTATION_HOSTNAME } = require('../lib/shipstation');
+const { getFunctionDeadline } = require('../lib/retry');
+const { registerShipments } = require('../lib/tracking');
+const { withStore } = require('../lib/store');
+const log = require('../lib/logger');
+const { withRequestLogging } = log;
+const { withRequestMetrics } = require('../lib/metrics');
+
+// Handles ShipStation's SHIP_NOTIFY webhook and registers the new tracking
+// numbers with 17track right away, so tracking data is usually ready before
+// the customer's first lookup. Numbers whose carrier API is queried directly
+// first (see tracking-providers) are left alone.
+//
+// ShipStation webhooks are unsigned, so the webhook URL must carry the shared
+// secret: /.netlify/functions/shipstation-webhook?secret=<SHIPSTATION_WEBHOOK_SECRET>
+exports.handler = withRequestLogging('shipstation-webhook', withRequestMetrics('shipstation-webhook', withStore(async (event, context) => {
+  const deadline = getFunctionDeadline(context);
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const webhookSecret = process.env.SHIPSTATION_WEBHOOK_SECRET;
+  const apiKey = process.env.SHIPSTATION_API_KEY;
+  const apiSecret = process.env.SHIPSTATION_API_SECRET;
+
+  if (!webhookSecret || !apiKey || !apiSecret) {
+    log.error('Missing ShipStation webhook configuration');
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Server configuration error' })
+    };
+  }
+
+  const query = event.queryStringParameters || {};
+  if (!safeEqual(query.secret, webhookSecret)) {
+    log.warn('ShipStation webhook secret mismatch');
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.body || '{}');
+  } catch (parseError) {
+    log.warn('Invalid JSON in ShipStation webhook', { error: parseError });
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid request format' })
+    };
+  }
+
+  log.info('ShipStation webhook', { resourceType: payload.resource_type });
+  log.payload('ShipStation webhook body', payload);
+
+  if (payload.resource_type !== 'SHIP_NOTIFY') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ received: true, ignored: true })
+    };
+  }
+
+  const resourcePath = getResourcePath(payload.resource_url);
+  if (!resourcePath) {
+    log.warn('Invalid SHIP_NOTIFY resource_url', { resourceUrl: payload.resource_url });
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid resource_url' })
+    };
+  }
+
+  try {
+    const auth = createShipStationAuth(apiKey, apiSecret);
+    const shipments = await fetchNotifiedShipments(resourcePath, auth, { deadline });
+
+    const result = await registerShipments(shipments, { deadline });
+
+    log.info('Registered notified shipments', {
+      shipments: shipments.length,
+      registered: result.registered,
+      skipped: result.skipped
+    });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        received: true,
+        shipments: shipments.length,
+        registered: result.registered,
+        skipped: result.skipped
+      })
+    };
+  } catch (error) {
+    // Non-2xx makes ShipStation retry the webhook
+    log.error('SHIP_NOTIFY processing failed', { error: error });
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Unable to process shipment notification' })
+    };
+  }
+})));
+
+// Only follow resource URLs that point back at the ShipStation API
+function getResourcePath(resourceUrl) {
+  if (!resourceUrl) return null;
+
+  try {
+    const url = new URL(resourceUrl);
+    if (url.protocol !== 'https:' || url.hostname !== SHIPSTATION_HOSTNAME) {
+      return null;
+    }
+    return `${url.pathname}${url.search}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The resource URL returns a paged shipment list - follow every page
+async function fetchNotifiedShipments(resourcePath, auth, options) {
+  const shipments = [];
+  const url = new URL(resourcePath, `https://${SHIPSTATION_HOSTNAME}`);
+  let page = Number(url.searchParams.get('page')) || 1;
+  let pages = page;
+
+  do {
+    url.searchParams.set('page', String(page));
+    const data = await makeShipStationRequest(`${url.pathname}${url.search}`, auth, options);
+    shipments.push(...(data.shipments || []));
+    pages = data.pages || page;
+    page++;
+  } while (page <= pages);
+
+  return shipments;
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a || ''));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
@@ -0,0 +1,328 @@
+const { guardLookup, findOrder, buildOrderResponse } = require('../lib/order-lookup');
+const { UpstreamBusyError, getFunctionDeadline } = require('../lib/retry');
+const { getClientIp, recordFailedLookup } = require('../lib/rate-limit');
+const { getCorsHeaders } = require('../lib/cors');
+const { hasOrderSources } = require('../lib/order-sources');
+const {
+  NOTIFICATION_EVENTS,
+  CHANNELS,
+  subscribe,
+  getSubscription,
+  deleteSubscription,
+  sendSmsConfirmation,
+  confirmSubscription,
+  isSubscriptionLinkConfigured,
+  verifyUnsubscribeToken,
+  verifySmsConfirmationToken
+} = require('../lib/notifications');
+const { withStore } = require('../lib/store');
+const log = require('../lib/logger');
+const { withRequestLogging } = log;
+const { withRequestMetrics } = require('../lib/metrics');
+
+// Status-change notification subscriptions.
+//
+//   POST { orderNumber, email, channel: 'email' | 'sms', phone, events, captchaToken }
+//        subscribes the order; the order number + email must match, exactly as
+//        for get-order. events defaults to all of NOTIFICATION_EVENTS.
+//        Text updates start only once the number confirms: the answer is a 202
+//        with confirmationRequired, and the number gets a confirmation link.
+//   GET  ?confirm=<token>
+//        the confirmation link texted to a new SMS subscriber
+//   GET  ?unsubscribe=<token>
+//        the unsubscribe link included in every notification
+//   Both links only show a page with a button; nothing changes until that
+//   form is posted back (confirm=<token> or unsubscribe=<token>, form-encoded).
+//   Messaging apps and mail scanners fetch links to preview them, and must not
+//   confirm or unsubscribe anyone by doing so.
+//
+// Messages are sent by the scheduled send-notifications function.
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^\+[1-9]\d{7,14}$/;
+
+exports.handler = withRequestLogging('subscriptions', withRequestMetrics('subscriptions', withStore(async (event, context) => {
+  context.callbackWaitsForEmptyEventLoop = false;
+
+  if (event.httpMethod === 'GET') {
+    return linkPage(event.queryStringParameters || {});
+  }
+
+  // The form on the link page; posted from our own page, so not subject to
+  // the CORS allowlist - the token is the authorization
+  const form = event.httpMethod === 'POST' ? getFormFields(event) : null;
+  if (form) {
+    return form.has('confirm') ? confirm(form.get('confirm')) : unsubscribe(form.get('unsubscribe'));
+  }
+
+  const deadline = getFunctionDeadline(context);
+
+  const cors = getCorsHeaders(event, {
+    allowMethods: 'GET, POST, OPTIONS',
+    exposeHeaders: 'Retry-After, X-Request-Id'
+  });
+  const headers = {
+    ...cors.headers,
+    'Content-Type': 'application/json'
+  };
+
+  if (!cors.allowed) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ error: 'Origin not allowed' })
+    };
+  }
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch (parseError) {
+    log.warn('Invalid JSON in request body', { error: parseError });
+    return badRequest(headers, 'Invalid request format');
+  }
+
+  const orderNumber = String(requestBody.orderNumber || '').trim();
+  const email = String(requestBody.email || '').trim();
+  const channel = requestBody.channel || 'email';
+  const events = requestBody.events || NOTIFICATION_EVENTS;
+
+  if (!orderNumber || !email) {
+    return badRequest(headers, 'Order number and email are required');
+  }
+  if (!EMAIL_REGEX.test(email)) {
+    return badRequest(headers, 'Invalid email format');
+  }
+  if (!CHANNELS.includes(channel)) {
+    return badRequest(headers, `Channel must be one of: ${CHANNELS.join(', ')}`);
+  }
+  if (!Array.isArray(events) || events.length === 0 || !events.every(name => NOTIFICATION_EVENTS.includes(name))) {
+    return badRequest(headers, `Events must be a list of: ${NOTIFICATION_EVENTS.join(', ')}`);
+  }
+
+  const phone = channel === 'sms' ? normalizePhone(requestBody.phone) : null;
+  if (channel === 'sms' && !phone) {
+    return badRequest(headers, 'A valid mobile number is required for text updates');
+  }
+
+  const clientIp = getClientIp(event);
+  const blockedResponse = await guardLookup(clientIp, orderNumber, requestBody, headers);
+  if (blockedResponse) {
+    return blockedResponse;
+  }
+
+  if (!hasOrderSources() || !isSubscriptionLinkConfigured()) {
+    log.error('Missing subscription configuration', {
+      orderSources: hasOrderSources(),
+      tokenSecret: Boolean(process.env.TOKEN_SECRET),
+      siteUrl: Boolean(process.env.URL || process.env.TRACKER_PAGE_URL)
+    });
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Server configuration error' })
+    };
+  }
+
+  try {
+    const { order } = await findOrder(orderNumber, email, { deadline });
+
+    if (!order) {
+      await recordFailedLookup(clientIp);
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Order not found. Please check your order number and email address and try again.' })
+      };
+    }
+
+    // Current status is the baseline for future notifications
+    const response = await buildOrderResponse(order, { deadline });
+
+    const subscription = await subscribe(order, response, {
+      channel: channel,
+      destination: channel === 'sms' ? phone : order.customerEmail,
+      events: events
+    });
+    log.info('Subscribed to notifications', {
+      orderNumber: order.orderNumber,
+      channel: channel,
+      confirmed: subscription.confirmed
+    });
+
+    if (!subscription.confirmed) {
+      await sendSmsConfirmation(subscription);
+    }
+
+    return {
+      statusCode: subscription.confirmed ? 201 : 202,
+      headers,
+      body: JSON.stringify({
+        subscribed: subscription.confirmed,
+        confirmationRequired: !subscription.confirmed,
+        orderNumber: order.orderNumber,
+        channel: subscription.channel,
+        events: subscription.events
+      })
+    };
+  } catch (error) {
+    if (error instanceof UpstreamBusyError) {
+      return {
+        statusCode: 503,
+        headers: {
+          ...headers,
+          'Retry-After': String(error.retryAfterSeconds)
+        },
+        body: JSON.stringify({
+          error: `Order tracking is temporarily busy. Please try again in ${error.retryAfterSeconds} seconds.`,
+          retryAfter: error.retryAfterSeconds
+        })
+      };
+    }
+
+    log.error('Subscription failed', { error: error });
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Unable to set up notifications. Please try again.' })
+    };
+  }
+})));
+
+// What a confirmation or unsubscribe link opens: a button that posts the
+// token back. Invalid and expired links are reported straight away.
+function linkPage(query) {
+  if (!process.env.TOKEN_SECRET) {
+    return page(500, 'Something went wrong. Please try again later.');
+  }
+
+  if (query.confirm) {
+    if (!verifySmsConfirmationToken(query.confirm)) {
+      return page(400, 'This confirmation link is invalid or has expired.');
+    }
+    return page(200, 'Confirm that you want text updates about your order.',
+      actionForm('confirm', query.confirm, 'Confirm text updates'));
+  }
+
+  if (!verifyUnsubscribeToken(query.unsubscribe)) {
+    return page(400, 'This unsubscribe link is invalid or has expired.');
+  }
+  return page(200, 'Stop getting updates about this order?',
+    actionForm('unsubscribe', query.unsubscribe, 'Unsubscribe'));
+}
+
+function actionForm(field, token, label) {
+  return `<form method="post"><input type="hidden" name="${field}" value="${escapeHtml(token)}">` +
+    `<button type="submit">${label}</button></form>`;
+}
+
+// Form-encoded POST body, or null for anything else (subscribe requests are JSON)
+function getFormFields(event) {
+  const requestHeaders = event.headers || {};
+  const contentType = requestHeaders['content-type'] || requestHeaders['Content-Type'] || '';
+  if (!contentType.toLowerCase().startsWith('application/x-www-form-urlencoded')) {
+    return null;
+  }
+
+  const body = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64').toString('utf8')
+    : (event.body || '');
+  return new URLSearchParams(body);
+}
+
+// Posted from the confirmation link page, so answers with a small HTML page
+async function confirm(token) {
+  if (!process.env.TOKEN_SECRET) {
+    return page(500, 'Something went wrong. Please try again later.');
+  }
+
+  const subscriptionId = verifySmsConfirmationToken(token);
+  if (!subscriptionId) {
+    return page(400, 'This confirmation link is invalid or has expired.');
+  }
+
+  try {
+    const subscription = await confirmSubscription(subscriptionId);
+    if (!subscription) {
+      return page(404, 'This confirmation link has expired. Sign up for text updates again to get a new one.');
+    }
+    log.info('Confirmed text notifications', { orderNumber: subscription.orderNumber });
+    return page(200, `You'll get text updates about order ${escapeHtml(subscription.orderNumber)}.`);
+  } catch (error) {
+    log.error('Confirmation failed', { error: error });
+    return page(500, 'Something went wrong. Please try again later.');
+  }
+}
+
+// Posted from the unsubscribe link page, so answers with a small HTML page
+// rather than JSON
+async function unsubscribe(token) {
+  if (!process.env.TOKEN_SECRET) {
+    return page(500, 'Something went wrong. Please try again later.');
+  }
+
+  const subscriptionId = verifyUnsubscribeToken(token);
+  if (!subscriptionId) {
+    return page(400, 'This unsubscribe link is invalid or has expired.');
+  }
+
+  try {
+    const subscription = await getSubscription(subscriptionId);
+    if (subscription) {
+      await deleteSubscription(subscriptionId);
+      log.info('Unsubscribed from notifications', { orderNumber: subscription.orderNumber, channel: subscription.channel });
+    }
+    return page(200, 'You\'ve been unsubscribed and won\'t get any more updates about this order.');
+  } catch (error) {
+    log.error('Unsubscribe failed', { error: error });
+    return page(500, 'Something went wrong. Please try again later.');
+  }
+}
+
+function page(statusCode, message, form = '') {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    body: `<!doctype html><html><head><meta charset="utf-8"><title>Order updates</title></head>` +
+      `<body><p>${message}</p>${form}</body></html>`
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// E.164; bare 10-digit numbers are taken as US numbers
+function normalizePhone(value) {
+  const digits = String(value || '').replace(/[\s().-]/g, '');
+  const phone = /^\d{10}$/.test(digits) ? `+1${digits}` : digits;
+  return PHONE_REGEX.test(phone) ? phone : null;
+}
+
+function badRequest(headers, error) {
+  return {
+    statusCode: 400,
+    headers,
+    body: JSON.stringify({ error })
+  };
+}
@@ -0,0 +1,251 @@
+const { getOrderSources, getOrderSource } = require('../lib/order-sources');
+const { buildOrderResponse } = require('../lib/order-lookup');
+const { describeOrderStatus } = require('../lib/order-states');
+const { getProvider } = require('../lib/tracking-providers');
+const { getCarrier, findCarrierByCode } = require('../lib/carriers');
+const { captureUpstream } = require('../lib/upstream-capture');
+const { authenticateAgent, isSupportAuthConfigured } = require('../lib/support-auth');
+const { formatCacheStatus } = require('../lib/cache');
+const { UpstreamBusyError, getFunctionDeadline } = require('../lib/retry');
+const { getCorsHeaders } = require('../lib/cors');
+const { withStore } = require('../lib/store');
+const log = require('../lib/logger');
+const { withRequestLogging } = log;
+const metrics = require('../lib/metrics');
+const { withRequestMetrics } = metrics;
+
+// Support-agent lookups: any order by order number, tracking number or email,
+// without the customer's email, with the raw upstream payloads the response
+// was built from. Authenticated with SUPPORT_API_TOKEN or an agent JWT (see
+// support-auth.js); every call is logged with the agent.
+//
+//   POST /.netlify/functions/support
+//   { "orderNumber": "1001" }          every order with that number
+//   { "trackingNumber": "1Z..." }      the shipment's order
+//   { "email": "a@example.com" }       the address's recent orders (summaries)
+//   "bypassCache": true                skip the shipment and tracking caches
+//                                      (orders are always fetched fresh here)
+//   "action": "reregister"             with trackingNumber: register the number
+//   "carrierCode": "ups"               with 17track again, optionally pinned to a
+//                                      carrier (a ShipStation code, our carrier
+//                                      id or a 17track carrier key), then look
+//                                      it up with caches bypassed
+//
+// `upstream` lists the raw ShipStation / 17track / carrier responses fetched
+// for this request. Anything served from a cache doesn't appear there - pass
+// bypassCache to see it all.
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Order numbers can repeat across sources and stores
+const MAX_ORDERS = 5;
+const RECENT_ORDERS_LIMIT = 20;
+
+exports.handler = withRequestLogging('support', withRequestMetrics('support', withStore(async (event, lambdaContext) => {
+  const deadline = getFunctionDeadline(lambdaContext);
+
+  const cors = getCorsHeaders(event, {
+    allowHeaders: 'Content-Type, Authorization',
+    exposeHeaders: 'X-Request-Id'
+  });
+  const headers = {
+    ...cors.headers,
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  };
+
+  if (!cors.allowed) {
+    return respond(403, headers, { error: 'Origin not allowed' });
+  }
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return respond(405, headers, { error: 'Method not allowed' });
+  }
+
+  if (!isSupportAuthConfigured()) {
+    log.warn('Support API called but neither SUPPORT_API_TOKEN nor SUPPORT_JWT_SECRET is set');
+  }
+  const agent = authenticateAgent(event);
+  if (!agent) {
+    return respond(401, headers, { error: 'Unauthorized' });
+  }
+
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch (parseError) {
+    return respond(400, headers, { error: 'Invalid request format' });
+  }
+
+  const query = getQuery(requestBody);
+  if (!query) {
+    return respond(400, headers, { error: 'One of orderNumber, trackingNumber or email is required' });
+  }
+
+  const action = requestBody.action || null;
+  if (action && (action !== 'reregister' || query.type !== 'trackingNumber')) {
+    return respond(400, headers, { error: 'The only action is "reregister", with a trackingNumber' });
+  }
+
+  log.info('Support lookup', { agent: agent, query: query.type, action: action, bypassCache: Boolean(requestBody.bypassCache) });
+  metrics.increment('support.lookup', { type: query.type, action: action || 'none' });
+
+  const upstream = [];
+  const context = {
+    deadline: deadline,
+    bypassCache: Boolean(requestBody.bypassCache) || action === 'reregister'
+  };
+
+  try {
+    const result = await captureUpstream(upstream, async () => {
+      const actionResult = action === 'reregister'
+        ? await forceRegister(query.value, requestBody.carrierCode, context)
+        : null;
+      const lookup = await lookups[query.type](query.value, context);
+      return actionResult ? { action: actionResult, ...lookup } : lookup;
+    });
+
+    return respond(200, headers, {
+      agent: agent,
+      query: query,
+      bypassCache: context.bypassCache,
+      ...result,
+      upstream: upstream
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return respond(400, headers, { error: error.message });
+    }
+
+    log.error('Support lookup failed', { error: error });
+    const statusCode = error instanceof UpstreamBusyError ? 503 : 502;
+    return respond(statusCode, headers, {
+      error: error.message,
+      retryAfter: error.retryAfterSeconds || null,
+      upstream: upstream
+    });
+  }
+})));
+
+const lookups = {
+  orderNumber: lookupByOrderNumber,
+  trackingNumber: lookupByTrackingNumber,
+  email: lookupByEmail
+};
+
+function getQuery(requestBody) {
+  if (requestBody.orderNumber) {
+    return { type: 'orderNumber', value: String(requestBody.orderNumber).trim().replace(/^#/, '') };
+  }
+  if (requestBody.trackingNumber) {
+    return { type: 'trackingNumber', value: String(requestBody.trackingNumber).replace(/\s+/g, '').toUpperCase() };
+  }
+  if (requestBody.email && EMAIL_REGEX.test(String(requestBody.email).trim())) {
+    return { type: 'email', value: String(requestBody.email).trim().toLowerCase() };
+  }
+  return null;
+}
+
+// Every order with the number, across sources (and ShipStation stores)
+async function lookupByOrderNumber(orderNumber, context) {
+  const orders = [];
+  for (const source of getOrderSources()) {
+    orders.push(...(await source.findOrdersByNumber(orderNumber, { deadline: context.deadline })));
+  }
+
+  if (orders.length > MAX_ORDERS) {
+    log.warn('Support lookup matched more orders than it shows', { orderNumber: orderNumber, orders: orders.length });
+  }
+  return { orders: await buildOrderResults(orders.slice(0, MAX_ORDERS), context) };
+}
+
+// The shipment's order, or just the shipment when its order can't be read
+async function lookupByTrackingNumber(trackingNumber, context) {
+  for (const source of getOrderSources()) {
+    const shipment = await source.findShipmentByTrackingNumber(trackingNumber, { deadline: context.deadline });
+    if (!shipment) continue;
+
+    const order = shipment.orderId
+      ? await getOrderSource(shipment.source).getOrder(shipment.orderId, { deadline: context.deadline })
+      : null;
+    return {
+      shipment: shipment,
+      orders: order ? await buildOrderResults([order], context) : []
+    };
+  }
+
+  return { shipment: null, orders: [] };
+}
+
+// Summaries only - look an order up by number for the full view
+async function lookupByEmail(email, context) {
+  const ordersBySource = await Promise.all(getOrderSources()
+    .map(source => source.listOrdersByEmail(email, RECENT_ORDERS_LIMIT, { deadline: context.deadline })));
+
+  const orders = ordersBySource
+    .flat()
+    .sort((a, b) => String(b.orderDate || '').localeCompare(String(a.orderDate || '')))
+    .map(order => ({ order: order, state: describeOrderStatus(order.orderStatus) }));
+  return { orders: orders };
+}
+
+// The order as the source returned it, next to the tracker response built from it
+async function buildOrderResults(orders, context) {
+  const results = [];
+  for (const order of orders) {
+    const cacheStatus = {};
+    const response = await buildOrderResponse(order, {
+      deadline: context.deadline,
+      bypassCache: context.bypassCache,
+      cacheStatus
+    });
+    results.push({ order: order, response: response, cache: formatCacheStatus(cacheStatus) });
+  }
+  return results;
+}
+
+// Register the number with 17track again, pinned to carrierCode when given
+async function forceRegister(trackingNumber, carrierCode, context) {
+  const provider = getProvider('17track');
+  if (!provider || !provider.isConfigured()) {
+    throw requestError('17track is not configured');
+  }
+
+  const carrierKey = carrierCode ? get17trackCarrierKey(carrierCode) : null;
+  const result = await provider.forceRegister(trackingNumber, carrierKey, { deadline: context.deadline });
+
+  log.info('17track re-register', { trackingNumber: trackingNumber, carrierKey: carrierKey, action: result.action });
+  metrics.increment('support.reregister', { action: result.action });
+  return { name: 'reregister', carrierKey: carrierKey, ...result };
+}
+
+// A 17track carrier key as-is, or the key for a ShipStation code / carrier id
+function get17trackCarrierKey(carrierCode) {
+  const code = String(carrierCode).trim();
+  if (/^\d+$/.test(code)) {
+    return Number(code);
+  }
+
+  const carrier = findCarrierByCode(code) || getCarrier(code.toLowerCase());
+  if (!carrier) {
+    throw requestError(`Unknown carrier code: ${code}`);
+  }
+  if (carrier.seventeenTrackIds.length === 0) {
+    throw requestError(`No 17track carrier key for ${carrier.name}; pass the 17track key instead`);
+  }
+  return carrier.seventeenTrackIds[0];
+}
+
+function requestError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function respond(statusCode, headers, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
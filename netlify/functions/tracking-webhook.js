@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { getProvider } = require('../lib/tracking-providers');
+const { saveTrackingState } = require('../lib/tracking-store');
+const { withStore } = require('../lib/store');
+const log = require('../lib/logger');
+const { withRequestLogging } = log;
+const { withRequestMetrics } = require('../lib/metrics');
+
+// Receives 17track v2.2 webhook pushes and keeps the tracking store current,
+// so get-order can answer from the store instead of polling 17track live.
+exports.handler = withRequestLogging('tracking-webhook', withRequestMetrics('tracking-webhook', withStore(async (event) => {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const webhookKey = process.env.SEVENTEEN_TRACK_WEBHOOK_KEY || process.env.SEVENTEEN_TRACK_API_KEY;
+  if (!webhookKey) {
+    log.error('Missing 17track webhook key');
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Server configuration error' })
+    };
+  }
+
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64').toString('utf8')
+    : (event.body || '');
+
+  if (!verifySignature(rawBody, getHeader(event.headers, 'sign'), webhookKey)) {
+    log.warn('17track webhook signature mismatch');
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Invalid signature' })
+    };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (parseError) {
+    log.warn('Invalid JSON in 17track webhook', { error: parseError });
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid request format' })
+    };
+  }
+
+  // Valid JSON isn't necessarily an object: null, numbers, strings and arrays
+  // all parse
+  if (!isPlainObject(payload) || (payload.data !== undefined && !isPlainObject(payload.data))) {
+    log.warn('Unexpected 17track webhook payload');
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid request format' })
+    };
+  }
+
+  const data = payload.data || {};
+  log.info('17track webhook', { event: payload.event, trackingNumber: data.number });
+  log.payload('17track webhook body', payload);
+
+  if (payload.event !== 'TRACKING_UPDATED' || !data.number) {
+    // TRACKING_STOPPED and anything unknown need no store update
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ received: true })
+    };
+  }
+
+  const trackingState = getProvider('17track').normalize(data.number, data.track_info);
+  if (!trackingState) {
+    log.info('No usable track_info in webhook', { trackingNumber: data.number });
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ received: true })
+    };
+  }
+
+  try {
+    await saveTrackingState(trackingState, 'webhook');
+    log.info('Stored tracking state', { trackingNumber: data.number, status: trackingState.trackingStatus });
+  } catch (error) {
+    // Non-2xx makes 17track retry the push later
+    log.error('Failed to store tracking state', { trackingNumber: data.number, error: error });
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: 'Unable to store tracking update' })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ received: true })
+  };
+})));
+
+// 17track signs pushes with sha256(body + '/' + key), hex encoded, in the "sign" header
+function verifySignature(rawBody, signature, key) {
+  if (!signature) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHash('sha256')
+    .update(`${rawBody}/${key}`)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const signatureBuffer = Buffer.from(signature.toLowerCase(), 'utf8');
+  if (expectedBuffer.length !== signatureBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Netlify lowercases header names, but be tolerant of proxies that don't
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+}
@@ -0,0 +1,193 @@
+const { getOrderSource } = require('./order-sources');
+const { getShipmentsWithTracking } = require('./tracking');
+const { buildShipments } = require('./order-status');
+const { hasTimeToWait } = require('./retry');
+const { findCarrierByCode, findCarrierBy17trackId, findCarrierByName } = require('./carriers');
+const log = require('./logger');
+
+// Tracking backfill and audit, outside any customer request: page through the
+// ShipStation shipments shipped in a date range, look each page's numbers up
+// the way get-order does (stored state, then the provider chains) and register
+// the ones nobody has data for yet - without waiting for it - then report, per
+// shipment, the normalized status, the carrier ShipStation has against the one
+// 17track detected, and how registration went.
+//
+// Run by functions/backfill.js, on a schedule or from the command line.
+
+// Smaller than ShipStation's maximum, so one page's tracking lookups stay quick
+const PAGE_SIZE = 100;
+// Don't start a page with less time than this left
+const MIN_PAGE_BUDGET_MS = 8000;
+
+const REPORT_COLUMNS = [
+  'shipmentId',
+  'orderNumber',
+  'trackingNumber',
+  'shipDate',
+  'status',
+  'stage',
+  'trackingSource',
+  'shipStationCarrierCode',
+  'detectedCarrier',
+  'carrierCheck',
+  'registration',
+  'rejectionCode'
+];
+
+// options: from / to (YYYY-MM-DD ship dates, inclusive), startPage, deadline.
+// Stops between pages when time runs out; the report's nextPage says where to
+// pick up. Resolves to { from, to, startedAt, finishedAt, complete, nextPage,
+// summary, rows }.
+async function runBackfill(options) {
+  const report = {
+    from: options.from,
+    to: options.to,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    complete: false,
+    nextPage: null,
+    summary: {
+      pages: 0,
+      shipments: 0,
+      voided: 0,
+      withoutTrackingNumber: 0,
+      registered: 0,
+      alreadyRegistered: 0,
+      rejected: 0,
+      carrierMismatches: 0,
+      stages: {}
+    },
+    rows: []
+  };
+
+  const paging = await forEachShipmentPage(options, async (shipments) => {
+    await processPage(shipments, report, options.deadline);
+    report.summary.pages++;
+  });
+
+  report.complete = paging.complete;
+  report.nextPage = paging.nextPage;
+  report.finishedAt = new Date().toISOString();
+  return report;
+}
+
+// Page through the ShipStation shipments shipped from options.from to
+// options.to, oldest first (newest first with options.sortDir 'DESC'), calling
+// onPage(shipments) for each page in turn, until the pages run out or there's
+// no time left for another (options.deadline). Also used by the stuck-shipment
+// check. Resolves to { complete, nextPage }.
+async function forEachShipmentPage(options, onPage) {
+  const source = getOrderSource('shipstation');
+  if (!source.isConfigured()) {
+    throw new Error('ShipStation is not configured');
+  }
+
+  let page = options.startPage || 1;
+  for (;;) {
+    if (!hasTimeToWait(options.deadline, MIN_PAGE_BUDGET_MS)) {
+      log.info('Out of time for more shipment pages', { nextPage: page });
+      return { complete: false, nextPage: page };
+    }
+
+    const result = await source.listShipments({
+      shipDateStart: options.from,
+      shipDateEnd: options.to,
+      page: page,
+      pageSize: PAGE_SIZE,
+      sortDir: options.sortDir
+    }, { deadline: options.deadline });
+
+    await onPage(result.shipments);
+    log.info('Shipment page done', { page: page, pages: result.pages, shipments: result.shipments.length });
+
+    if (page >= result.pages) {
+      return { complete: true, nextPage: null };
+    }
+    page++;
+  }
+}
+
+async function processPage(shipments, report, deadline) {
+  const { summary } = report;
+  summary.shipments += shipments.length;
+  summary.voided += shipments.filter(shipment => shipment.voided).length;
+  summary.withoutTrackingNumber += shipments.filter(shipment => !shipment.voided && !shipment.trackingNumber).length;
+
+  const live = shipments.filter(shipment => !shipment.voided && shipment.trackingNumber);
+  if (live.length === 0) {
+    return;
+  }
+
+  const registrations = new Map();
+  const trackedShipments = await getShipmentsWithTracking(live, { deadline, poll: false, registrations });
+  const built = buildShipments(live, trackedShipments);
+
+  live.forEach((shipment, index) => {
+    const row = buildRow(shipment, trackedShipments[index], built[index], registrations);
+    report.rows.push(row);
+
+    summary.stages[row.stage] = (summary.stages[row.stage] || 0) + 1;
+    if (row.registration === 'registered') summary.registered++;
+    if (row.registration === 'already_registered') summary.alreadyRegistered++;
+    if (row.registration === 'rejected') summary.rejected++;
+    if (row.carrierCheck === 'mismatch') summary.carrierMismatches++;
+  });
+}
+
+function buildRow(shipment, tracked, built, registrations) {
+  const registration = registrations.get(shipment.trackingNumber) || null;
+  const detectedCarrier = tracked && tracked.providerCarrierDetected ? tracked.providerCarrierName || '' : '';
+
+  return {
+    shipmentId: shipment.shipmentId,
+    orderNumber: shipment.orderNumber,
+    trackingNumber: shipment.trackingNumber,
+    shipDate: shipment.shipDate,
+    status: built.status,
+    stage: built.stage,
+    trackingSource: built.sources.status,
+    shipStationCarrierCode: shipment.carrierCode || '',
+    detectedCarrier: detectedCarrier,
+    carrierCheck: checkCarrier(shipment.carrierCode, tracked),
+    registration: registration ? registration.status : '',
+    rejectionCode: registration && registration.code !== null ? registration.code : ''
+  };
+}
+
+// "match" / "mismatch" when both ShipStation's carrier and 17track's are in
+// the carrier registry, "unknown" when either isn't, "" when 17track hasn't
+// detected one. Direct carrier providers are picked from ShipStation's
+// carrier, so their carrier says nothing either way.
+function checkCarrier(carrierCode, tracked) {
+  if (!tracked || !tracked.providerCarrierDetected) {
+    return '';
+  }
+
+  const shipStationCarrier = findCarrierByCode(carrierCode);
+  const detected = findCarrierBy17trackId(tracked.carrier17trackId) ||
+    findCarrierByName(tracked.providerCarrierName);
+  if (!shipStationCarrier || !detected) {
+    return 'unknown';
+  }
+  return shipStationCarrier.id === detected.id ? 'match' : 'mismatch';
+}
+
+function toCsv(rows) {
+  const lines = [REPORT_COLUMNS.join(',')];
+  rows.forEach(row => {
+    lines.push(REPORT_COLUMNS.map(column => escapeCsv(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  REPORT_COLUMNS,
+  runBackfill,
+  forEachShipmentPage,
+  toCsv
+};
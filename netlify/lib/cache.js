@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const log = require('./logger');
+const metrics = require('./metrics');
+
+// Read-through cache for upstream API results, backed by the shared store
+// (so STORE_BACKEND=memory or file makes it testable offline).
+//
+// TTLs per data type, overridable through env:
+//   CACHE_TTL_ORDER_SECONDS      ShipStation order record
+//   CACHE_TTL_SHIPMENTS_SECONDS  ShipStation shipment list
+//   CACHE_TTL_TRACKING_SECONDS   17track state for packages still moving
+//   CACHE_TTL_DELIVERED_SECONDS  17track state once delivered
+
+const DEFAULT_TTL_SECONDS = {
+  order: 300,
+  shipments: 120,
+  tracking: 300,
+  delivered: 7 * 24 * 60 * 60
+};
+
+function getTtlSeconds(type, value) {
+  const ttlType = type === 'tracking' && value && value.isDelivered ? 'delivered' : type;
+  const configured = process.env[`CACHE_TTL_${ttlType.toUpperCase()}_SECONDS`];
+
+  if (configured !== undefined && configured !== '' && !isNaN(configured)) {
+    return Number(configured);
+  }
+  return DEFAULT_TTL_SECONDS[ttlType];
+}
+
+// Hash key parts so customer emails never end up in store keys
+function cacheKey(type, ...parts) {
+  const digest = crypto
+    .createHash('sha256')
+    .update(parts.map(part => String(part).trim().toLowerCase()).join('|'))
+    .digest('hex');
+  return `${type}:${digest}`;
+}
+
+// Returns { value, cacheStatus } where cacheStatus is 'hit', 'miss' or 'bypass'.
+// shouldCache decides whether a freshly loaded value is worth keeping.
+async function readThrough(type, keyParts, loader, options = {}) {
+  const key = cacheKey(type, ...keyParts);
+  const store = getStore('cache');
+
+  if (!options.bypass) {
+    try {
+      const entry = await store.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        metrics.increment('cache', { type, result: 'hit' });
+        return { value: entry.value, cacheStatus: 'hit' };
+      }
+    } catch (error) {
+      log.error('Cache read failed', { type: type, error: error });
+    }
+  }
+
+  const value = await loader();
+  const shouldCache = options.shouldCache || (() => true);
+
+  if (shouldCache(value)) {
+    try {
+      await store.set(key, {
+        value: value,
+        expiresAt: Date.now() + getTtlSeconds(type, value) * 1000
+      });
+    } catch (error) {
+      log.error('Cache write failed', { type: type, error: error });
+    }
+  }
+
+  const cacheStatus = options.bypass ? 'bypass' : 'miss';
+  metrics.increment('cache', { type, result: cacheStatus });
+  return { value, cacheStatus };
+}
+
+// "order=hit, shipments=miss, tracking=partial"
+function formatCacheStatus(cacheStatus) {
+  return Object.keys(cacheStatus)
+    .map(type => `${type}=${cacheStatus[type]}`)
+    .join(', ');
+}
+
+module.exports = {
+  getTtlSeconds,
+  readThrough,
+  formatCacheStatus
+};
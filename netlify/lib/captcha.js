@@ -0,0 +1,102 @@
+const https = require('https');
+const log = require('./logger');
+
+// Optional CAPTCHA check for the public lookup. CAPTCHA_PROVIDER selects the verifier:
+//   turnstile - Cloudflare Turnstile (CAPTCHA_SECRET)
+//   hcaptcha  - hCaptcha (CAPTCHA_SECRET)
+//   stub      - local verifier for tests; accepts CAPTCHA_STUB_TOKEN (default "test-pass")
+// Unset means CAPTCHA is disabled and every request passes.
+//
+// A provider that can't be reached or isn't configured is logged and reported
+// as unavailable (null) rather than thrown, so the lookup can answer 503.
+
+const VERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify'
+};
+
+// Resolves to true or false, or null when the token couldn't be checked
+async function verifyCaptcha(token, ip) {
+  const provider = (process.env.CAPTCHA_PROVIDER || '').toLowerCase();
+  if (!provider) {
+    return true;
+  }
+  if (!token) {
+    return false;
+  }
+
+  if (provider === 'stub') {
+    return token === (process.env.CAPTCHA_STUB_TOKEN || 'test-pass');
+  }
+
+  const verifyUrl = VERIFY_URLS[provider];
+  if (!verifyUrl || !process.env.CAPTCHA_SECRET) {
+    log.error('CAPTCHA provider is not configured', { provider: provider });
+    return null;
+  }
+
+  let result;
+  try {
+    result = await postVerification(verifyUrl, {
+      secret: process.env.CAPTCHA_SECRET,
+      response: token,
+      remoteip: ip
+    });
+  } catch (error) {
+    log.error('CAPTCHA verification failed', { provider: provider, error: error });
+    return null;
+  }
+
+  if (!result.success) {
+    log.info('CAPTCHA rejected', { errorCodes: result['error-codes'] || [] });
+  }
+  return Boolean(result.success);
+}
+
+// Both providers take a form-encoded POST and answer { success, error-codes }
+function postVerification(verifyUrl, fields) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(verifyUrl);
+    const postData = new URLSearchParams(fields).toString();
+
+    const req = https.request({
+      hostname: url.hostname,
+      path: url.pathname,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(postData)
+      }
+    }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (parseError) {
+          reject(new Error('Invalid response from CAPTCHA provider'));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`CAPTCHA network error: ${error.message}`));
+    });
+
+    req.setTimeout(5000, () => {
+      req.destroy();
+      reject(new Error('CAPTCHA verification timeout'));
+    });
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+module.exports = {
+  verifyCaptcha
+};
@@ -0,0 +1,204 @@
+// Carrier registry: everything we know about each carrier in one place, so
+// display names, tracking links and carrier detection can't drift apart.
+// Adding a carrier is a new entry here. Each entry has:
+//   id                 our carrier id
+//   name               display name
+//   shipStationCodes   ShipStation carrierCode values (the first is canonical)
+//   seventeenTrackIds  17track carrier keys
+//   aliases            lowercase words matched against carrier names from
+//                      17track and Shopify's tracking company
+//   trackingUrl        link template; {number} is replaced with the tracking number
+//   patterns           tracking-number formats, used when the order source gives
+//                      no carrierCode. Checked in registry order, so the more
+//                      specific formats come first.
+
+const CARRIERS = [
+  {
+    id: 'ups',
+    name: 'UPS',
+    shipStationCodes: ['ups', 'ups_walleted', 'ups_ground'],
+    seventeenTrackIds: [100002],
+    aliases: ['ups'],
+    trackingUrl: 'https://www.ups.com/track?track=yes&trackNums={number}',
+    patterns: [/^1Z[0-9A-Z]{16}$/]
+  },
+  {
+    id: 'fedex',
+    name: 'FedEx',
+    shipStationCodes: ['fedex', 'fedex_walleted', 'fedex_express', 'fedex_ground'],
+    seventeenTrackIds: [100003],
+    aliases: ['fedex'],
+    trackingUrl: 'https://www.fedex.com/fedextrack/?tracknumbers={number}',
+    patterns: [/^96\d{20}$/, /^\d{12}$/, /^\d{15}$/]
+  },
+  {
+    id: 'usps',
+    name: 'USPS',
+    shipStationCodes: ['usps', 'stamps_com'],
+    seventeenTrackIds: [21051],
+    aliases: ['usps', 'postal service'],
+    trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={number}',
+    patterns: [/^9[1-5]\d{18}$/, /^9[1-5]\d{20}$/, /^9[1-5]\d{24}$/, /^420\d{5}9[1-5]\d{20}$/, /^[A-Z]{2}\d{9}US$/]
+  },
+  {
+    id: 'dhl_ecommerce',
+    name: 'DHL eCommerce',
+    shipStationCodes: ['dhl_global_mail', 'dhl_ecommerce'],
+    seventeenTrackIds: [],
+    aliases: ['dhl ecommerce', 'dhl global mail'],
+    trackingUrl: 'https://webtrack.dhlecs.com/?trackingnumber={number}',
+    patterns: []
+  },
+  {
+    id: 'dhl_express',
+    name: 'DHL',
+    shipStationCodes: ['dhl_express', 'dhl', 'dhl_express_worldwide'],
+    seventeenTrackIds: [100001],
+    aliases: ['dhl'],
+    trackingUrl: 'https://www.dhl.com/en/express/tracking.html?AWB={number}',
+    patterns: [/^\d{10}$/]
+  },
+  {
+    id: 'ontrac',
+    name: 'OnTrac',
+    shipStationCodes: ['ontrac'],
+    seventeenTrackIds: [],
+    aliases: ['ontrac'],
+    trackingUrl: 'https://www.ontrac.com/tracking/?number={number}',
+    patterns: [/^[CD]\d{14}$/]
+  },
+  {
+    id: 'lasership',
+    name: 'LaserShip',
+    shipStationCodes: ['lasership'],
+    seventeenTrackIds: [],
+    aliases: ['lasership'],
+    trackingUrl: 'https://www.lasership.com/track/{number}',
+    patterns: [/^1LS[0-9A-Z]{10,}$/, /^L[XS]\d{8}$/]
+  },
+  {
+    id: 'amazon',
+    name: 'Amazon Logistics',
+    shipStationCodes: ['amazon', 'amazon_shipping'],
+    seventeenTrackIds: [],
+    aliases: ['amazon'],
+    trackingUrl: 'https://track.amazon.com/tracking/{number}',
+    patterns: [/^TBA\d{12}$/]
+  },
+  {
+    id: 'newgistics',
+    name: 'Newgistics',
+    shipStationCodes: ['newgistics'],
+    seventeenTrackIds: [],
+    aliases: ['newgistics'],
+    trackingUrl: null,
+    patterns: []
+  },
+  {
+    id: 'canada_post',
+    name: 'Canada Post',
+    shipStationCodes: ['canada_post'],
+    seventeenTrackIds: [3041],
+    aliases: ['canada post', 'postes canada'],
+    trackingUrl: 'https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor={number}',
+    patterns: [/^[A-Z]{2}\d{9}CA$/, /^\d{16}$/]
+  },
+  {
+    id: 'royal_mail',
+    name: 'Royal Mail',
+    shipStationCodes: ['royal_mail'],
+    seventeenTrackIds: [11031],
+    aliases: ['royal mail'],
+    trackingUrl: 'https://www.royalmail.com/track-your-item#/tracking-results/{number}',
+    patterns: [/^[A-Z]{2}\d{9}GB$/]
+  },
+  {
+    id: 'gls',
+    name: 'GLS',
+    shipStationCodes: ['gls', 'gls_us'],
+    seventeenTrackIds: [100005],
+    aliases: ['gls'],
+    trackingUrl: 'https://gls-group.com/track/{number}',
+    patterns: []
+  }
+];
+
+function getCarrier(id) {
+  return CARRIERS.find(carrier => carrier.id === id) || null;
+}
+
+function findCarrierByCode(carrierCode) {
+  const code = (carrierCode || '').trim().toLowerCase();
+  if (!code) return null;
+  return CARRIERS.find(carrier => carrier.shipStationCodes.includes(code)) || null;
+}
+
+function findCarrierBy17trackId(carrierKey) {
+  if (!carrierKey) return null;
+  return CARRIERS.find(carrier => carrier.seventeenTrackIds.includes(Number(carrierKey))) || null;
+}
+
+// Free-text carrier names: 17track's provider name, Shopify's tracking company.
+// Whole words only - "USPS" mustn't match UPS.
+function findCarrierByName(carrierName) {
+  const name = (carrierName || '').toLowerCase();
+  if (!name) return null;
+  return CARRIERS.find(carrier =>
+    carrier.aliases.some(alias => new RegExp(`\\b${alias}\\b`).test(name))) || null;
+}
+
+// Guess the carrier from the tracking number's format
+function detectCarrier(trackingNumber) {
+  const number = String(trackingNumber || '').replace(/\s+/g, '').toUpperCase();
+  if (!number) return null;
+  return CARRIERS.find(carrier => carrier.patterns.some(pattern => pattern.test(number))) || null;
+}
+
+// Best match for a shipment: what the tracking provider detected, then the
+// order source's carrier code, then the tracking number's format.
+// hints: { carrierCode, trackingNumber, carrier17trackId, providerCarrierName }
+function resolveCarrier(hints) {
+  return findCarrierBy17trackId(hints.carrier17trackId) ||
+    findCarrierByName(hints.providerCarrierName) ||
+    findCarrierByCode(hints.carrierCode) ||
+    (hints.carrierCode ? null : detectCarrier(hints.trackingNumber));
+}
+
+// The ShipStation carrier code to use for a number that came without one
+function resolveCarrierCode(carrierCode, trackingNumber) {
+  if (carrierCode) return carrierCode;
+  const detected = detectCarrier(trackingNumber);
+  return detected ? detected.shipStationCodes[0] : null;
+}
+
+function generateTrackingUrl(hints) {
+  if (!hints.trackingNumber) {
+    return null;
+  }
+
+  const carrier = resolveCarrier(hints);
+  if (!carrier || !carrier.trackingUrl) {
+    return null;
+  }
+  return carrier.trackingUrl.replace('{number}', encodeURIComponent(hints.trackingNumber));
+}
+
+// Display name; unknown carriers show their code as-is
+function getCarrierName(hints) {
+  const carrier = resolveCarrier(hints);
+  if (carrier) return carrier.name;
+  return hints.carrierCode ? hints.carrierCode.toUpperCase() : 'CARRIER';
+}
+
+module.exports = {
+  CARRIERS,
+  getCarrier,
+  findCarrierByCode,
+  findCarrierBy17trackId,
+  findCarrierByName,
+  detectCarrier,
+  resolveCarrier,
+  resolveCarrierCode,
+  generateTrackingUrl,
+  getCarrierName
+};
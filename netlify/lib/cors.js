@@ -0,0 +1,73 @@
+const log = require('./logger');
+
+// CORS allowlist shared by the browser-facing functions.
+//
+// CORS_ALLOWED_ORIGINS is a comma-separated list of exact origins and
+// wildcard patterns, e.g.
+//   https://www.cameupinthedrought.com,https://deploy-preview-*--site.netlify.app
+// A "*" matches within a single host label (letters, digits and hyphens), so
+// a pattern can't be stretched to cover another domain.
+
+const DEFAULT_ALLOWED_ORIGINS = 'https://www.cameupinthedrought.com';
+
+function getAllowedOriginPatterns() {
+  return (process.env.CORS_ALLOWED_ORIGINS || DEFAULT_ALLOWED_ORIGINS)
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+function originMatches(origin, pattern) {
+  if (!pattern.includes('*')) {
+    return origin.toLowerCase() === pattern.toLowerCase();
+  }
+
+  const regex = new RegExp(
+    '^' + pattern
+      .split('*')
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[a-z0-9-]*') + '$',
+    'i'
+  );
+  return regex.test(origin);
+}
+
+function isOriginAllowed(origin) {
+  return getAllowedOriginPatterns().some(pattern => originMatches(origin, pattern));
+}
+
+// Build the CORS headers for a request. Requests without an Origin header
+// (server-to-server, curl) aren't subject to CORS and are allowed through
+// without an Allow-Origin header; a browser origin outside the allowlist is
+// reported as not allowed so the caller can reject it.
+function getCorsHeaders(event, options = {}) {
+  const requestHeaders = event.headers || {};
+  const origin = requestHeaders.origin || requestHeaders.Origin;
+
+  const headers = {
+    'Access-Control-Allow-Headers': options.allowHeaders || 'Content-Type',
+    'Access-Control-Allow-Methods': options.allowMethods || 'POST, OPTIONS',
+    'Vary': 'Origin'
+  };
+
+  if (options.exposeHeaders) {
+    headers['Access-Control-Expose-Headers'] = options.exposeHeaders;
+  }
+
+  if (!origin) {
+    return { allowed: true, headers };
+  }
+
+  if (!isOriginAllowed(origin)) {
+    log.info('CORS origin not allowed', { origin: origin });
+    return { allowed: false, headers };
+  }
+
+  headers['Access-Control-Allow-Origin'] = origin;
+  return { allowed: true, headers };
+}
+
+module.exports = {
+  getCorsHeaders,
+  isOriginAllowed
+};
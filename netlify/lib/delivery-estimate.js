@@ -0,0 +1,218 @@
+const log = require('./logger');
+
+// Estimated delivery windows for shipments 17track has no ETA for, computed
+// from the ShipStation service code, the ship date and a business-day calendar.
+//
+//   DELIVERY_BUSINESS_DAYS        days carriers deliver, 0=Sun..6=Sat (default "1,2,3,4,5")
+//   DELIVERY_HOLIDAYS             extra non-delivery dates, comma-separated YYYY-MM-DD
+//   DELIVERY_FEDERAL_HOLIDAYS     "false" to stop skipping US federal holidays
+//   DELIVERY_TRANSIT_DAYS         JSON overrides, e.g. {"usps_ground_advantage":[2,5]}
+
+// Business days in transit [min, max], counted from the day after shipping
+const SERVICE_TRANSIT_DAYS = {
+  usps_priority_mail_express: [1, 2],
+  usps_priority_mail: [1, 3],
+  usps_ground_advantage: [2, 5],
+  usps_first_class_mail: [2, 5],
+  usps_parcel_select: [2, 8],
+  usps_media_mail: [2, 8],
+  ups_next_day_air: [1, 1],
+  ups_next_day_air_saver: [1, 1],
+  ups_2nd_day_air: [2, 2],
+  ups_3_day_select: [3, 3],
+  ups_ground: [1, 5],
+  ups_surepost: [2, 7],
+  fedex_priority_overnight: [1, 1],
+  fedex_standard_overnight: [1, 1],
+  fedex_2day: [2, 2],
+  fedex_express_saver: [3, 3],
+  fedex_ground: [1, 5],
+  fedex_home_delivery: [1, 5],
+  dhl_express_worldwide: [2, 5]
+};
+
+// When the service code is unknown, fall back on the carrier
+const CARRIER_TRANSIT_DAYS = {
+  usps: [2, 5],
+  stamps_com: [2, 5],
+  ups: [1, 5],
+  fedex: [1, 5],
+  dhl_express: [2, 5],
+  ontrac: [1, 3],
+  lasership: [1, 3]
+};
+
+const DEFAULT_TRANSIT_DAYS = [3, 7];
+const DEFAULT_BUSINESS_DAYS = [1, 2, 3, 4, 5];
+
+function estimateDelivery(shipment) {
+  const shipDate = parseDate(shipment.shipDate);
+  if (!shipDate) {
+    return null;
+  }
+
+  const [minDays, maxDays] = getTransitDays(shipment.serviceCode, shipment.carrierCode);
+  const calendar = getCalendar();
+
+  return {
+    from: formatDate(addBusinessDays(shipDate, minDays, calendar)),
+    to: formatDate(addBusinessDays(shipDate, maxDays, calendar)),
+    source: 'calculated'
+  };
+}
+
+function getTransitDays(serviceCode, carrierCode) {
+  const overrides = getTransitOverrides();
+  const service = (serviceCode || '').toLowerCase();
+  const carrier = (carrierCode || '').toLowerCase();
+
+  return overrides[service] ||
+    SERVICE_TRANSIT_DAYS[service] ||
+    overrides[carrier] ||
+    CARRIER_TRANSIT_DAYS[carrier] ||
+    DEFAULT_TRANSIT_DAYS;
+}
+
+function getTransitOverrides() {
+  if (!process.env.DELIVERY_TRANSIT_DAYS) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.DELIVERY_TRANSIT_DAYS);
+  } catch (error) {
+    log.error('Invalid DELIVERY_TRANSIT_DAYS, ignoring', { error: error });
+    return {};
+  }
+}
+
+function getCalendar() {
+  const businessDays = process.env.DELIVERY_BUSINESS_DAYS
+    ? process.env.DELIVERY_BUSINESS_DAYS.split(',').map(day => Number(day.trim()))
+    : DEFAULT_BUSINESS_DAYS;
+
+  const holidays = new Set((process.env.DELIVERY_HOLIDAYS || '')
+    .split(',')
+    .map(date => date.trim())
+    .filter(Boolean));
+
+  return {
+    businessDays: new Set(businessDays),
+    holidays: holidays,
+    federalHolidays: process.env.DELIVERY_FEDERAL_HOLIDAYS !== 'false'
+  };
+}
+
+function isBusinessDay(date, calendar) {
+  if (!calendar.businessDays.has(date.getUTCDay())) {
+    return false;
+  }
+
+  const day = formatDate(date);
+  if (calendar.holidays.has(day)) {
+    return false;
+  }
+  return !(calendar.federalHolidays && getFederalHolidays(date.getUTCFullYear()).has(day));
+}
+
+function addBusinessDays(startDate, days, calendar) {
+  const date = new Date(startDate.getTime());
+  let added = 0;
+
+  while (added < days) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    if (isBusinessDay(date, calendar)) {
+      added++;
+    }
+  }
+
+  return date;
+}
+
+// Business days after startDate up to and including endDate, on the delivery calendar
+function countBusinessDays(startDate, endDate) {
+  const calendar = getCalendar();
+  const date = new Date(startDate.getTime());
+  let count = 0;
+
+  while (date < endDate) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    if (isBusinessDay(date, calendar)) {
+      count++;
+    }
+  }
+
+  return count;
+}
+
+const federalHolidayCache = new Map();
+
+// US federal holidays (observed dates) - the days USPS doesn't deliver
+function getFederalHolidays(year) {
+  if (federalHolidayCache.has(year)) {
+    return federalHolidayCache.get(year);
+  }
+
+  const fixed = [
+    [0, 1],   // New Year's Day
+    [5, 19],  // Juneteenth
+    [6, 4],   // Independence Day
+    [10, 11], // Veterans Day
+    [11, 25]  // Christmas Day
+  ].map(([month, day]) => observed(new Date(Date.UTC(year, month, day))));
+
+  const floating = [
+    nthWeekday(year, 0, 1, 3),  // Martin Luther King Jr. Day
+    nthWeekday(year, 1, 1, 3),  // Presidents' Day
+    lastWeekday(year, 4, 1),    // Memorial Day
+    nthWeekday(year, 8, 1, 1),  // Labor Day
+    nthWeekday(year, 9, 1, 2),  // Columbus Day
+    nthWeekday(year, 10, 4, 4)  // Thanksgiving
+  ];
+
+  const holidays = new Set([...fixed, ...floating].map(formatDate));
+  federalHolidayCache.set(year, holidays);
+  return holidays;
+}
+
+// Saturday holidays are observed on Friday, Sunday holidays on Monday
+function observed(date) {
+  const day = date.getUTCDay();
+  if (day === 6) date.setUTCDate(date.getUTCDate() - 1);
+  if (day === 0) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+function nthWeekday(year, month, weekday, n) {
+  const date = new Date(Date.UTC(year, month, 1));
+  const offset = (weekday - date.getUTCDay() + 7) % 7;
+  date.setUTCDate(1 + offset + (n - 1) * 7);
+  return date;
+}
+
+function lastWeekday(year, month, weekday) {
+  const date = new Date(Date.UTC(year, month + 1, 0));
+  const offset = (date.getUTCDay() - weekday + 7) % 7;
+  date.setUTCDate(date.getUTCDate() - offset);
+  return date;
+}
+
+// ShipStation dates look like "2024-03-08" or "2024-03-08T00:00:00.0000000";
+// only the calendar date matters here
+function parseDate(value) {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  estimateDelivery,
+  addBusinessDays,
+  countBusinessDays,
+  parseDate,
+  formatDate
+};
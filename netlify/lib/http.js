@@ -0,0 +1,145 @@
+const https = require('https');
+const { withRetry, getRequestTimeout, parseRetryAfter } = require('./retry');
+const log = require('./logger');
+const { recordUpstreamCall } = require('./metrics');
+const { recordUpstreamResponse } = require('./upstream-capture');
+
+// JSON-over-HTTPS helpers for the direct carrier adapters and the Shopify order
+// source, with the same retry policy as the ShipStation and 17track clients.
+
+// OAuth client-credentials tokens per service, reused until shortly before expiry
+const accessTokens = new Map();
+const TOKEN_EXPIRY_MARGIN_MS = 60000;
+
+// request: { method, url, headers, json, form }. Resolves to the parsed body;
+// non-2xx responses reject with statusCode (and retryAfterSeconds) set.
+function requestJson(service, request, options = {}) {
+  return withRetry(service, () => sendJsonRequest(service, request, options), options);
+}
+
+function sendJsonRequest(service, request, options) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(request.url);
+    let body = null;
+    const headers = { 'Accept': 'application/json', ...request.headers };
+
+    if (request.json !== undefined) {
+      body = JSON.stringify(request.json);
+      headers['Content-Type'] = 'application/json';
+    } else if (request.form) {
+      body = new URLSearchParams(request.form).toString();
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    }
+    if (body !== null) {
+      headers['Content-Length'] = Buffer.byteLength(body);
+    }
+
+    log.debug(`${service} request`, { method: request.method || 'GET', path: url.pathname });
+    if (request.json !== undefined) {
+      log.payload(`${service} request body`, request.json);
+    }
+
+    const startedAt = Date.now();
+    let timedOut = false;
+
+    const req = https.request({
+      hostname: url.hostname,
+      port: url.port || undefined,
+      path: `${url.pathname}${url.search}`,
+      method: request.method || 'GET',
+      headers: headers
+    }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        recordUpstreamCall(service, startedAt, res.statusCode);
+        log.debug(`${service} response`, { path: url.pathname, statusCode: res.statusCode });
+        log.payload(`${service} response body`, data);
+        // Form bodies are token requests - nothing worth showing but the client secret
+        recordUpstreamResponse(service, {
+          method: request.method || 'GET',
+          path: `${url.pathname}${url.search}`,
+          body: request.json
+        }, res.statusCode, data);
+
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          try {
+            resolve(data ? JSON.parse(data) : {});
+          } catch (parseError) {
+            reject(new Error(`Invalid response from ${service}`));
+          }
+        } else {
+          log.error(`${service} API error`, { path: url.pathname, statusCode: res.statusCode });
+          const error = new Error(`${service} API error: ${res.statusCode}`);
+          error.statusCode = res.statusCode;
+          error.retryAfterSeconds = parseRetryAfter(res.headers['retry-after']);
+          reject(error);
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      if (!timedOut) recordUpstreamCall(service, startedAt, 'error');
+      log.error(`${service} request failed`, { path: url.pathname, error: error });
+      reject(error);
+    });
+
+    req.setTimeout(getRequestTimeout(options.deadline, 15000), () => {
+      timedOut = true;
+      recordUpstreamCall(service, startedAt, 'timeout');
+      req.destroy();
+      reject(new Error(`${service} request timeout`));
+    });
+
+    if (body !== null) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+// tokenRequest is a requestJson request for the service's token endpoint
+async function getAccessToken(service, tokenRequest, options = {}) {
+  const cached = accessTokens.get(service);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.accessToken;
+  }
+
+  const response = await requestJson(service, { method: 'POST', ...tokenRequest }, options);
+  if (!response.access_token) {
+    throw new Error(`${service} token response had no access_token`);
+  }
+
+  const expiresInMs = (Number(response.expires_in) || 3600) * 1000;
+  accessTokens.set(service, {
+    accessToken: response.access_token,
+    expiresAt: Date.now() + Math.max(expiresInMs - TOKEN_EXPIRY_MARGIN_MS, 0)
+  });
+  return response.access_token;
+}
+
+// Run fn over items with at most `limit` in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  requestJson,
+  getAccessToken,
+  mapWithConcurrency
+};
@@ -0,0 +1,90 @@
+// Line-item fulfillment view: which of the order's items went out in which
+// shipment, and how many units are still waiting to ship.
+
+// shipments are the normalized shipments from order-status.js (their `items`
+// are the order source's shipmentItems)
+function buildLineItems(order, shipments) {
+  const orderItems = (order.items || []).filter(item => !item.adjustment);
+
+  const lineItems = orderItems.map(item => ({
+    orderItemId: item.orderItemId,
+    lineItemKey: item.lineItemKey || null,
+    sku: item.sku || null,
+    name: item.name,
+    imageUrl: item.imageUrl || null,
+    quantity: item.quantity,
+    options: (item.options || []).map(option => ({
+      name: option.name,
+      value: option.value
+    })),
+    shipments: [],
+    quantityShipped: 0,
+    quantityUnfulfilled: item.quantity,
+    fulfillmentStatus: 'unfulfilled'
+  }));
+
+  shipments.forEach(shipment => {
+    (shipment.items || []).forEach(shipmentItem => {
+      let remaining = shipmentItem.quantity || 0;
+
+      // A SKU can appear on several order lines; fill them in order
+      findMatchingLineItems(lineItems, shipmentItem).forEach(lineItem => {
+        const allocated = Math.min(remaining, lineItem.quantityUnfulfilled);
+        if (allocated <= 0) return;
+
+        lineItem.shipments.push({
+          shipmentId: shipment.shipmentId,
+          shipmentNumber: shipment.shipmentNumber,
+          trackingNumber: shipment.trackingNumber || null,
+          quantity: allocated
+        });
+        lineItem.quantityShipped += allocated;
+        lineItem.quantityUnfulfilled -= allocated;
+        remaining -= allocated;
+      });
+    });
+  });
+
+  lineItems.forEach(lineItem => {
+    if (lineItem.quantityUnfulfilled === 0) {
+      lineItem.fulfillmentStatus = 'fulfilled';
+    } else if (lineItem.quantityShipped > 0) {
+      lineItem.fulfillmentStatus = 'partially_fulfilled';
+    }
+  });
+
+  return lineItems;
+}
+
+// Prefer the exact order line, then the marketplace line key, then the SKU
+function findMatchingLineItems(lineItems, shipmentItem) {
+  if (shipmentItem.orderItemId) {
+    const byId = lineItems.filter(item => item.orderItemId === shipmentItem.orderItemId);
+    if (byId.length > 0) return byId;
+  }
+  if (shipmentItem.lineItemKey) {
+    const byKey = lineItems.filter(item => item.lineItemKey === shipmentItem.lineItemKey);
+    if (byKey.length > 0) return byKey;
+  }
+  if (shipmentItem.sku) {
+    return lineItems.filter(item => item.sku === shipmentItem.sku);
+  }
+  return [];
+}
+
+// "2 of 3 items shipped"
+function summarizeFulfillment(lineItems) {
+  const totalQuantity = lineItems.reduce((sum, item) => sum + item.quantity, 0);
+  const shippedQuantity = lineItems.reduce((sum, item) => sum + item.quantityShipped, 0);
+
+  return {
+    totalQuantity: totalQuantity,
+    shippedQuantity: shippedQuantity,
+    unfulfilledQuantity: totalQuantity - shippedQuantity
+  };
+}
+
+module.exports = {
+  buildLineItems,
+  summarizeFulfillment
+};
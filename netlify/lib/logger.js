@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: one JSON object per line, tagged with the function name
+// and a per-request correlation ID, with customer data and credentials
+// redacted before anything is written.
+//
+//   LOG_LEVEL      debug | info | warn | error | silent (default info)
+//   LOG_PAYLOADS   "true" to also write full upstream request/response bodies
+//                  (log.payload) at debug level with customer data left in -
+//                  for chasing a specific problem, never leave it on.
+//                  Credentials are redacted even then.
+//
+// Redaction works on field names (emails, phone numbers, street addresses,
+// tokens and keys anywhere in the logged fields) and on patterns inside any
+// string (email addresses, phone numbers, bearer credentials, signed tokens and
+// token-bearing query parameters).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = '[redacted]';
+
+const CREDENTIAL_KEY = /(apikey|api_key|secret|password|token|authorization|signature|cookie)/i;
+const SENSITIVE_KEY = /(email|phone|street|address|postal|zip|destination|^to$|^name$|^company$)/i;
+
+const STRING_REDACTIONS = [
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g, '$1 [redacted]'],
+  [/([?&](?:access|share|unsubscribe|token|key|secret|signature)=)[^&\s"]+/gi, '$1[redacted]'],
+  [/\b[A-Za-z0-9_-]{16,}\.[A-Za-z0-9_-]{16,}(?:\.[A-Za-z0-9_-]{16,})?\b/g, '[token]'],
+  [/[A-Za-z0-9._%+-]+(?:@|%40)[A-Za-z0-9.-]+\.[A-Za-z]{2,}/gi, '[email]'],
+  [/\+\d{10,15}\b/g, '[phone]']
+];
+
+const context = new AsyncLocalStorage();
+
+function getLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] !== undefined ? LEVELS[level] : LEVELS.info;
+}
+
+function isEnabled(level) {
+  return LEVELS[level] >= getLevel();
+}
+
+function write(level, message, fields) {
+  if (!isEnabled(level)) {
+    return;
+  }
+
+  const entry = {
+    level: level,
+    time: new Date().toISOString(),
+    msg: redactString(String(message)),
+    ...(context.getStore() || {}),
+    ...redact(fields || {})
+  };
+
+  const line = JSON.stringify(entry);
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+// credentialsOnly leaves customer data alone (payload dumps)
+function redact(value, key, credentialsOnly = false) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (key && typeof value !== 'boolean' &&
+      (CREDENTIAL_KEY.test(key) || (!credentialsOnly && SENSITIVE_KEY.test(key)))) {
+    return REDACTED;
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, null, credentialsOnly));
+  }
+  if (typeof value === 'object') {
+    const redacted = {};
+    Object.keys(value).forEach(field => {
+      redacted[field] = redact(value[field], field, credentialsOnly);
+    });
+    return redacted;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return credentialsOnly ? value : redactString(value);
+}
+
+function redactString(text) {
+  return STRING_REDACTIONS.reduce((result, [pattern, replacement]) =>
+    result.replace(pattern, replacement), text);
+}
+
+// Stacks only at debug level; the message is enough to find the line otherwise
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: redactString(error.message || '')
+  };
+  if (error.statusCode) {
+    serialized.statusCode = error.statusCode;
+  }
+  if (isEnabled('debug') && error.stack) {
+    serialized.stack = redactString(error.stack);
+  }
+  return serialized;
+}
+
+// Full upstream bodies, only when LOG_PAYLOADS is on and debug is enabled.
+// Raw JSON strings are parsed so their credentials can be redacted too.
+function payload(message, data) {
+  if (process.env.LOG_PAYLOADS !== 'true' || !isEnabled('debug')) {
+    return;
+  }
+
+  const entry = {
+    level: 'debug',
+    time: new Date().toISOString(),
+    msg: message,
+    ...(context.getStore() || {}),
+    payload: redactPayload(data)
+  };
+  console.log(JSON.stringify(entry));
+}
+
+// An upstream body with its credentials redacted and customer data left in
+function redactPayload(data) {
+  return redact(parsePayload(data), null, true);
+}
+
+function parsePayload(data) {
+  if (typeof data !== 'string') {
+    return data;
+  }
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+}
+
+// Callers can pass their own X-Request-Id to correlate with their logs;
+// otherwise use Netlify's request ID, or make one up
+function getRequestId(event) {
+  const headers = (event && event.headers) || {};
+  const supplied = headers['x-request-id'] || headers['X-Request-Id'];
+  if (supplied && /^[A-Za-z0-9._-]{1,64}$/.test(supplied)) {
+    return supplied;
+  }
+  return headers['x-nf-request-id'] || crypto.randomUUID();
+}
+
+// Wrap a function handler so everything it logs carries the function name and
+// request ID, and the response reports the ID in an X-Request-Id header
+function withRequestLogging(functionName, handler) {
+  return async (event, lambdaContext) => {
+    const requestId = getRequestId(event);
+
+    const response = await context.run({ function: functionName, requestId }, () =>
+      handler(event, lambdaContext));
+
+    if (!response) {
+      return response;
+    }
+    return {
+      ...response,
+      headers: { ...(response.headers || {}), 'X-Request-Id': requestId }
+    };
+  };
+}
+
+// The current request's ID, or null outside a wrapped handler
+function getCurrentRequestId() {
+  const store = context.getStore();
+  return store ? store.requestId : null;
+}
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  payload,
+  redactPayload,
+  withRequestLogging,
+  getCurrentRequestId
+};
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const { AsyncLocalStorage } = require('async_hooks');
+const log = require('./logger');
+
+// Per-request operational metrics: upstream latency per API, cache results,
+// which status branch a lookup took, 17track rejection codes, timeouts.
+// Everything recorded while a wrapped handler runs is collected into one
+// record and handed to the sinks when the handler returns:
+//   { function, requestId, time, statusCode, durationMs,
+//     counters: [{ name, tags, value }],
+//     timings:  [{ name, tags, count, totalMs, maxMs }] }
+//
+// METRICS_SINKS is a comma-separated list (default "log"):
+//   log    - one "Request metrics" log line per request
+//   memory - kept in this instance for getRecordedMetrics() (tests)
+//   file   - appended as JSON lines to METRICS_FILE
+//   http   - POSTed as JSON to METRICS_HTTP_URL with METRICS_HTTP_TOKEN as a
+//            bearer token (a collector, or a small adapter in front of one)
+//   none   - record nothing
+//
+// Metrics recorded outside a wrapped handler are dropped.
+
+const sinks = {
+  log: sendToLog,
+  memory: sendToMemory,
+  file: sendToFile,
+  http: sendToHttp,
+  none: async () => {}
+};
+
+// Don't hold the response for long on a slow collector
+const HTTP_SINK_TIMEOUT_MS = 2000;
+
+const context = new AsyncLocalStorage();
+const recorded = [];
+
+function increment(name, tags = {}, value = 1) {
+  const recorder = context.getStore();
+  if (!recorder) return;
+
+  const key = metricKey(name, tags);
+  const counter = recorder.counters.get(key) || { name, tags, value: 0 };
+  counter.value += value;
+  recorder.counters.set(key, counter);
+}
+
+function timing(name, durationMs, tags = {}) {
+  const recorder = context.getStore();
+  if (!recorder) return;
+
+  const key = metricKey(name, tags);
+  const entry = recorder.timings.get(key) || { name, tags, count: 0, totalMs: 0, maxMs: 0 };
+  entry.count++;
+  entry.totalMs += durationMs;
+  entry.maxMs = Math.max(entry.maxMs, durationMs);
+  recorder.timings.set(key, entry);
+}
+
+// One upstream API call. outcome is the HTTP status, 'error' or 'timeout'.
+function recordUpstreamCall(service, startedAt, outcome) {
+  timing('upstream.latency', Date.now() - startedAt, { service, outcome: String(outcome) });
+  if (outcome === 'timeout') {
+    increment('upstream.timeout', { service });
+  }
+}
+
+function metricKey(name, tags) {
+  return `${name}|${Object.keys(tags).sort().map(tag => `${tag}=${tags[tag]}`).join(',')}`;
+}
+
+// Wrap a function handler (inside withRequestLogging, so records carry the
+// request ID) to collect and flush its metrics
+function withRequestMetrics(functionName, handler) {
+  return async (event, lambdaContext) => {
+    const recorder = { counters: new Map(), timings: new Map() };
+    const startedAt = Date.now();
+    let response;
+
+    try {
+      response = await context.run(recorder, () => handler(event, lambdaContext));
+      return response;
+    } finally {
+      await flush({
+        function: functionName,
+        requestId: log.getCurrentRequestId(),
+        time: new Date(startedAt).toISOString(),
+        statusCode: response ? response.statusCode : 'error',
+        durationMs: Date.now() - startedAt,
+        counters: [...recorder.counters.values()],
+        timings: [...recorder.timings.values()]
+      });
+    }
+  };
+}
+
+// Sink failures are logged and otherwise ignored
+async function flush(record) {
+  await Promise.all(getSinkNames().map(async sinkName => {
+    const sink = sinks[sinkName];
+    if (!sink) {
+      log.error('Unknown metrics sink', { sink: sinkName });
+      return;
+    }
+    try {
+      await sink(record);
+    } catch (error) {
+      log.error('Metrics sink failed', { sink: sinkName, error: error });
+    }
+  }));
+}
+
+function getSinkNames() {
+  return (process.env.METRICS_SINKS || 'log')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+async function sendToLog(record) {
+  log.info('Request metrics', {
+    statusCode: record.statusCode,
+    durationMs: record.durationMs,
+    counters: record.counters,
+    timings: record.timings
+  });
+}
+
+async function sendToMemory(record) {
+  recorded.push(record);
+}
+
+async function sendToFile(record) {
+  const file = process.env.METRICS_FILE || path.join(os.tmpdir(), 'drought-order-tracker', 'metrics.jsonl');
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, JSON.stringify(record) + '\n');
+}
+
+function sendToHttp(record) {
+  return new Promise((resolve, reject) => {
+    if (!process.env.METRICS_HTTP_URL) {
+      reject(new Error('METRICS_HTTP_URL is not configured'));
+      return;
+    }
+
+    const url = new URL(process.env.METRICS_HTTP_URL);
+    const postData = JSON.stringify(record);
+
+    const req = https.request({
+      hostname: url.hostname,
+      port: url.port || undefined,
+      path: `${url.pathname}${url.search}`,
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.METRICS_HTTP_TOKEN || ''}`,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData)
+      }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve();
+        } else {
+          reject(new Error(`Metrics collector error: ${res.statusCode}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`Metrics network error: ${error.message}`));
+    });
+
+    req.setTimeout(HTTP_SINK_TIMEOUT_MS, () => {
+      req.destroy();
+      reject(new Error('Metrics request timeout'));
+    });
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+// Records kept by the memory sink, oldest first
+function getRecordedMetrics() {
+  return recorded.slice();
+}
+
+function resetRecordedMetrics() {
+  recorded.length = 0;
+}
+
+module.exports = {
+  increment,
+  timing,
+  recordUpstreamCall,
+  withRequestMetrics,
+  getRecordedMetrics,
+  resetRecordedMetrics
+};
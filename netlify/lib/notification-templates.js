@@ -0,0 +1,106 @@
+// Message templates for status-change notifications. Email gets a subject,
+// text and HTML body; SMS uses a short text body.
+
+const STORE_NAME = 'Came Up In The Drought';
+
+const HEADLINES = {
+  shipped: orderNumber => `Your order ${orderNumber} has shipped`,
+  out_for_delivery: orderNumber => `Your order ${orderNumber} is out for delivery`,
+  exception: orderNumber => `There's a problem delivering your order ${orderNumber}`,
+  delivered: orderNumber => `Your order ${orderNumber} has been delivered`
+};
+
+// context: { response, shipment, trackerUrl, unsubscribeUrl, channel }
+function renderNotification(event, context) {
+  const { response, shipment, trackerUrl, unsubscribeUrl } = context;
+  const headline = HEADLINES[event](response.orderNumber);
+  const details = getDetails(event, response, shipment);
+  const link = trackerUrl || shipment.trackingUrl;
+
+  if (context.channel === 'sms') {
+    return {
+      text: [`${STORE_NAME}: ${headline}.`, details[0], link, 'Reply STOP to opt out.']
+        .filter(Boolean)
+        .join(' ')
+    };
+  }
+
+  return {
+    subject: headline,
+    text: [
+      `${headline}.`,
+      '',
+      ...details,
+      '',
+      link ? `Track it here: ${link}` : null,
+      '',
+      `Don't want these updates? Unsubscribe: ${unsubscribeUrl}`
+    ].filter(line => line !== null).join('\n'),
+    html: `<p>${escapeHtml(headline)}.</p>` +
+      details.map(line => `<p>${escapeHtml(line)}</p>`).join('') +
+      (link ? `<p><a href="${escapeHtml(link)}">Track your order</a></p>` : '') +
+      `<p style="font-size:12px;color:#666">Don't want these updates? <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>`
+  };
+}
+
+// Text asking a number to confirm it wants updates, before any are sent
+function renderSmsConfirmation(orderNumber, confirmUrl) {
+  return {
+    text: `${STORE_NAME}: tap to get text updates about order ${orderNumber}: ${confirmUrl} ` +
+      'If you didn\'t ask for them, ignore this message.'
+  };
+}
+
+function getDetails(event, response, shipment) {
+  const details = [];
+  const carrier = shipment.carrierName ? ` with ${shipment.carrierName}` : '';
+  const tracking = shipment.trackingNumber ? ` (tracking number ${shipment.trackingNumber})` : '';
+
+  if (shipment.totalShipments > 1) {
+    details.push(`This is package ${shipment.shipmentNumber} of ${shipment.totalShipments}.`);
+  }
+
+  switch (event) {
+    case 'shipped':
+      details.unshift(`It's on its way${carrier}${tracking}.`);
+      if (shipment.estimatedDelivery) {
+        details.push(`Estimated delivery: ${formatWindow(shipment.estimatedDelivery)}.`);
+      }
+      break;
+    case 'out_for_delivery':
+      details.unshift(`It should arrive today${tracking}.`);
+      break;
+    case 'exception':
+      details.unshift(`The carrier reports: ${shipment.stageLabel}${tracking}.`);
+      if (shipment.latestActivity && shipment.latestActivity.description) {
+        const location = shipment.latestActivity.location ? ` (${shipment.latestActivity.location})` : '';
+        details.push(`Latest update: ${shipment.latestActivity.description}${location}`);
+      }
+      details.push('If you need help, just reply to this message.');
+      break;
+    case 'delivered':
+      details.unshift(shipment.deliveryDate
+        ? `It was delivered on ${shipment.deliveryDate.slice(0, 10)}${tracking}.`
+        : `It was delivered${tracking}.`);
+      break;
+  }
+
+  return details;
+}
+
+function formatWindow(estimate) {
+  return estimate.from === estimate.to ? estimate.from : `${estimate.from} to ${estimate.to}`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  renderNotification,
+  renderSmsConfirmation
+};
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { signToken, verifyToken } = require('./tokens');
+const { STAGES } = require('./stages');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+const { renderNotification, renderSmsConfirmation } = require('./notification-templates');
+
+// "Tell me when it ships" subscriptions. Each subscription remembers the last
+// notification event it saw per shipment; the scheduled send-notifications
+// function rebuilds the order response and notifies on transitions.
+//
+//   NOTIFICATION_SUBSCRIPTION_TTL_DAYS   drop subscriptions older than this (default 60)
+//   URL                                  site URL for unsubscribe and confirmation links
+//                                        (set by Netlify; TRACKER_PAGE_URL's origin otherwise)
+//
+// Subscriptions live in the 'notifications' store under "subscription:<id>".
+// The id is derived from order + channel + destination, so subscribing twice
+// updates the existing subscription instead of doubling every message.
+//
+// Email goes to the order's own address, but anyone who knows the order number
+// and email could enter a stranger's phone number. SMS subscriptions start
+// unconfirmed: the number gets a confirmation link, nothing else is sent until
+// it's opened, and unconfirmed subscriptions are dropped after a day.
+
+const NOTIFICATION_EVENTS = ['shipped', 'out_for_delivery', 'exception', 'delivered'];
+const CHANNELS = ['email', 'sms'];
+const DEFAULT_SUBSCRIPTION_TTL_DAYS = 60;
+const UNSUBSCRIBE_TOKEN_TTL_SECONDS = 365 * 24 * 60 * 60;
+const SMS_CONFIRMATION_TTL_SECONDS = 24 * 60 * 60;
+// Subscribing again inside this doesn't text the number again
+const SMS_CONFIRMATION_RESEND_SECONDS = 15 * 60;
+const KEY_PREFIX = 'subscription:';
+
+// The notification event a shipment is currently at, or null before it ships
+function getShipmentEvent(shipment) {
+  if (shipment.isDelivered) return 'delivered';
+  if (shipment.needsAttention) return 'exception';
+  if (shipment.stage === STAGES.OUT_FOR_DELIVERY) return 'out_for_delivery';
+  if (shipment.actuallyShipped) return 'shipped';
+  return null;
+}
+
+function getShipmentKey(shipment) {
+  return String(shipment.trackingNumber || shipment.shipmentId);
+}
+
+// shipment key -> current event, for a get-order style response
+function snapshotShipments(response) {
+  const snapshot = {};
+  (response.shipments || []).forEach(shipment => {
+    snapshot[getShipmentKey(shipment)] = getShipmentEvent(shipment);
+  });
+  return snapshot;
+}
+
+function getSubscriptionId(order, channel, destination) {
+  return crypto
+    .createHash('sha256')
+    .update([order.source, order.orderId || order.orderNumber, channel, destination.toLowerCase()].join('|'))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+// response is the current get-order response for the order; it becomes the
+// baseline, so nothing that already happened gets announced
+async function subscribe(order, response, { channel, destination, events }) {
+  const id = getSubscriptionId(order, channel, destination);
+  const store = getStore('notifications');
+  const existing = await store.get(`${KEY_PREFIX}${id}`);
+
+  const subscription = {
+    id: id,
+    source: order.source,
+    orderId: order.orderId || null,
+    orderNumber: order.orderNumber,
+    channel: channel,
+    destination: destination,
+    events: events,
+    lastKnown: snapshotShipments(response),
+    sent: existing ? existing.sent : [],
+    confirmed: channel !== 'sms' || Boolean(existing && existing.confirmed),
+    confirmationSentAt: existing ? existing.confirmationSentAt || null : null,
+    createdAt: existing ? existing.createdAt : new Date().toISOString(),
+    lastCheckedAt: null
+  };
+
+  await store.set(`${KEY_PREFIX}${id}`, subscription);
+  return subscription;
+}
+
+async function getSubscription(id) {
+  return getStore('notifications').get(`${KEY_PREFIX}${id}`);
+}
+
+async function saveSubscription(subscription) {
+  await getStore('notifications').set(`${KEY_PREFIX}${subscription.id}`, subscription);
+}
+
+async function deleteSubscription(id) {
+  await getStore('notifications').delete(`${KEY_PREFIX}${id}`);
+}
+
+async function listSubscriptions() {
+  const store = getStore('notifications');
+  const keys = await store.list(KEY_PREFIX);
+  const subscriptions = await Promise.all(keys.map(key => store.get(key)));
+  return subscriptions.filter(Boolean);
+}
+
+function isSubscriptionExpired(subscription) {
+  if (subscription.confirmed === false) {
+    const askedAt = Date.parse(subscription.confirmationSentAt || subscription.createdAt);
+    return askedAt + SMS_CONFIRMATION_TTL_SECONDS * 1000 < Date.now();
+  }
+
+  const ttlDays = Number(process.env.NOTIFICATION_SUBSCRIPTION_TTL_DAYS) || DEFAULT_SUBSCRIPTION_TTL_DAYS;
+  return Date.parse(subscription.createdAt) + ttlDays * 24 * 60 * 60 * 1000 < Date.now();
+}
+
+// Shipments whose event changed since the last check to one the subscriber
+// asked for and hasn't been sent before. Returns [{ event, shipment, dedupeKey }].
+function findTransitions(subscription, response) {
+  const transitions = [];
+
+  (response.shipments || []).forEach(shipment => {
+    const key = getShipmentKey(shipment);
+    const event = getShipmentEvent(shipment);
+    const dedupeKey = `${event}:${key}`;
+
+    if (!event || event === subscription.lastKnown[key]) return;
+    if (!subscription.events.includes(event)) return;
+    if (subscription.sent.includes(dedupeKey)) return;
+
+    transitions.push({ event, shipment, dedupeKey });
+  });
+
+  return transitions;
+}
+
+async function sendNotification(subscription, event, context) {
+  const message = renderNotification(event, {
+    ...context,
+    channel: subscription.channel,
+    unsubscribeUrl: createUnsubscribeUrl(subscription)
+  });
+
+  if (subscription.channel === 'sms') {
+    await sendSms({ to: subscription.destination, body: message.text });
+  } else {
+    await sendMail({
+      to: subscription.destination,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+  }
+}
+
+// Text an unconfirmed SMS subscription its confirmation link, unless one went
+// out recently. Resolves to whether a text was sent.
+async function sendSmsConfirmation(subscription) {
+  const lastSentAt = Date.parse(subscription.confirmationSentAt || '');
+  if (lastSentAt + SMS_CONFIRMATION_RESEND_SECONDS * 1000 > Date.now()) {
+    return false;
+  }
+
+  const message = renderSmsConfirmation(subscription.orderNumber, createSubscriptionLink(
+    'confirm',
+    signToken('sms-confirm', { subscriptionId: subscription.id }, SMS_CONFIRMATION_TTL_SECONDS)
+  ));
+  await sendSms({ to: subscription.destination, body: message.text });
+
+  subscription.confirmationSentAt = new Date().toISOString();
+  await saveSubscription(subscription);
+  return true;
+}
+
+// The confirmed subscription, or null when it's gone (expired or unsubscribed)
+async function confirmSubscription(id) {
+  const subscription = await getSubscription(id);
+  if (!subscription) {
+    return null;
+  }
+
+  if (!subscription.confirmed) {
+    subscription.confirmed = true;
+    subscription.confirmedAt = new Date().toISOString();
+    await saveSubscription(subscription);
+  }
+  return subscription;
+}
+
+function createUnsubscribeUrl(subscription) {
+  return createSubscriptionLink(
+    'unsubscribe',
+    signToken('unsubscribe', { subscriptionId: subscription.id }, UNSUBSCRIBE_TOKEN_TTL_SECONDS)
+  );
+}
+
+// Unsubscribe and confirmation links need TOKEN_SECRET and a site to point at
+function isSubscriptionLinkConfigured() {
+  return Boolean(process.env.TOKEN_SECRET && (process.env.URL || process.env.TRACKER_PAGE_URL));
+}
+
+function createSubscriptionLink(parameter, token) {
+  if (!process.env.URL && !process.env.TRACKER_PAGE_URL) {
+    throw new Error('URL or TRACKER_PAGE_URL must be configured for subscription links');
+  }
+
+  const baseUrl = process.env.URL || new URL(process.env.TRACKER_PAGE_URL).origin;
+  const link = new URL('/.netlify/functions/subscriptions', baseUrl);
+  link.searchParams.set(parameter, token);
+  return link.toString();
+}
+
+// Subscription id from an unsubscribe link, or null
+function verifyUnsubscribeToken(token) {
+  const claims = verifyToken(token, 'unsubscribe');
+  return claims ? claims.subscriptionId : null;
+}
+
+// Subscription id from an SMS confirmation link, or null
+function verifySmsConfirmationToken(token) {
+  const claims = verifyToken(token, 'sms-confirm');
+  return claims ? claims.subscriptionId : null;
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  CHANNELS,
+  subscribe,
+  getSubscription,
+  saveSubscription,
+  deleteSubscription,
+  listSubscriptions,
+  isSubscriptionExpired,
+  isSubscriptionLinkConfigured,
+  snapshotShipments,
+  findTransitions,
+  sendNotification,
+  sendSmsConfirmation,
+  confirmSubscription,
+  verifyUnsubscribeToken,
+  verifySmsConfirmationToken
+};
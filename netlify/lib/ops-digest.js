@@ -0,0 +1,214 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const { sendMail } = require('./mailer');
+const { RULE_LABELS } = require('./stuck-shipments');
+const log = require('./logger');
+
+// Daily ops digest of stuck and late shipments (stuck-shipments.js), grouped
+// by carrier and rule, sent to every sink in OPS_DIGEST_SINKS (comma-separated,
+// default "log"):
+//   email    - to OPS_DIGEST_EMAIL (comma-separated) through the mailer
+//              (MAIL_TRANSPORT)
+//   webhook  - POST { text } to OPS_DIGEST_WEBHOOK_URL (Slack incoming webhooks
+//              and anything that accepts the same shape)
+//   file     - the digest as JSON plus the text version under
+//              OPS_DIGEST_FILE_DIR (local testing)
+//   log      - one "Ops digest" log line with the counts
+
+const sinks = {
+  email: sendToEmail,
+  webhook: sendToWebhook,
+  file: sendToFile,
+  log: sendToLog
+};
+
+// Longest list of shipments shown per carrier and rule in the text version
+const MAX_LISTED_SHIPMENTS = 15;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// findings: [{ shipment, rule, label, detail }], where shipment is a normalized
+// shipment with its orderNumber. meta: { from, to, checked, complete }.
+function buildDigest(findings, meta) {
+  const groups = new Map();
+  findings.forEach(finding => {
+    const carrier = finding.shipment.carrierName || 'Unknown carrier';
+    if (!groups.has(carrier)) groups.set(carrier, new Map());
+    const rules = groups.get(carrier);
+    if (!rules.has(finding.rule)) rules.set(finding.rule, []);
+    rules.get(finding.rule).push({
+      orderNumber: finding.shipment.orderNumber,
+      trackingNumber: finding.shipment.trackingNumber,
+      trackingUrl: finding.shipment.trackingUrl,
+      shipDate: finding.shipment.shipDate,
+      stage: finding.shipment.stage,
+      detail: finding.detail
+    });
+  });
+
+  const byRule = {};
+  findings.forEach(finding => {
+    byRule[finding.rule] = (byRule[finding.rule] || 0) + 1;
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    from: meta.from,
+    to: meta.to,
+    checked: meta.checked,
+    complete: meta.complete,
+    total: findings.length,
+    byRule: byRule,
+    carriers: [...groups].map(([carrier, rules]) => ({
+      carrier: carrier,
+      total: [...rules.values()].reduce((sum, shipments) => sum + shipments.length, 0),
+      rules: [...rules].map(([rule, shipments]) => ({
+        rule: rule,
+        label: RULE_LABELS[rule] || rule,
+        shipments: shipments
+      }))
+    })).sort((a, b) => b.total - a.total)
+  };
+}
+
+function getSubject(digest) {
+  return digest.total === 0
+    ? `Shipment digest: nothing stuck (${digest.checked} checked)`
+    : `Shipment digest: ${digest.total} stuck or late of ${digest.checked} checked`;
+}
+
+// Plain text for email and chat
+function renderText(digest) {
+  const lines = [
+    getSubject(digest),
+    `Shipments shipped ${digest.from} to ${digest.to}.`
+  ];
+  if (!digest.complete) {
+    lines.push('Ran out of time before checking them all - the rest are not included.');
+  }
+
+  digest.carriers.forEach(group => {
+    lines.push('', `${group.carrier} (${group.total})`);
+    group.rules.forEach(ruleGroup => {
+      lines.push(`  ${ruleGroup.label} (${ruleGroup.shipments.length})`);
+      ruleGroup.shipments.slice(0, MAX_LISTED_SHIPMENTS).forEach(shipment => {
+        lines.push(`    #${shipment.orderNumber}  ${shipment.trackingNumber}  ${shipment.detail}`);
+      });
+      if (ruleGroup.shipments.length > MAX_LISTED_SHIPMENTS) {
+        lines.push(`    ...and ${ruleGroup.shipments.length - MAX_LISTED_SHIPMENTS} more`);
+      }
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// Sink failures are logged; resolves to the names of the sinks that failed
+async function sendDigest(digest) {
+  const failed = [];
+  await Promise.all(getSinkNames().map(async sinkName => {
+    const sink = sinks[sinkName];
+    if (!sink) {
+      log.error('Unknown ops digest sink', { sink: sinkName });
+      failed.push(sinkName);
+      return;
+    }
+    try {
+      await sink(digest);
+    } catch (error) {
+      log.error('Ops digest sink failed', { sink: sinkName, error: error });
+      failed.push(sinkName);
+    }
+  }));
+  return failed;
+}
+
+function getSinkNames() {
+  return (process.env.OPS_DIGEST_SINKS || 'log')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+async function sendToEmail(digest) {
+  if (!process.env.OPS_DIGEST_EMAIL) {
+    throw new Error('OPS_DIGEST_EMAIL is not configured');
+  }
+
+  await sendMail({
+    to: process.env.OPS_DIGEST_EMAIL,
+    subject: getSubject(digest),
+    text: renderText(digest)
+  });
+}
+
+function sendToWebhook(digest) {
+  return new Promise((resolve, reject) => {
+    if (!process.env.OPS_DIGEST_WEBHOOK_URL) {
+      reject(new Error('OPS_DIGEST_WEBHOOK_URL is not configured'));
+      return;
+    }
+
+    const url = new URL(process.env.OPS_DIGEST_WEBHOOK_URL);
+    const postData = JSON.stringify({ text: renderText(digest) });
+
+    const req = https.request({
+      hostname: url.hostname,
+      port: url.port || undefined,
+      path: `${url.pathname}${url.search}`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData)
+      }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve();
+        } else {
+          reject(new Error(`Ops digest webhook error: ${res.statusCode}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`Ops digest webhook network error: ${error.message}`));
+    });
+
+    req.setTimeout(WEBHOOK_TIMEOUT_MS, () => {
+      req.destroy();
+      reject(new Error('Ops digest webhook timeout'));
+    });
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+async function sendToFile(digest) {
+  const dir = process.env.OPS_DIGEST_FILE_DIR || path.join(os.tmpdir(), 'drought-order-tracker', 'ops-digest');
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const baseName = path.join(dir, `digest-${digest.generatedAt.replace(/[:.]/g, '-')}`);
+  await fs.promises.writeFile(`${baseName}.json`, JSON.stringify(digest, null, 2));
+  await fs.promises.writeFile(`${baseName}.txt`, renderText(digest));
+}
+
+async function sendToLog(digest) {
+  log.info('Ops digest', {
+    from: digest.from,
+    to: digest.to,
+    checked: digest.checked,
+    complete: digest.complete,
+    total: digest.total,
+    byRule: digest.byRule
+  });
+}
+
+module.exports = {
+  buildDigest,
+  renderText,
+  sendDigest
+};
@@ -0,0 +1,223 @@
+const { getOrderSource, getOrderSources } = require('./order-sources');
+const { getShipmentsWithTracking } = require('./tracking');
+const { hasTrackingProviders } = require('./tracking-providers');
+const { readThrough } = require('./cache');
+const { UpstreamBusyError } = require('./retry');
+const {
+  partitionShipments,
+  buildShipments,
+  buildReplacedLabels,
+  aggregateOrderStatus,
+  getArrivesBy
+} = require('./order-status');
+const { buildLineItems, summarizeFulfillment } = require('./line-items');
+const { describeOrderStatus } = require('./order-states');
+const { consumeLookup } = require('./rate-limit');
+const { verifyCaptcha } = require('./captcha');
+const log = require('./logger');
+const metrics = require('./metrics');
+
+// Time reserved after tracking lookups to aggregate and send the response
+const RESPONSE_MARGIN_MS = 1000;
+// Retry-After when the CAPTCHA provider can't be reached
+const CAPTCHA_RETRY_AFTER_SECONDS = 30;
+
+// Rate limit / lockout, then the optional CAPTCHA (CAPTCHA_PROVIDER; the token
+// comes from the tracker page widget). Returns an error response, or null to proceed.
+async function guardLookup(clientIp, subject, requestBody, headers) {
+  const lookupAllowed = await consumeLookup(clientIp, subject);
+  if (!lookupAllowed.allowed) {
+    log.info('Lookup blocked', { reason: lookupAllowed.reason });
+    return {
+      statusCode: 429,
+      headers: {
+        ...headers,
+        'Retry-After': String(lookupAllowed.retryAfterSeconds)
+      },
+      body: JSON.stringify({
+        error: 'Too many lookup attempts. Please wait a few minutes and try again.',
+        retryAfter: lookupAllowed.retryAfterSeconds
+      })
+    };
+  }
+
+  const captchaPassed = await verifyCaptcha(requestBody.captchaToken, clientIp);
+  if (captchaPassed === null) {
+    return {
+      statusCode: 503,
+      headers: {
+        ...headers,
+        'Retry-After': String(CAPTCHA_RETRY_AFTER_SECONDS)
+      },
+      body: JSON.stringify({
+        error: `Order tracking is temporarily busy. Please try again in ${CAPTCHA_RETRY_AFTER_SECONDS} seconds.`,
+        retryAfter: CAPTCHA_RETRY_AFTER_SECONDS
+      })
+    };
+  }
+  if (!captchaPassed) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ error: 'CAPTCHA verification failed. Please try again.' })
+    };
+  }
+
+  return null;
+}
+
+// The order with exactly this order number and customer email, from the
+// first order source that has it, or null. Cached per source + order number +
+// email, only when found. Resolves to { order, cacheStatus }.
+async function findOrder(orderNumber, email, { deadline }) {
+  let cacheStatus = 'miss';
+
+  for (const source of getOrderSources()) {
+    const orderResult = await readThrough(
+      'order',
+      [source.name, orderNumber, email],
+      () => source.findOrder(orderNumber, email, { deadline }),
+      { shouldCache: order => Boolean(order) }
+    );
+
+    cacheStatus = orderResult.cacheStatus;
+    if (orderResult.value) {
+      return { order: orderResult.value, cacheStatus };
+    }
+  }
+
+  return { order: null, cacheStatus };
+}
+
+// An order by its source and id (share links, subscriptions), or null.
+// Resolves to { order, cacheStatus }.
+async function getOrderById(sourceName, orderId, { deadline, bypassCache }) {
+  const source = getOrderSource(sourceName);
+  if (!source || !source.isConfigured() || !orderId) {
+    return { order: null, cacheStatus: 'miss' };
+  }
+
+  const orderResult = await readThrough(
+    'order',
+    ['id', source.name, orderId],
+    () => source.getOrder(orderId, { deadline }),
+    { bypass: bypassCache, shouldCache: order => Boolean(order) }
+  );
+  return { order: orderResult.value, cacheStatus: orderResult.cacheStatus };
+}
+
+// Build the tracker response for an order that has already been matched (by
+// order number + email, or by a share token): shipments from its order source,
+// carrier tracking status, line items and the rolled-up order status. Return
+// legs and voided (replaced) labels are listed separately and don't count
+// towards the status or the line items.
+//
+// Options: deadline, cacheStatus (filled with shipments/tracking cache
+// results), bypassCache
+async function buildOrderResponse(order, options) {
+  const { deadline } = options;
+  const source = getOrderSource(order.source);
+  const cacheStatus = options.cacheStatus || {};
+
+  // Get shipments - always check regardless of order status
+  let shipments = [];
+  let returnShipments = [];
+  let replacedLabels = [];
+  let effectiveOrderStatus = order.orderStatus;
+  // Which data the status came from, for the order.status metric
+  let statusBranch = 'no_shipments';
+
+  try {
+    const shipmentResult = await readThrough(
+      'shipments',
+      [source.name, order.orderId || order.orderNumber],
+      () => source.getShipments(order, { deadline }),
+      { bypass: options.bypassCache }
+    );
+    cacheStatus.shipments = shipmentResult.cacheStatus;
+
+    const { outbound, returns, voided } = partitionShipments(shipmentResult.value);
+    replacedLabels = buildReplacedLabels(voided);
+    // Return legs get carrier tracking too; outbound first so they can be split off again
+    const orderShipments = [...outbound, ...returns];
+
+    if (orderShipments.length > 0) {
+      log.debug('Found shipments', { shipments: outbound.length, returns: returns.length, voided: voided.length });
+
+      let trackedShipments = null;
+
+      if (hasTrackingProviders()) {
+        try {
+          trackedShipments = await getShipmentsWithTracking(
+            orderShipments,
+            { deadline: deadline - RESPONSE_MARGIN_MS, cacheStatus, bypassCache: options.bypassCache }
+          );
+          statusBranch = 'tracking';
+        } catch (trackingError) {
+          log.error('Tracking lookup failed, using order source data only', { error: trackingError });
+          metrics.increment('tracking.fallback', { reason: 'lookup_failed' });
+          statusBranch = 'order_source_fallback';
+        }
+      } else {
+        log.debug('No tracking provider configured, using order source data only');
+        statusBranch = 'order_source';
+      }
+
+      // Same shipment schema and status rules whichever data we ended up with
+      shipments = buildShipments(outbound, trackedShipments && trackedShipments.slice(0, outbound.length));
+      returnShipments = buildShipments(returns, trackedShipments && trackedShipments.slice(outbound.length));
+      effectiveOrderStatus = aggregateOrderStatus(shipments, order.orderStatus);
+    } else {
+      log.debug('No shipments found for this order');
+    }
+  } catch (shipmentError) {
+    // An order with no shipments would look "processing" - report busy instead
+    if (shipmentError instanceof UpstreamBusyError) {
+      throw shipmentError;
+    }
+    log.error('Error fetching shipment info', { error: shipmentError });
+    statusBranch = 'shipments_error';
+  }
+
+  log.info('Order status resolved', {
+    orderNumber: order.orderNumber,
+    source: source.name,
+    orderStatus: effectiveOrderStatus,
+    shipments: shipments.length,
+    returns: returnShipments.length,
+    replacedLabels: replacedLabels.length
+  });
+  metrics.increment('order.status', { status: effectiveOrderStatus, branch: statusBranch });
+
+  // Which units went out in which box, and what's still to ship
+  const items = buildLineItems(order, shipments);
+  const orderState = describeOrderStatus(effectiveOrderStatus);
+
+  // Format response
+  return {
+    orderNumber: order.orderNumber,
+    customerEmail: order.customerEmail,
+    orderDate: order.orderDate,
+    orderStatus: effectiveOrderStatus.toLowerCase(),
+    orderState: orderState.state,
+    statusLabel: orderState.label,
+    statusMessage: orderState.message,
+    arrivesBy: getArrivesBy(shipments),
+    shipments: shipments,
+    returns: returnShipments,
+    replacedLabels: replacedLabels,
+    items: items,
+    fulfillment: summarizeFulfillment(items),
+    sources: {
+      orderStatus: shipments.length > 0 ? 'shipments' : (order.source || 'shipstation')
+    }
+  };
+}
+
+module.exports = {
+  RESPONSE_MARGIN_MS,
+  guardLookup,
+  findOrder,
+  getOrderById,
+  buildOrderResponse
+};
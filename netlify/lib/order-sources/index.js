@@ -0,0 +1,64 @@
+const shipstation = require('./shipstation');
+const shopify = require('./shopify');
+
+// Where orders and their shipments come from. Each source is an object with:
+//   name                                       'shipstation', 'shopify'
+//   isConfigured()                             true when its credentials are set
+//   findOrder(orderNumber, email, options)     the matching order, or null
+//   findOrdersByNumber(orderNumber, options)   every order with that number, whatever
+//                                              the email (support API only)
+//   getOrder(orderId, options)                 the order, or null
+//   listOrdersByEmail(email, limit, options)   newest first
+//   getShipments(order, options)               the order's shipments
+//   findShipmentByTrackingNumber(number, options)
+//   listShipments(query, options)              optional: one page of shipments by ship
+//                                              date (oldest first, or newest with
+//                                              query.sortDir 'DESC'), as
+//                                              { shipments, page, pages, total }
+//                                              (backfill.js)
+//   healthCheck(options)                       a cheap authenticated call; rejects
+//                                              when the source is unreachable
+//
+// Sources return canonical orders and shipments, in ShipStation's vocabulary:
+//   order     { source, orderId, orderNumber, storeId, orderDate, orderStatus, customerEmail,
+//               items: [{ orderItemId, lineItemKey, sku, name, imageUrl, quantity,
+//                         options, adjustment }] }
+//             orderStatus is awaiting_payment, awaiting_shipment, pending_fulfillment,
+//             on_hold, shipped or cancelled (order-states.js maps each one to
+//             what the customer sees); storeId is null for single-store sources
+//   shipment  { source, shipmentId, orderId, orderNumber, trackingNumber, carrierCode,
+//               serviceCode, shipDate, deliveryDate, shipmentStatus, voided, voidDate,
+//               isReturnLabel, shipmentItems: [{ orderItemId, lineItemKey, sku, quantity }] }
+//
+// ORDER_SOURCES lists the sources to search, in order (default
+// "shipstation,shopify"); only configured ones are used. The first source
+// with a match wins.
+
+const SOURCES = {
+  [shipstation.name]: shipstation,
+  [shopify.name]: shopify
+};
+
+const DEFAULT_ORDER_SOURCES = 'shipstation,shopify';
+
+// Orders created before there were other sources carry no source
+function getOrderSource(name) {
+  return SOURCES[name || shipstation.name] || null;
+}
+
+function getOrderSources() {
+  return (process.env.ORDER_SOURCES || DEFAULT_ORDER_SOURCES)
+    .split(',')
+    .map(name => SOURCES[name.trim().toLowerCase()])
+    .filter(source => source && source.isConfigured());
+}
+
+function hasOrderSources() {
+  return getOrderSources().length > 0;
+}
+
+module.exports = {
+  getOrderSource,
+  getOrderSources,
+  hasOrderSources
+};
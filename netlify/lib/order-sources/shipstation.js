@@ -0,0 +1,191 @@
+const { makeShipStationRequest, makeShipStationListRequest, createShipStationAuth } = require('../shipstation');
+const log = require('../logger');
+
+// ShipStation v1: orders and shipments (with shipment items) over Basic auth.
+//   SHIPSTATION_API_KEY / SHIPSTATION_API_SECRET
+//   SHIPSTATION_STORE_IDS   optional comma-separated store IDs; orders and
+//                           shipments from other stores on the account are ignored
+// ShipStation's field names are the canonical shape, so normalizing is mostly
+// picking the fields the tracker uses.
+//
+// Order numbers are only unique within a store: an account with several
+// stores (marketplaces) can have different orders with the same number, so
+// shipments are fetched by orderId rather than order number.
+
+function getAuth() {
+  return createShipStationAuth(process.env.SHIPSTATION_API_KEY, process.env.SHIPSTATION_API_SECRET);
+}
+
+function getStoreId(record) {
+  return record.advancedOptions ? record.advancedOptions.storeId : null;
+}
+
+// Records without a store ID (older shipments) are let through
+function isAllowedStore(record) {
+  const storeIds = (process.env.SHIPSTATION_STORE_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+  const storeId = getStoreId(record);
+  return storeIds.length === 0 || storeId === null || storeId === undefined || storeIds.includes(String(storeId));
+}
+
+function normalizeOrder(order) {
+  return {
+    source: 'shipstation',
+    orderId: order.orderId,
+    orderNumber: order.orderNumber,
+    storeId: getStoreId(order),
+    orderDate: order.orderDate,
+    orderStatus: order.orderStatus,
+    customerEmail: order.customerEmail,
+    items: order.items || []
+  };
+}
+
+function normalizeShipment(shipment) {
+  return {
+    source: 'shipstation',
+    shipmentId: shipment.shipmentId,
+    orderId: shipment.orderId,
+    orderNumber: shipment.orderNumber,
+    trackingNumber: shipment.trackingNumber,
+    carrierCode: shipment.carrierCode,
+    serviceCode: shipment.serviceCode,
+    shipDate: shipment.shipDate,
+    deliveryDate: shipment.deliveryDate || null,
+    shipmentStatus: shipment.shipmentStatus || null,
+    voided: Boolean(shipment.voided),
+    voidDate: shipment.voidDate || null,
+    isReturnLabel: Boolean(shipment.isReturnLabel),
+    shipmentItems: shipment.shipmentItems || []
+  };
+}
+
+module.exports = {
+  name: 'shipstation',
+
+  isConfigured() {
+    return Boolean(process.env.SHIPSTATION_API_KEY && process.env.SHIPSTATION_API_SECRET);
+  },
+
+  async healthCheck(options = {}) {
+    await makeShipStationRequest('/stores?showInactive=false', getAuth(), options);
+  },
+
+  async findOrder(orderNumber, email, options = {}) {
+    const searchParams = new URLSearchParams({
+      orderNumber: orderNumber,
+      customerEmail: email
+    });
+    const orders = await makeShipStationListRequest(`/orders?${searchParams}`, 'orders', getAuth(), options);
+
+    const matches = orders.filter(candidate => {
+      const orderMatches = candidate.orderNumber === orderNumber;
+      const emailMatches = (candidate.customerEmail || '').toLowerCase() === email.toLowerCase();
+      return orderMatches && emailMatches && isAllowedStore(candidate);
+    });
+    if (matches.length === 0) {
+      return null;
+    }
+
+    // Same number and email in more than one store: show the newest
+    if (matches.length > 1) {
+      log.warn('Order number matches orders in several stores', {
+        orderNumber: orderNumber,
+        stores: matches.map(getStoreId)
+      });
+      matches.sort((a, b) => String(b.orderDate || '').localeCompare(String(a.orderDate || '')));
+    }
+    return normalizeOrder(matches[0]);
+  },
+
+  async findOrdersByNumber(orderNumber, options = {}) {
+    const searchParams = new URLSearchParams({ orderNumber: orderNumber });
+    const orders = await makeShipStationListRequest(`/orders?${searchParams}`, 'orders', getAuth(), options);
+    return orders
+      .filter(order => order.orderNumber === orderNumber && isAllowedStore(order))
+      .map(normalizeOrder);
+  },
+
+  async getOrder(orderId, options = {}) {
+    // A missing order comes back as the empty 404 result, without orderNumber
+    const order = await makeShipStationRequest(`/orders/${encodeURIComponent(orderId)}`, getAuth(), options);
+    return order.orderNumber && isAllowedStore(order) ? normalizeOrder(order) : null;
+  },
+
+  // Newest first, exact email matches only
+  async listOrdersByEmail(email, limit, options = {}) {
+    const searchParams = new URLSearchParams({
+      customerEmail: email,
+      sortBy: 'OrderDate',
+      sortDir: 'DESC',
+      pageSize: String(limit)
+    });
+    // customerEmail is a partial match, so keep paging until there are enough exact ones
+    const isMatch = order => order.customerEmail &&
+      order.customerEmail.toLowerCase() === email.toLowerCase() &&
+      isAllowedStore(order);
+    const orders = await makeShipStationListRequest(`/orders?${searchParams}`, 'orders', getAuth(), {
+      ...options,
+      until: results => results.filter(isMatch).length >= limit
+    });
+
+    return orders
+      .filter(isMatch)
+      .slice(0, limit)
+      .map(normalizeOrder);
+  },
+
+  // By orderId, not number - see the note at the top
+  async getShipments(order, options = {}) {
+    const shipments = await makeShipStationListRequest(
+      `/shipments?orderId=${encodeURIComponent(order.orderId)}&includeShipmentItems=true`,
+      'shipments',
+      getAuth(),
+      options
+    );
+
+    return shipments
+      .filter(shipment => shipment.orderId === order.orderId)
+      .map(normalizeShipment);
+  },
+
+  // One page of every shipment shipped in a date range, oldest first (backfill).
+  // query: { shipDateStart, shipDateEnd, page, pageSize }, dates as YYYY-MM-DD.
+  async listShipments(query, options = {}) {
+    const searchParams = new URLSearchParams({
+      shipDateStart: query.shipDateStart,
+      shipDateEnd: query.shipDateEnd,
+      sortBy: 'ShipDate',
+      sortDir: query.sortDir || 'ASC',
+      page: String(query.page || 1),
+      pageSize: String(query.pageSize || 100)
+    });
+    const shipmentData = await makeShipStationRequest(`/shipments?${searchParams}`, getAuth(), options);
+
+    return {
+      shipments: (shipmentData.shipments || []).filter(isAllowedStore).map(normalizeShipment),
+      page: shipmentData.page || query.page || 1,
+      pages: shipmentData.pages || 0,
+      total: shipmentData.total || 0
+    };
+  },
+
+  async findShipmentByTrackingNumber(trackingNumber, options = {}) {
+    const shipments = await makeShipStationListRequest(
+      `/shipments?trackingNumber=${encodeURIComponent(trackingNumber)}`,
+      'shipments',
+      getAuth(),
+      options
+    );
+
+    const shipment = shipments.find(candidate =>
+      candidate.trackingNumber &&
+      candidate.trackingNumber.replace(/\s+/g, '').toUpperCase() === trackingNumber &&
+      !candidate.voided &&
+      isAllowedStore(candidate)
+    );
+    return shipment ? normalizeShipment(shipment) : null;
+  }
+};
@@ -0,0 +1,173 @@
+const { requestJson } = require('../http');
+const { findCarrierByName } = require('../carriers');
+
+// Shopify Admin REST API: orders, their fulfillments and the tracking info on
+// each fulfillment, mapped onto the canonical order/shipment shape.
+//   SHOPIFY_STORE_DOMAIN    e.g. drought.myshopify.com
+//   SHOPIFY_ACCESS_TOKEN    Admin API access token (read_orders)
+//   SHOPIFY_API_VERSION     default 2024-10
+//
+// Customers know their order by its name ("#1001"); the "#" is optional when
+// they type it in.
+
+const DEFAULT_API_VERSION = '2024-10';
+
+function shopifyRequest(path, options) {
+  const version = process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION;
+  return requestJson('Shopify', {
+    url: `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/${version}${path}`,
+    headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN }
+  }, options);
+}
+
+// Not-found lookups are a normal outcome, not an error
+async function shopifyGet(path, options) {
+  try {
+    return await shopifyRequest(path, options);
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+}
+
+function getOrderStatus(order) {
+  if (order.cancelled_at) return 'cancelled';
+  if (order.fulfillment_status === 'fulfilled') return 'shipped';
+  if (order.financial_status === 'pending') return 'awaiting_payment';
+  return 'awaiting_shipment';
+}
+
+function normalizeOrder(order) {
+  return {
+    source: 'shopify',
+    orderId: order.id,
+    orderNumber: String(order.name || order.order_number).replace(/^#/, ''),
+    storeId: null,
+    orderDate: order.created_at,
+    orderStatus: getOrderStatus(order),
+    customerEmail: order.email || (order.customer && order.customer.email) || '',
+    items: (order.line_items || []).map(item => ({
+      orderItemId: String(item.id),
+      lineItemKey: String(item.id),
+      sku: item.sku || null,
+      name: item.name || item.title,
+      imageUrl: null,
+      quantity: item.quantity,
+      // Properties starting with "_" are private to the storefront
+      options: (item.properties || [])
+        .filter(property => !String(property.name).startsWith('_'))
+        .map(property => ({ name: property.name, value: property.value })),
+      adjustment: false
+    }))
+  };
+}
+
+// Shopify's tracking_company is free text ("DHL Express", "Canada Post"); carriers
+// the registry doesn't know keep a slug of the name
+function getCarrierCode(trackingCompany) {
+  const company = (trackingCompany || '').trim().toLowerCase();
+  if (!company) return null;
+  const carrier = findCarrierByName(company);
+  return carrier ? carrier.shipStationCodes[0] : company.replace(/[^a-z0-9]+/g, '_');
+}
+
+// One shipment per tracking number; a fulfillment with several numbers puts
+// its items on the first
+function normalizeFulfillment(order, fulfillment) {
+  const trackingNumbers = fulfillment.tracking_numbers && fulfillment.tracking_numbers.length > 0
+    ? fulfillment.tracking_numbers
+    : [fulfillment.tracking_number || null];
+  const cancelled = fulfillment.status === 'cancelled';
+
+  return trackingNumbers.map((trackingNumber, index) => ({
+    source: 'shopify',
+    shipmentId: index === 0 ? String(fulfillment.id) : `${fulfillment.id}-${index + 1}`,
+    orderId: order.orderId,
+    orderNumber: order.orderNumber,
+    trackingNumber: trackingNumber,
+    carrierCode: getCarrierCode(fulfillment.tracking_company),
+    serviceCode: null,
+    shipDate: (fulfillment.created_at || '').slice(0, 10) || null,
+    deliveryDate: null,
+    shipmentStatus: fulfillment.shipment_status || null,
+    voided: cancelled,
+    voidDate: cancelled ? fulfillment.updated_at : null,
+    isReturnLabel: false,
+    shipmentItems: index > 0 ? [] : (fulfillment.line_items || []).map(item => ({
+      orderItemId: String(item.id),
+      lineItemKey: String(item.id),
+      sku: item.sku || null,
+      quantity: item.quantity
+    }))
+  }));
+}
+
+module.exports = {
+  name: 'shopify',
+
+  isConfigured() {
+    return Boolean(process.env.SHOPIFY_STORE_DOMAIN && process.env.SHOPIFY_ACCESS_TOKEN);
+  },
+
+  async healthCheck(options = {}) {
+    await shopifyRequest('/shop.json', options);
+  },
+
+  async findOrder(orderNumber, email, options = {}) {
+    const name = `#${orderNumber.replace(/^#/, '')}`;
+    const data = await shopifyRequest(`/orders.json?status=any&name=${encodeURIComponent(name)}`, options);
+
+    const order = (data.orders || []).find(candidate =>
+      candidate.name === name &&
+      (candidate.email || '').toLowerCase() === email.toLowerCase()
+    );
+    return order ? normalizeOrder(order) : null;
+  },
+
+  async findOrdersByNumber(orderNumber, options = {}) {
+    const name = `#${orderNumber.replace(/^#/, '')}`;
+    const data = await shopifyRequest(`/orders.json?status=any&name=${encodeURIComponent(name)}`, options);
+    return (data.orders || [])
+      .filter(order => order.name === name)
+      .map(normalizeOrder);
+  },
+
+  async getOrder(orderId, options = {}) {
+    const data = await shopifyGet(`/orders/${encodeURIComponent(orderId)}.json`, options);
+    return data && data.order ? normalizeOrder(data.order) : null;
+  },
+
+  // Newest first. Orders are reached through the customer record, since the
+  // orders endpoint can't filter by email.
+  async listOrdersByEmail(email, limit, options = {}) {
+    const customers = await shopifyRequest(
+      `/customers/search.json?query=${encodeURIComponent(`email:${email}`)}&fields=id,email`,
+      options
+    );
+    const customer = (customers.customers || [])
+      .find(candidate => (candidate.email || '').toLowerCase() === email.toLowerCase());
+    if (!customer) return [];
+
+    const data = await shopifyRequest(
+      `/customers/${customer.id}/orders.json?status=any&limit=${limit}`,
+      options
+    );
+    return (data.orders || [])
+      .map(normalizeOrder)
+      .sort((a, b) => String(b.orderDate).localeCompare(String(a.orderDate)))
+      .slice(0, limit);
+  },
+
+  async getShipments(order, options = {}) {
+    const data = await shopifyGet(`/orders/${encodeURIComponent(order.orderId)}/fulfillments.json`, options);
+    return ((data && data.fulfillments) || [])
+      .filter(fulfillment => fulfillment.status !== 'error' && fulfillment.status !== 'failure')
+      .flatMap(fulfillment => normalizeFulfillment(order, fulfillment));
+  },
+
+  // The Admin API can't search fulfillments by tracking number, so tracking
+  // number lookups only cover the other sources
+  async findShipmentByTrackingNumber() {
+    return null;
+  }
+};
@@ -0,0 +1,97 @@
+const log = require('./logger');
+
+// Customer-facing order states. Every order status an order source can report
+// (ShipStation's vocabulary, see order-sources/index.js) and every status
+// rolled up from shipments (order-status.js) maps to one of these, with the
+// label and explanation the tracker page shows.
+
+const ORDER_STATES = {
+  AWAITING_PAYMENT: 'awaiting_payment',
+  PROCESSING: 'processing',
+  ON_HOLD: 'on_hold',
+  SHIPPED: 'shipped',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  PARTIALLY_DELIVERED: 'partially_delivered',
+  DELIVERED: 'delivered',
+  NEEDS_ATTENTION: 'needs_attention',
+  CANCELLED: 'cancelled'
+};
+
+const ORDER_STATUS_STATES = {
+  // From the order source, when there are no shipments to go on
+  awaiting_payment: {
+    state: ORDER_STATES.AWAITING_PAYMENT,
+    label: 'Awaiting payment',
+    message: "We're waiting for your payment to clear. We'll start on your order as soon as it does."
+  },
+  awaiting_shipment: {
+    state: ORDER_STATES.PROCESSING,
+    label: 'Processing',
+    message: "We're getting your order ready to ship."
+  },
+  pending_fulfillment: {
+    state: ORDER_STATES.PROCESSING,
+    label: 'Processing',
+    message: 'Your order is with our fulfillment partner and will ship soon.'
+  },
+  on_hold: {
+    state: ORDER_STATES.ON_HOLD,
+    label: 'On hold',
+    message: "Your order is on hold for now. We'll be in touch if we need anything from you, or contact us with your order number."
+  },
+  shipped: {
+    state: ORDER_STATES.SHIPPED,
+    label: 'Shipped',
+    message: 'Your order has shipped. Tracking details will show here once the carrier has them.'
+  },
+  cancelled: {
+    state: ORDER_STATES.CANCELLED,
+    label: 'Cancelled',
+    message: "This order was cancelled. If you weren't expecting that, please contact us with your order number."
+  },
+
+  // Rolled up from shipments
+  awaiting_fulfillment: {
+    state: ORDER_STATES.PROCESSING,
+    label: 'Preparing to ship',
+    message: 'Your shipping label has been created. Tracking will update once the carrier picks up your package.'
+  },
+  out_for_delivery: {
+    state: ORDER_STATES.OUT_FOR_DELIVERY,
+    label: 'Out for delivery',
+    message: 'Your package is out for delivery today.'
+  },
+  partially_delivered: {
+    state: ORDER_STATES.PARTIALLY_DELIVERED,
+    label: 'Partially delivered',
+    message: 'Part of your order has been delivered. The rest is on its way.'
+  },
+  delivered: {
+    state: ORDER_STATES.DELIVERED,
+    label: 'Delivered',
+    message: 'Your order has been delivered.'
+  },
+  needs_attention: {
+    state: ORDER_STATES.NEEDS_ATTENTION,
+    label: 'Needs attention',
+    message: 'There is a problem with the delivery of your order. See the shipment details below, or contact us with your order number.'
+  }
+};
+
+// { state, label, message } for an order status. Statuses we don't know yet
+// show as processing (and are logged, so they can be added here).
+function describeOrderStatus(orderStatus) {
+  const status = (orderStatus || '').toLowerCase();
+  const described = ORDER_STATUS_STATES[status];
+  if (described) {
+    return described;
+  }
+
+  log.warn('Unknown order status', { orderStatus: orderStatus });
+  return ORDER_STATUS_STATES.awaiting_shipment;
+}
+
+module.exports = {
+  ORDER_STATES,
+  describeOrderStatus
+};
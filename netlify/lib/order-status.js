@@ -0,0 +1,185 @@
+const { checkShipmentDeliveryStatus } = require('./shipstation');
+const { generateTrackingUrl, getCarrierName } = require('./carriers');
+const { STAGES, needsAttention, getStageLabel } = require('./stages');
+const { estimateDelivery } = require('./delivery-estimate');
+
+// Single status engine for get-order: merges order-source shipments with
+// whatever carrier tracking getShipmentsWithTracking found, so every shipment has
+// the same schema no matter which data was available, and rolls the shipments
+// up into one order status.
+
+// Split order-source shipments into live outbound packages, return legs
+// (return labels, tracked like any other shipment) and voided labels. A
+// relabeled box leaves its voided label behind; that isn't a package.
+function partitionShipments(shipments) {
+  return {
+    outbound: shipments.filter(shipment => !shipment.voided && !shipment.isReturnLabel),
+    returns: shipments.filter(shipment => !shipment.voided && shipment.isReturnLabel),
+    voided: shipments.filter(shipment => shipment.voided)
+  };
+}
+
+// trackedShipments is the getShipmentsWithTracking result (same order as
+// shipments), or null when no tracking provider is configured or the lookup
+// failed entirely
+function buildShipments(shipments, trackedShipments) {
+  return shipments.map((shipment, index) => {
+    const tracked = trackedShipments ? trackedShipments[index] : null;
+    return normalizeShipment(shipment, tracked, index, shipments.length);
+  });
+}
+
+function normalizeShipment(shipment, tracked, index, totalShipments) {
+  const tracking = tracked || getOrderSourceTracking(shipment);
+  // 'shipstation' or 'shopify'
+  const orderSource = shipment.source || 'shipstation';
+  // '17track', 'usps', 'ups', 'fedex', or null for order-source-only data
+  const carrierSource = tracking.trackingSource || null;
+  const providerCarrierName = carrierSource ? tracking.providerCarrierName : null;
+  const carrierHints = {
+    carrierCode: shipment.carrierCode,
+    trackingNumber: shipment.trackingNumber,
+    carrier17trackId: carrierSource ? tracking.carrier17trackId : null,
+    providerCarrierName: providerCarrierName
+  };
+
+  // The tracking provider's delivery date wins, then the order source's
+  const trackedDeliveryDate = carrierSource ? tracking.deliveryDate : null;
+  const deliveryDate = trackedDeliveryDate || shipment.deliveryDate || null;
+
+  let status = 'processing';
+  if (tracking.isDelivered) {
+    status = 'delivered';
+  } else if (tracking.actuallyShipped) {
+    status = 'shipped';
+  }
+
+  const stage = getShipmentStage(shipment, tracking);
+
+  // Carrier ETA from the tracking provider when it has one, otherwise our own calendar estimate
+  let estimatedDelivery = null;
+  if (!tracking.isDelivered) {
+    estimatedDelivery = (carrierSource && tracking.estimatedDelivery) || estimateDelivery(shipment);
+  }
+
+  const trackingSource = carrierSource || orderSource;
+
+  return {
+    shipmentId: shipment.shipmentId,
+    trackingNumber: shipment.trackingNumber,
+    trackingUrl: generateTrackingUrl(carrierHints),
+    carrierCode: shipment.carrierCode,
+    carrierName: getCarrierName(carrierHints),
+    shipDate: shipment.shipDate,
+    isReturn: Boolean(shipment.isReturnLabel),
+    deliveryDate: deliveryDate,
+    estimatedDelivery: estimatedDelivery,
+    isDelivered: tracking.isDelivered,
+    actuallyShipped: tracking.actuallyShipped,
+    status: status,
+    stage: stage,
+    stageLabel: getStageLabel(stage),
+    needsAttention: needsAttention(stage),
+    trackingStatus: tracking.trackingStatus || '',
+    trackingSubStatus: tracking.subStatus || '',
+    shipmentNumber: index + 1,
+    totalShipments: totalShipments,
+    latestActivity: tracking.latestActivity || null,
+    events: tracking.events || [],
+    items: shipment.shipmentItems || [],
+    // Where each derived field came from
+    sources: {
+      status: trackingSource,
+      stage: tracking.stage ? trackingSource : orderSource,
+      deliveryDate: trackedDeliveryDate ? trackingSource : (shipment.deliveryDate ? orderSource : null),
+      estimatedDelivery: estimatedDelivery ? estimatedDelivery.source : null,
+      carrierName: providerCarrierName ? trackingSource : orderSource,
+      latestActivity: carrierSource && tracking.latestActivity ? trackingSource : null,
+      events: carrierSource ? trackingSource : null
+    }
+  };
+}
+
+// Voided labels, listed as replaced rather than as packages
+function buildReplacedLabels(voidedShipments) {
+  return voidedShipments.map(shipment => ({
+    shipmentId: shipment.shipmentId,
+    trackingNumber: shipment.trackingNumber,
+    carrierName: getCarrierName({ carrierCode: shipment.carrierCode, trackingNumber: shipment.trackingNumber }),
+    voidDate: shipment.voidDate
+  }));
+}
+
+// Without carrier tracking data, assume shipped if there's a tracking number, otherwise processing
+function getOrderSourceTracking(shipment) {
+  return {
+    actuallyShipped: Boolean(shipment.trackingNumber),
+    isDelivered: checkShipmentDeliveryStatus(shipment),
+    trackingStatus: '',
+    latestActivity: null,
+    events: [],
+    trackingSource: null
+  };
+}
+
+// Tracking providers supply the stage directly; otherwise infer it from the
+// delivered/shipped flags (order-source-only data, or older stored states)
+function getShipmentStage(shipment, tracking) {
+  if (tracking.stage) return tracking.stage;
+  if (tracking.isDelivered) return STAGES.DELIVERED;
+  if (tracking.actuallyShipped) return STAGES.IN_TRANSIT;
+  return shipment.trackingNumber ? STAGES.LABEL_CREATED : STAGES.PROCESSING;
+}
+
+// Roll shipment stages up into the order status. Returns the ShipStation
+// status unchanged when there are no shipments to go on. Pass only live
+// outbound shipments (see partitionShipments) - returns don't change it.
+//   delivered > needs_attention > partially_delivered > out_for_delivery > shipped > awaiting_fulfillment
+// A cancelled order stays cancelled unless something actually went out.
+function aggregateOrderStatus(shipments, shipStationStatus) {
+  if ((shipStationStatus || '').toLowerCase() === 'cancelled' &&
+      !shipments.some(shipment => shipment.actuallyShipped)) {
+    return 'cancelled';
+  }
+
+  const hasDeliveredShipments = shipments.some(shipment => shipment.isDelivered);
+  const hasInTransitShipments = shipments.some(shipment => !shipment.isDelivered && shipment.actuallyShipped);
+
+  if (hasDeliveredShipments && shipments.every(shipment => shipment.isDelivered)) {
+    return 'delivered';
+  }
+  if (shipments.some(shipment => shipment.needsAttention)) {
+    return 'needs_attention';
+  }
+  if (hasDeliveredShipments) {
+    return 'partially_delivered';
+  }
+  if (shipments.some(shipment => shipment.stage === STAGES.OUT_FOR_DELIVERY)) {
+    return 'out_for_delivery';
+  }
+  if (hasInTransitShipments) {
+    return 'shipped';
+  }
+  if (shipments.length > 0) {
+    return 'awaiting_fulfillment';
+  }
+  return shipStationStatus;
+}
+
+// Order-level "arrives by": the latest ETA among shipments still on their way
+function getArrivesBy(shipments) {
+  const estimates = shipments
+    .filter(shipment => !shipment.isDelivered && shipment.estimatedDelivery)
+    .map(shipment => shipment.estimatedDelivery.to)
+    .sort();
+
+  return estimates.length > 0 ? estimates[estimates.length - 1] : null;
+}
+
+module.exports = {
+  partitionShipments,
+  buildShipments,
+  buildReplacedLabels,
+  aggregateOrderStatus,
+  getArrivesBy
+};
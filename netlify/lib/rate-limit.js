@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const log = require('./logger');
+
+// Throttling for the public order lookup, which otherwise works as an oracle
+// for which order number + email pairs exist.
+//
+//   RATE_LIMIT_IP_MAX / RATE_LIMIT_IP_WINDOW_SECONDS        lookups per client IP
+//   RATE_LIMIT_ORDER_MAX / RATE_LIMIT_ORDER_WINDOW_SECONDS  lookups per client IP of one subject
+//                                                           (order number, tracking number, email)
+//   LOOKUP_LOCKOUT_THRESHOLD                                failed matches before lockout
+//   LOOKUP_LOCKOUT_WINDOW_SECONDS                           window failures are counted in
+//   LOOKUP_LOCKOUT_SECONDS                                  how long a lockout lasts
+//
+// Every limit is per client IP - the subject limit counts one IP's lookups of
+// one subject. Nothing is counted against a subject alone, otherwise anyone
+// could lock a customer out of their own order by looking it up repeatedly.
+//
+// Counters are fixed windows in the shared store. Store errors fail open: a
+// broken store shouldn't take the tracker down.
+
+const DEFAULTS = {
+  RATE_LIMIT_IP_MAX: 30,
+  RATE_LIMIT_IP_WINDOW_SECONDS: 600,
+  RATE_LIMIT_ORDER_MAX: 10,
+  RATE_LIMIT_ORDER_WINDOW_SECONDS: 600,
+  LOOKUP_LOCKOUT_THRESHOLD: 5,
+  LOOKUP_LOCKOUT_WINDOW_SECONDS: 900,
+  LOOKUP_LOCKOUT_SECONDS: 900
+};
+
+function getSetting(name) {
+  const configured = process.env[name];
+  return configured !== undefined && configured !== '' && !isNaN(configured)
+    ? Number(configured)
+    : DEFAULTS[name];
+}
+
+// Netlify sets x-nf-client-connection-ip; fall back to the proxy chain
+function getClientIp(event) {
+  const headers = event.headers || {};
+  if (headers['x-nf-client-connection-ip']) {
+    return headers['x-nf-client-connection-ip'];
+  }
+  if (headers['x-forwarded-for']) {
+    return headers['x-forwarded-for'].split(',')[0].trim();
+  }
+  return 'unknown';
+}
+
+// Hash identifiers so IPs and order numbers aren't stored in the clear
+function limitKey(scope, value) {
+  const digest = crypto
+    .createHash('sha256')
+    .update(String(value).trim().toLowerCase())
+    .digest('hex');
+  return `${scope}:${digest}`;
+}
+
+// Check lockouts and count this attempt against the IP and IP + subject limits.
+// The subject is whatever is being looked up: an order number, or a prefixed
+// value like "tracking:1Z..." or "email:...".
+// Resolves to { allowed: true } or { allowed: false, retryAfterSeconds, reason }.
+async function consumeLookup(ip, subject) {
+  try {
+    const store = getStore('rate-limit');
+    const ipKey = limitKey('ip', ip);
+
+    const lockout = await store.get(`lockout:${ipKey}`);
+    if (lockout && lockout.until > Date.now()) {
+      return blocked('locked_out', lockout.until);
+    }
+
+    const ipLimit = await incrementWindow(
+      store,
+      `count:${ipKey}`,
+      getSetting('RATE_LIMIT_IP_WINDOW_SECONDS')
+    );
+    if (ipLimit.count > getSetting('RATE_LIMIT_IP_MAX')) {
+      return blocked('ip_rate_limited', ipLimit.resetAt);
+    }
+
+    if (subject) {
+      const subjectLimit = await incrementWindow(
+        store,
+        `count:${limitKey('ip-order', `${ip}|${subject}`)}`,
+        getSetting('RATE_LIMIT_ORDER_WINDOW_SECONDS')
+      );
+      if (subjectLimit.count > getSetting('RATE_LIMIT_ORDER_MAX')) {
+        return blocked('subject_rate_limited', subjectLimit.resetAt);
+      }
+    }
+
+    return { allowed: true };
+  } catch (error) {
+    log.error('Rate limit check failed, allowing request', { error: error });
+    return { allowed: true };
+  }
+}
+
+// Count a lookup that matched nothing; enough of them locks out the IP
+async function recordFailedLookup(ip) {
+  try {
+    const store = getStore('rate-limit');
+    const ipKey = limitKey('ip', ip);
+
+    const failures = await incrementWindow(
+      store,
+      `failures:${ipKey}`,
+      getSetting('LOOKUP_LOCKOUT_WINDOW_SECONDS')
+    );
+
+    if (failures.count >= getSetting('LOOKUP_LOCKOUT_THRESHOLD')) {
+      log.warn('Locking out after failed lookups', { failures: failures.count });
+      await store.set(`lockout:${ipKey}`, {
+        until: Date.now() + getSetting('LOOKUP_LOCKOUT_SECONDS') * 1000
+      });
+    }
+  } catch (error) {
+    log.error('Failed to record failed lookup', { error: error });
+  }
+}
+
+async function incrementWindow(store, key, windowSeconds) {
+  const now = Date.now();
+  let entry = await store.get(key);
+
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowSeconds * 1000 };
+  }
+
+  entry.count++;
+  await store.set(key, entry);
+  return entry;
+}
+
+function blocked(reason, until) {
+  return {
+    allowed: false,
+    reason: reason,
+    retryAfterSeconds: Math.max(1, Math.ceil((until - Date.now()) / 1000))
+  };
+}
+
+module.exports = {
+  getClientIp,
+  consumeLookup,
+  recordFailedLookup
+};
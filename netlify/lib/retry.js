@@ -0,0 +1,132 @@
+const log = require('./logger');
+const metrics = require('./metrics');
+
+// Shared retry policy for upstream APIs (ShipStation, 17track, carrier APIs): retry 429 and
+// 5xx responses with bounded exponential backoff, never sleeping past the
+// caller's deadline, and give up with an UpstreamBusyError the handler can
+// turn into a 503 with Retry-After.
+
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+// Leave room for the retried request itself before the deadline
+const MIN_REQUEST_BUDGET_MS = 1500;
+// Netlify's default synchronous function timeout
+const DEFAULT_FUNCTION_TIMEOUT_MS = 10000;
+// Scheduled functions get 30 seconds
+const DEFAULT_SCHEDULED_FUNCTION_TIMEOUT_MS = 30000;
+
+class UpstreamBusyError extends Error {
+  constructor(service, retryAfterSeconds) {
+    super(`${service} is temporarily busy, retry in ${retryAfterSeconds} seconds`);
+    this.name = 'UpstreamBusyError';
+    this.service = service;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// Request functions reject with an Error carrying statusCode (and optionally
+// retryAfterSeconds); anything else is treated as non-retryable.
+async function withRetry(service, requestFn, options = {}) {
+  const maxRetries = getMaxRetries(options);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestFn(attempt);
+    } catch (error) {
+      if (!isRetryableStatus(error.statusCode)) {
+        throw error;
+      }
+
+      const delayMs = getRetryDelay(attempt, error.retryAfterSeconds);
+      const retryAfterSeconds = Math.max(1, Math.ceil(delayMs / 1000));
+
+      if (attempt >= maxRetries || !hasTimeToWait(options.deadline, delayMs)) {
+        log.error(`${service} still failing, giving up`, { statusCode: error.statusCode, attempts: attempt + 1 });
+        metrics.increment('upstream.busy', { service });
+        throw new UpstreamBusyError(service, retryAfterSeconds);
+      }
+
+      log.warn(`${service} busy, retrying`, {
+        statusCode: error.statusCode,
+        delayMs: delayMs,
+        attempt: attempt + 1,
+        maxRetries: maxRetries
+      });
+      metrics.increment('upstream.retry', { service, statusCode: error.statusCode });
+      await sleep(delayMs);
+    }
+  }
+}
+
+function getMaxRetries(options) {
+  if (options.maxRetries !== undefined) {
+    return options.maxRetries;
+  }
+  const configured = process.env.UPSTREAM_MAX_RETRIES;
+  return configured !== undefined && configured !== '' && !isNaN(configured)
+    ? Number(configured)
+    : DEFAULT_MAX_RETRIES;
+}
+
+function isRetryableStatus(statusCode) {
+  return statusCode === 429 || (statusCode >= 500 && statusCode <= 599);
+}
+
+// Exponential backoff with a little jitter, but never sooner than the upstream asked for
+function getRetryDelay(attempt, retryAfterSeconds) {
+  const backoff = Math.min(BASE_DELAY_MS * Math.pow(2, attempt), MAX_DELAY_MS);
+  const jitter = Math.floor(Math.random() * 250);
+  const requested = retryAfterSeconds ? retryAfterSeconds * 1000 : 0;
+  return Math.max(backoff + jitter, requested);
+}
+
+function hasTimeToWait(deadline, waitMs) {
+  if (!deadline) return true;
+  return Date.now() + waitMs + MIN_REQUEST_BUDGET_MS <= deadline;
+}
+
+// Per-request socket timeout, shortened so a request can't outlive the deadline
+function getRequestTimeout(deadline, defaultTimeout) {
+  if (!deadline) return defaultTimeout;
+  return Math.max(Math.min(defaultTimeout, deadline - Date.now()), 1);
+}
+
+// Retry-After / X-Rate-Limit-Reset are given in seconds
+function parseRetryAfter(value) {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// When a function handler has to be done by: the Lambda context's remaining
+// time, or FUNCTION_TIMEOUT_MS when there's no context (local runs)
+function getFunctionDeadline(lambdaContext, fallbackTimeoutMs) {
+  if (lambdaContext && typeof lambdaContext.getRemainingTimeInMillis === 'function') {
+    return Date.now() + lambdaContext.getRemainingTimeInMillis();
+  }
+  const timeout = fallbackTimeoutMs || Number(process.env.FUNCTION_TIMEOUT_MS) || DEFAULT_FUNCTION_TIMEOUT_MS;
+  return Date.now() + timeout;
+}
+
+// The same for scheduled functions, with SCHEDULED_FUNCTION_TIMEOUT_MS for local runs
+function getScheduledFunctionDeadline(lambdaContext) {
+  return getFunctionDeadline(
+    lambdaContext,
+    Number(process.env.SCHEDULED_FUNCTION_TIMEOUT_MS) || DEFAULT_SCHEDULED_FUNCTION_TIMEOUT_MS
+  );
+}
+
+module.exports = {
+  UpstreamBusyError,
+  withRetry,
+  hasTimeToWait,
+  getFunctionDeadline,
+  getScheduledFunctionDeadline,
+  getRequestTimeout,
+  parseRetryAfter,
+  sleep
+};
@@ -0,0 +1,368 @@
+const https = require('https');
+const { withRetry, getRequestTimeout, parseRetryAfter } = require('./retry');
+const { STAGES, needsAttention, isShippedStage } = require('./stages');
+const log = require('./logger');
+const { recordUpstreamCall } = require('./metrics');
+const { recordUpstreamResponse } = require('./upstream-capture');
+
+// 17track v2.2 accepts at most 40 numbers per register/gettrackinfo call
+const MAX_NUMBERS_PER_REQUEST = 40;
+
+// 17track v2.2 API request function, retried on 429/5xx with the same policy
+// as ShipStation. options.deadline bounds the retries and the request timeout.
+function makeSeventeenTrackV22Request(endpoint, data, apiKey, options = {}) {
+  return withRetry('17track', () => sendSeventeenTrackV22Request(endpoint, data, apiKey, options), options);
+}
+
+function sendSeventeenTrackV22Request(endpoint, data, apiKey, options) {
+  return new Promise((resolve, reject) => {
+    const postData = JSON.stringify(data);
+
+    const requestOptions = {
+      hostname: 'api.17track.net',
+      path: `/track/v2.2${endpoint}`, // v2.2 path
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData),
+        '17token': apiKey
+      }
+    };
+
+    log.debug('17track request', { endpoint: endpoint, numbers: data.length });
+    log.payload('17track request body', data);
+
+    const startedAt = Date.now();
+    let timedOut = false;
+
+    const req = https.request(requestOptions, (res) => {
+      let responseData = '';
+
+      res.on('data', (chunk) => {
+        responseData += chunk;
+      });
+
+      res.on('end', () => {
+        recordUpstreamCall('17track', startedAt, res.statusCode);
+        log.debug('17track response', { endpoint: endpoint, statusCode: res.statusCode });
+        log.payload('17track response body', responseData);
+        recordUpstreamResponse('17track', { method: 'POST', path: endpoint, body: data }, res.statusCode, responseData);
+
+        if (res.statusCode === 200) {
+          try {
+            const parsedData = JSON.parse(responseData);
+            resolve(parsedData);
+          } catch (parseError) {
+            log.error('17track returned invalid JSON', { endpoint: endpoint });
+            reject(new Error('Invalid response from 17track v2.2'));
+          }
+        } else {
+          log.error('17track API error', { endpoint: endpoint, statusCode: res.statusCode });
+          log.payload('17track error body', responseData);
+          const error = new Error(`17track v2.2 API error: ${res.statusCode}`);
+          error.statusCode = res.statusCode;
+          error.retryAfterSeconds = parseRetryAfter(res.headers['retry-after']);
+          reject(error);
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      if (!timedOut) recordUpstreamCall('17track', startedAt, 'error');
+      log.error('17track request failed', { endpoint: endpoint, error: error });
+      reject(error);
+    });
+
+    req.setTimeout(getRequestTimeout(options.deadline, 15000), () => {
+      timedOut = true;
+      recordUpstreamCall('17track', startedAt, 'timeout');
+      req.destroy();
+      log.error('17track request timed out', { endpoint: endpoint });
+      reject(new Error('17track v2.2 request timeout'));
+    });
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+// Register tracking numbers in batches, letting 17track auto-detect the carrier.
+// Returns the accepted and rejected entries across all batches.
+async function registerTrackingNumbers(trackingNumbers, apiKey, options = {}) {
+  const result = { accepted: [], rejected: [] };
+  const uniqueNumbers = [...new Set(trackingNumbers.filter(Boolean))];
+
+  for (let i = 0; i < uniqueNumbers.length; i += MAX_NUMBERS_PER_REQUEST) {
+    const batch = uniqueNumbers.slice(i, i + MAX_NUMBERS_PER_REQUEST);
+    const response = await makeSeventeenTrackV22Request(
+      '/register',
+      batch.map(number => ({ number })),
+      apiKey,
+      options
+    );
+
+    const data = (response && response.data) || {};
+    result.accepted.push(...(data.accepted || []));
+    result.rejected.push(...(data.rejected || []));
+  }
+
+  return result;
+}
+
+// A single register / changecarrier / retrack call (the support tools).
+// entries are 17track request items, e.g. { number, carrier } or
+// { number, carrier_new }. Resolves to { accepted, rejected }.
+async function sendTrackingCommand(endpoint, entries, apiKey, options = {}) {
+  const response = await makeSeventeenTrackV22Request(endpoint, entries, apiKey, options);
+  const data = (response && response.data) || {};
+  return { accepted: data.accepted || [], rejected: data.rejected || [] };
+}
+
+// Fetch track_info for many numbers at once, in parallel batches of 40.
+// Resolves to a Map of tracking number -> track_info for the accepted numbers.
+async function fetchTrackInfo(trackingNumbers, apiKey, options = {}) {
+  const uniqueNumbers = [...new Set(trackingNumbers.filter(Boolean))];
+  const batches = [];
+
+  for (let i = 0; i < uniqueNumbers.length; i += MAX_NUMBERS_PER_REQUEST) {
+    batches.push(uniqueNumbers.slice(i, i + MAX_NUMBERS_PER_REQUEST));
+  }
+
+  const responses = await Promise.all(batches.map(batch => makeSeventeenTrackV22Request(
+    '/gettrackinfo',
+    batch.map(number => ({ number })),
+    apiKey,
+    options
+  )));
+
+  const trackInfoByNumber = new Map();
+  responses.forEach(response => {
+    const accepted = (response && response.data && response.data.accepted) || [];
+    accepted.forEach(entry => {
+      trackInfoByNumber.set(entry.number, entry.track_info || null);
+    });
+  });
+
+  return trackInfoByNumber;
+}
+
+// True when track_info carries real carrier data (not just a registration stub)
+function hasTrackingData(trackInfo) {
+  return Boolean(trackInfo && trackInfo.latest_status && trackInfo.latest_status.status);
+}
+
+// Turn a 17track v2.2 track_info block into the tracking state the tracker uses.
+// Shared by the live lookup in get-order and the webhook receiver.
+function normalizeTrackInfo(trackingNumber, trackInfo) {
+  if (!hasTrackingData(trackInfo)) {
+    return null;
+  }
+
+  const latestStatus = trackInfo.latest_status;
+  const trackingStatus = latestStatus.status || '';
+  const subStatus = latestStatus.sub_status || '';
+
+  const stage = getTrackingStage(trackingStatus, subStatus);
+  const isDelivered = stage === STAGES.DELIVERED;
+  let deliveryDate = null;
+  let latestActivity = null;
+
+  // Get delivery date from latest_event
+  if (isDelivered && trackInfo.latest_event && trackInfo.latest_event.time_iso) {
+    deliveryDate = trackInfo.latest_event.time_iso;
+  }
+
+  // Get latest activity from latest_event
+  if (trackInfo.latest_event) {
+    const latestEvent = trackInfo.latest_event;
+    latestActivity = {
+      status: latestEvent.description || trackingStatus,
+      location: latestEvent.location || '',
+      time: latestEvent.time_iso || latestEvent.time_utc || '',
+      description: latestEvent.description || trackingStatus
+    };
+  } else {
+    // Fallback to latest_status
+    latestActivity = {
+      status: trackingStatus,
+      location: '',
+      time: '',
+      description: trackingStatus
+    };
+  }
+
+  return {
+    trackingNumber: trackingNumber,
+    actuallyShipped: isShippedStage(stage),
+    isDelivered: isDelivered,
+    stage: stage,
+    needsAttention: needsAttention(stage),
+    deliveryDate: deliveryDate,
+    trackingStatus: trackingStatus,
+    subStatus: subStatus,
+    latestActivity: latestActivity,
+    estimatedDelivery: isDelivered ? null : getEstimatedDelivery(trackInfo),
+    events: extractTrackingEvents(trackInfo),
+    providerCarrierName: get17trackCarrierName(trackInfo),
+    providerCarrierDetected: Boolean(get17trackCarrierName(trackInfo)),
+    carrier17trackId: get17trackCarrierId(trackInfo)
+  };
+}
+
+// Carrier ETA from time_metrics, as calendar dates in the carrier's local time
+function getEstimatedDelivery(trackInfo) {
+  const metrics = trackInfo.time_metrics;
+  const estimate = metrics && metrics.estimated_delivery_date;
+  if (!estimate || (!estimate.from && !estimate.to)) {
+    return null;
+  }
+
+  const from = (estimate.from || estimate.to).slice(0, 10);
+  const to = (estimate.to || estimate.from).slice(0, 10);
+  return { from, to, source: '17track' };
+}
+
+// Map 17track v2.2 main status + sub-status onto our stage model (stages.js).
+// Sub-statuses look like "Exception_Returning" or "DeliveryFailure_InvalidAddress".
+function getTrackingStage(status, subStatus) {
+  const mainStatus = (status || '').toLowerCase().replace(/[\s_]/g, '');
+  const detail = (subStatus || '').toLowerCase().split('_')[1] || '';
+
+  switch (mainStatus) {
+    case 'delivered':
+      return STAGES.DELIVERED;
+
+    case 'outfordelivery':
+      return STAGES.OUT_FOR_DELIVERY;
+
+    case 'availableforpickup':
+      return STAGES.AVAILABLE_FOR_PICKUP;
+
+    case 'deliveryfailure':
+    case 'undelivered':
+    case 'failure':
+      return STAGES.DELIVERY_FAILED;
+
+    // Event stages only
+    case 'returning':
+      return STAGES.RETURNING_TO_SENDER;
+    case 'returned':
+      return STAGES.RETURNED_TO_SENDER;
+
+    case 'exception':
+    case 'alert':
+      if (detail === 'returning') return STAGES.RETURNING_TO_SENDER;
+      if (detail === 'returned') return STAGES.RETURNED_TO_SENDER;
+      return STAGES.EXCEPTION;
+
+    case 'expired':
+      return STAGES.EXPIRED;
+
+    case 'intransit':
+    case 'pickup':
+    case 'pickedup':
+    case 'departure':
+    case 'arrival':
+      if (detail === 'customsrequiringinformation') return STAGES.CUSTOMS_HOLD;
+      return STAGES.IN_TRANSIT;
+
+    case 'inforeceived':
+    case 'pending':
+    case 'notfound':
+    default:
+      // Some carriers report the pickup scan only in the sub-status
+      if (detail === 'pickedup') return STAGES.IN_TRANSIT;
+      return STAGES.LABEL_CREATED;
+  }
+}
+
+// Helper function to extract carrier name from 17track track_info
+function get17trackCarrierName(trackInfo) {
+  if (trackInfo &&
+      trackInfo.tracking &&
+      trackInfo.tracking.providers &&
+      trackInfo.tracking.providers.length > 0) {
+
+    const provider = trackInfo.tracking.providers[0].provider;
+    if (provider) {
+      return provider.name || provider.alias || null;
+    }
+  }
+
+  return null;
+}
+
+// 17track's numeric carrier key, which the carrier registry maps to our carriers
+function get17trackCarrierId(trackInfo) {
+  const providers = trackInfo && trackInfo.tracking && trackInfo.tracking.providers;
+  const provider = providers && providers.length > 0 ? providers[0].provider : null;
+  return (provider && provider.key) || null;
+}
+
+// Helper function to build a chronological event timeline from 17track providers
+function extractTrackingEvents(trackInfo) {
+  if (!trackInfo || !trackInfo.tracking || !trackInfo.tracking.providers) {
+    return [];
+  }
+
+  const events = [];
+  const seen = new Set();
+
+  trackInfo.tracking.providers.forEach(provider => {
+    (provider.events || []).forEach(event => {
+      const time = event.time_iso || event.time_utc || '';
+      const description = event.description || '';
+
+      // The same scan can be reported by more than one provider
+      const key = `${time}|${description}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      events.push({
+        time: time,
+        location: event.location || formatEventAddress(event.address),
+        description: description,
+        stage: getEventStage(event)
+      });
+    });
+  });
+
+  // Oldest first; events without a timestamp sink to the start
+  events.sort((a, b) => {
+    const timeA = Date.parse(a.time) || 0;
+    const timeB = Date.parse(b.time) || 0;
+    return timeA - timeB;
+  });
+
+  return events;
+}
+
+// An event's stage in the STAGES model, like the direct carrier providers'.
+// Events carry a sub_status ("InTransit_PickedUp") or only 17track's event
+// stage ("PickedUp", "Departure", ...).
+function getEventStage(event) {
+  if (event.sub_status) {
+    return getTrackingStage(event.sub_status.split('_')[0], event.sub_status);
+  }
+  return getTrackingStage(event.stage, '');
+}
+
+function formatEventAddress(address) {
+  if (!address) return '';
+  return [address.city, address.state, address.country]
+    .filter(Boolean)
+    .join(', ');
+}
+
+module.exports = {
+  MAX_NUMBERS_PER_REQUEST,
+  makeSeventeenTrackV22Request,
+  registerTrackingNumbers,
+  sendTrackingCommand,
+  fetchTrackInfo,
+  hasTrackingData,
+  normalizeTrackInfo,
+  getTrackingStage,
+  get17trackCarrierName,
+  extractTrackingEvents
+};
@@ -0,0 +1,56 @@
+const { signToken, verifyToken } = require('./tokens');
+
+// Shareable tracking links: a signed token for one order that stands in for
+// the order number + email lookup, so a customer can forward tracking to a gift
+// recipient and our own emails can link straight to the tracker.
+//
+//   TRACKER_PAGE_URL       tracker page the link opens, with ?share=<token>
+//   SHARE_LINK_TTL_DAYS    how long a link works (default 30)
+//
+// Tokens are signed with TOKEN_SECRET (see tokens.js for rotation/revocation).
+
+const TOKEN_TYPE = 'share';
+const DEFAULT_SHARE_LINK_TTL_DAYS = 30;
+
+function isShareLinkConfigured() {
+  return Boolean(process.env.TOKEN_SECRET && process.env.TRACKER_PAGE_URL);
+}
+
+// redact: hide the customer's email (and anything else personal) from whoever
+// opens the link
+function createShareToken(order, { redact = true } = {}) {
+  const ttlDays = Number(process.env.SHARE_LINK_TTL_DAYS) || DEFAULT_SHARE_LINK_TTL_DAYS;
+  return signToken(TOKEN_TYPE, {
+    source: order.source,
+    orderId: order.orderId,
+    orderNumber: order.orderNumber,
+    redact: Boolean(redact)
+  }, ttlDays * 24 * 60 * 60);
+}
+
+// Null when share links aren't configured
+function createShareUrl(order, options) {
+  if (!isShareLinkConfigured()) {
+    return null;
+  }
+
+  const link = new URL(process.env.TRACKER_PAGE_URL);
+  link.searchParams.set('share', createShareToken(order, options));
+  return link.toString();
+}
+
+// Claims ({ source, orderId, orderNumber, redact }) or null when invalid or expired
+function verifyShareToken(token) {
+  const claims = verifyToken(token, TOKEN_TYPE);
+  if (!claims || !claims.orderNumber) {
+    return null;
+  }
+  return claims;
+}
+
+module.exports = {
+  isShareLinkConfigured,
+  createShareToken,
+  createShareUrl,
+  verifyShareToken
+};
@@ -0,0 +1,181 @@
+const https = require('https');
+const {
+  UpstreamBusyError,
+  withRetry,
+  hasTimeToWait,
+  getRequestTimeout,
+  parseRetryAfter,
+  sleep
+} = require('./retry');
+const log = require('./logger');
+const { recordUpstreamCall } = require('./metrics');
+const { recordUpstreamResponse } = require('./upstream-capture');
+
+const SHIPSTATION_HOSTNAME = 'ssapi.shipstation.com';
+
+// List endpoints return at most 500 results a page. Each page is a request
+// against the rate limit, so stop somewhere sane.
+const MAX_PAGE_SIZE = 500;
+const MAX_PAGES = 10;
+
+function createShipStationAuth(apiKey, apiSecret) {
+  return Buffer.from(`${apiKey}:${apiSecret}`).toString('base64');
+}
+
+// ShipStation allows 40 requests per minute per API key. The latest
+// X-Rate-Limit-* headers are remembered so a warm function stops sending
+// requests it knows will be rejected.
+const rateLimit = {
+  remaining: null,
+  resetAt: 0
+};
+
+// ShipStation API request function, retried on 429/5xx (see retry.js).
+// options.deadline bounds both the retries and each request's timeout.
+function makeShipStationRequest(endpoint, auth, options = {}) {
+  return withRetry('ShipStation', async () => {
+    await waitForRateLimit(options.deadline);
+    return sendShipStationRequest(endpoint, auth, options);
+  }, options);
+}
+
+// Every page of a list endpoint (/orders, /shipments), combined: the results
+// under `resultKey` from each page, following ShipStation's `page`/`pages`.
+// options.until(results) can stop early once the caller has enough.
+async function makeShipStationListRequest(endpoint, resultKey, auth, options = {}) {
+  const { until, ...requestOptions } = options;
+  const separator = endpoint.includes('?') ? '&' : '?';
+  const pageSize = endpoint.includes('pageSize=') ? '' : `&pageSize=${MAX_PAGE_SIZE}`;
+  const results = [];
+
+  for (let page = 1; ; page++) {
+    const data = await makeShipStationRequest(`${endpoint}${separator}page=${page}${pageSize}`, auth, requestOptions);
+    results.push(...(data[resultKey] || []));
+
+    const pages = data.pages || 1;
+    if (page >= pages || (until && until(results))) {
+      return results;
+    }
+    if (page >= MAX_PAGES) {
+      log.warn('ShipStation results truncated', { path: endpoint, pages: pages, total: data.total });
+      return results;
+    }
+  }
+}
+
+function sendShipStationRequest(endpoint, auth, options) {
+  return new Promise((resolve, reject) => {
+    const requestOptions = {
+      hostname: SHIPSTATION_HOSTNAME,
+      path: endpoint,
+      method: 'GET',
+      headers: {
+        'Authorization': `Basic ${auth}`,
+        'Content-Type': 'application/json',
+        'User-Agent': 'Drought-Order-Tracker/1.0'
+      }
+    };
+
+    log.debug('ShipStation request', { path: endpoint });
+
+    const startedAt = Date.now();
+    let timedOut = false;
+
+    const req = https.request(requestOptions, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        recordUpstreamCall('ShipStation', startedAt, res.statusCode);
+        updateRateLimit(res.headers);
+        log.debug('ShipStation response', { path: endpoint, statusCode: res.statusCode });
+        log.payload('ShipStation response body', data);
+        recordUpstreamResponse('ShipStation', { method: 'GET', path: endpoint }, res.statusCode, data);
+
+        if (res.statusCode === 200) {
+          try {
+            const parsedData = JSON.parse(data);
+            resolve(parsedData);
+          } catch (parseError) {
+            reject(new Error('Invalid response from ShipStation'));
+          }
+        } else if (res.statusCode === 404) {
+          resolve({ orders: [], shipments: [] });
+        } else {
+          const error = new Error(`ShipStation API error: ${res.statusCode}`);
+          error.statusCode = res.statusCode;
+          error.retryAfterSeconds = parseRetryAfter(res.headers['x-rate-limit-reset'] || res.headers['retry-after']);
+          reject(error);
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      if (!timedOut) recordUpstreamCall('ShipStation', startedAt, 'error');
+      reject(new Error(`Network error: ${error.message}`));
+    });
+
+    req.setTimeout(getRequestTimeout(options.deadline, 15000), () => {
+      timedOut = true;
+      recordUpstreamCall('ShipStation', startedAt, 'timeout');
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+
+    req.end();
+  });
+}
+
+function updateRateLimit(headers) {
+  if (!headers || headers['x-rate-limit-remaining'] === undefined) {
+    return;
+  }
+
+  rateLimit.remaining = Number(headers['x-rate-limit-remaining']);
+  const resetSeconds = parseRetryAfter(headers['x-rate-limit-reset']) || 0;
+  rateLimit.resetAt = Date.now() + resetSeconds * 1000;
+
+  if (rateLimit.remaining <= 5) {
+    log.warn('ShipStation rate limit low', { remaining: rateLimit.remaining, resetSeconds: resetSeconds });
+  }
+}
+
+// Wait out an exhausted rate-limit window, or fail fast if it outlasts the deadline
+async function waitForRateLimit(deadline) {
+  if (rateLimit.remaining !== 0) {
+    return;
+  }
+
+  const waitMs = rateLimit.resetAt - Date.now();
+  if (waitMs <= 0) {
+    rateLimit.remaining = null;
+    return;
+  }
+
+  if (!hasTimeToWait(deadline, waitMs)) {
+    throw new UpstreamBusyError('ShipStation', Math.ceil(waitMs / 1000));
+  }
+
+  log.info('ShipStation rate limit exhausted, waiting', { waitMs: waitMs });
+  await sleep(waitMs);
+  rateLimit.remaining = null;
+}
+
+function checkShipmentDeliveryStatus(shipment) {
+  if (shipment.deliveryDate) return true;
+  if (shipment.voidDate) return false;
+  if (shipment.shipmentStatus && shipment.shipmentStatus.toLowerCase() === 'delivered') return true;
+  if (shipment.trackingStatus && shipment.trackingStatus.toLowerCase().includes('delivered')) return true;
+  return false;
+}
+
+module.exports = {
+  SHIPSTATION_HOSTNAME,
+  createShipStationAuth,
+  makeShipStationRequest,
+  makeShipStationListRequest,
+  checkShipmentDeliveryStatus
+};
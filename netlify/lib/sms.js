@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const log = require('./logger');
+
+// Outgoing text messages. SMS_TRANSPORT selects the transport:
+//   console - log that a text was sent; the text itself only with LOG_PAYLOADS
+//             (default for local runs; deployed functions refuse to send
+//             without SMS_TRANSPORT rather than drop texts)
+//   file    - write each message as JSON under SMS_FILE_DIR (local testing)
+//   twilio  - Twilio's Messages API, or any API that speaks it (SMS_HTTP_URL),
+//             with TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN
+// SMS_FROM is the sending number for the twilio transport.
+
+const TWILIO_HOSTNAME = 'api.twilio.com';
+
+const transports = {
+  console: sendToConsole,
+  file: sendToFile,
+  twilio: sendToTwilio
+};
+
+// message: { to, body } with `to` in E.164 format (+15555550123)
+async function sendSms(message) {
+  const transportName = getTransportName();
+  const transport = transports[transportName];
+  if (!transport) {
+    throw new Error(`Unknown SMS_TRANSPORT: ${transportName}`);
+  }
+
+  await transport(message);
+  log.info('Sent text message', { transport: transportName });
+}
+
+function getTransportName() {
+  if (process.env.SMS_TRANSPORT) {
+    return process.env.SMS_TRANSPORT.toLowerCase();
+  }
+  if (isDeployed()) {
+    throw new Error('SMS_TRANSPORT is not configured');
+  }
+  return 'console';
+}
+
+// Running on Netlify rather than locally (netlify dev counts as local)
+function isDeployed() {
+  return Boolean((process.env.NETLIFY || process.env.AWS_LAMBDA_FUNCTION_NAME) && !process.env.NETLIFY_DEV);
+}
+
+async function sendToConsole(message) {
+  log.payload('Text message (console transport)', message);
+}
+
+async function sendToFile(message) {
+  const dir = process.env.SMS_FILE_DIR || path.join(os.tmpdir(), 'drought-order-tracker', 'sms');
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+  await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+}
+
+function sendToTwilio(message) {
+  return new Promise((resolve, reject) => {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    if (!accountSid || !authToken || !process.env.SMS_FROM) {
+      reject(new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and SMS_FROM must be configured'));
+      return;
+    }
+
+    const url = new URL(
+      process.env.SMS_HTTP_URL ||
+      `https://${TWILIO_HOSTNAME}/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`
+    );
+    const postData = new URLSearchParams({
+      From: process.env.SMS_FROM,
+      To: message.to,
+      Body: message.body
+    }).toString();
+
+    const req = https.request({
+      hostname: url.hostname,
+      port: url.port || undefined,
+      path: `${url.pathname}${url.search}`,
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(postData)
+      }
+    }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve();
+        } else {
+          reject(new Error(`SMS API error: ${res.statusCode} ${data}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`SMS network error: ${error.message}`));
+    });
+
+    req.setTimeout(10000, () => {
+      req.destroy();
+      reject(new Error('SMS request timeout'));
+    });
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+module.exports = {
+  sendSms
+};
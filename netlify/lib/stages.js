@@ -0,0 +1,71 @@
+// Shipment stage model shared by every tracking source.
+//
+// A shipment's `stage` is one of the STAGES below; the order-level status is
+// rolled up from them in order-status.js. Stages in ATTENTION_STAGES mean the
+// customer may need to act (or contact us), and roll up to `needs_attention`.
+
+const STAGES = {
+  PROCESSING: 'processing',                       // no label yet
+  LABEL_CREATED: 'label_created',                 // label printed, no carrier scan
+  IN_TRANSIT: 'in_transit',
+  CUSTOMS_HOLD: 'customs_hold',                   // customs need information
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  AVAILABLE_FOR_PICKUP: 'available_for_pickup',
+  DELIVERY_FAILED: 'delivery_failed',
+  EXCEPTION: 'exception',                         // damaged, lost, delayed, ...
+  RETURNING_TO_SENDER: 'returning_to_sender',
+  RETURNED_TO_SENDER: 'returned_to_sender',
+  EXPIRED: 'expired',                             // carrier stopped updating
+  DELIVERED: 'delivered'
+};
+
+const STAGE_LABELS = {
+  processing: 'Processing',
+  label_created: 'Label created',
+  in_transit: 'In transit',
+  customs_hold: 'Held in customs',
+  out_for_delivery: 'Out for delivery',
+  available_for_pickup: 'Available for pickup',
+  delivery_failed: 'Delivery attempt failed',
+  exception: 'Delivery exception',
+  returning_to_sender: 'Returning to sender',
+  returned_to_sender: 'Returned to sender',
+  expired: 'Tracking expired',
+  delivered: 'Delivered'
+};
+
+const ATTENTION_STAGES = new Set([
+  STAGES.CUSTOMS_HOLD,
+  STAGES.AVAILABLE_FOR_PICKUP,
+  STAGES.DELIVERY_FAILED,
+  STAGES.EXCEPTION,
+  STAGES.RETURNING_TO_SENDER,
+  STAGES.RETURNED_TO_SENDER,
+  STAGES.EXPIRED
+]);
+
+// Stages where the carrier doesn't have the package yet
+const NOT_YET_SHIPPED_STAGES = new Set([
+  STAGES.PROCESSING,
+  STAGES.LABEL_CREATED
+]);
+
+function needsAttention(stage) {
+  return ATTENTION_STAGES.has(stage);
+}
+
+function isShippedStage(stage) {
+  return !NOT_YET_SHIPPED_STAGES.has(stage);
+}
+
+function getStageLabel(stage) {
+  return STAGE_LABELS[stage] || STAGE_LABELS.processing;
+}
+
+module.exports = {
+  STAGES,
+  ATTENTION_STAGES,
+  needsAttention,
+  isShippedStage,
+  getStageLabel
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const log = require('./logger');
+
+// Key/value JSON store shared by the tracker functions: get, set, delete and
+// list(prefix) for the keys.
+// STORE_BACKEND selects the backend:
+//   blobs  - Netlify Blobs (default when deployed on Netlify)
+//   file   - one JSON file per key under STORE_FILE_DIR (local testing)
+//   memory - process-local Map (default everywhere else)
+//
+// Deployed functions must be wrapped in withStore, which connects Blobs for
+// the request. The file and memory backends are private to one function
+// instance, so a deployed function using them logs an error: webhook writes,
+// subscriptions and rate limits wouldn't be seen by the other functions.
+
+const memoryStores = new Map();
+let warnedPrivateBackend = false;
+
+function getStore(name) {
+  const backend = getBackendName();
+
+  if (backend !== 'blobs' && isDeployed() && !warnedPrivateBackend) {
+    warnedPrivateBackend = true;
+    log.error('Deployed function using a store private to this instance', { backend: backend });
+  }
+
+  switch (backend) {
+    case 'blobs':
+      return createBlobsStore(name);
+    case 'file':
+      return createFileStore(name);
+    case 'memory':
+      return createMemoryStore(name);
+    default:
+      throw new Error(`Unknown STORE_BACKEND: ${backend}`);
+  }
+}
+
+function getBackendName() {
+  return (process.env.STORE_BACKEND || (isDeployed() ? 'blobs' : 'memory')).toLowerCase();
+}
+
+// Running on Netlify (at build time or in a deployed function)
+function isDeployed() {
+  return Boolean(process.env.NETLIFY_BLOBS_CONTEXT || process.env.NETLIFY || process.env.AWS_LAMBDA_FUNCTION_NAME);
+}
+
+// Wrap a function handler so the Blobs backend is connected for the request.
+// Lambda-compatible functions get their Blobs credentials on the event rather
+// than in the environment.
+function withStore(handler) {
+  return async (event, lambdaContext) => {
+    if (event && event.blobs) {
+      require('@netlify/blobs').connectLambda(event);
+    }
+    return handler(event, lambdaContext);
+  };
+}
+
+function createMemoryStore(name) {
+  if (!memoryStores.has(name)) {
+    memoryStores.set(name, new Map());
+  }
+  const entries = memoryStores.get(name);
+
+  return {
+    async get(key) {
+      return entries.has(key) ? JSON.parse(entries.get(key)) : null;
+    },
+    async set(key, value) {
+      // Serialize so callers can't mutate stored values by reference
+      entries.set(key, JSON.stringify(value));
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list(prefix = '') {
+      return [...entries.keys()].filter(key => key.startsWith(prefix));
+    }
+  };
+}
+
+function createFileStore(name) {
+  const baseDir = process.env.STORE_FILE_DIR || path.join(os.tmpdir(), 'drought-order-tracker');
+  const dir = path.join(baseDir, name);
+
+  const fileFor = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async set(key, value) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(fileFor(key), JSON.stringify(value, null, 2));
+    },
+    async delete(key) {
+      try {
+        await fs.promises.unlink(fileFor(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+    async list(prefix = '') {
+      let files;
+      try {
+        files = await fs.promises.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => decodeURIComponent(file.slice(0, -'.json'.length)))
+        .filter(key => key.startsWith(prefix));
+    }
+  };
+}
+
+function createBlobsStore(name) {
+  // Loaded lazily so local runs don't need @netlify/blobs installed. Throws
+  // when Blobs isn't connected rather than falling back to a private store.
+  const { getStore: getBlobStore } = require('@netlify/blobs');
+  const blobs = getBlobStore(name);
+
+  return {
+    async get(key) {
+      const value = await blobs.get(key, { type: 'json' });
+      return value === undefined ? null : value;
+    },
+    async set(key, value) {
+      await blobs.setJSON(key, value);
+    },
+    async delete(key) {
+      await blobs.delete(key);
+    },
+    async list(prefix = '') {
+      const { blobs: entries } = await blobs.list({ prefix });
+      return entries.map(entry => entry.key);
+    }
+  };
+}
+
+module.exports = {
+  getStore,
+  getBackendName,
+  isDeployed,
+  withStore
+};
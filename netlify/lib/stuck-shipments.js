@@ -0,0 +1,134 @@
+const { ATTENTION_STAGES, getStageLabel } = require('./stages');
+const { countBusinessDays, parseDate, formatDate } = require('./delivery-estimate');
+const log = require('./logger');
+
+// Rules for shipments that look stuck or late, checked by the ops digest
+// against normalized shipments (order-status.js). A shipment is listed once,
+// under the first rule it breaks, in this order:
+//   exception       a stage that needs attention (customs hold, failed delivery,
+//                   exception, returning, expired, ...)
+//   no_first_scan   label created, but no carrier scan `businessDays` business
+//                   days after the ship date
+//   eta_passed      picked up, not delivered, graceDays after the latest ETA
+//                   (a label that was never scanned isn't late, it's unshipped)
+//   no_movement     picked up, but no new carrier event for `days` days
+//
+// STUCK_SHIPMENT_RULES overrides the settings as JSON; false turns a rule off, e.g.
+//   {"no_first_scan":{"businessDays":3},"eta_passed":false}
+
+const DEFAULT_RULES = {
+  exception: { stages: [...ATTENTION_STAGES] },
+  no_first_scan: { businessDays: 2 },
+  eta_passed: { graceDays: 1 },
+  no_movement: { days: 4 }
+};
+
+const RULE_LABELS = {
+  exception: 'Delivery exception',
+  no_first_scan: 'No first carrier scan',
+  eta_passed: 'Past its delivery estimate',
+  no_movement: 'No carrier movement'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const checks = {
+  exception: checkException,
+  no_first_scan: checkNoFirstScan,
+  eta_passed: checkEtaPassed,
+  no_movement: checkNoMovement
+};
+
+function getRules() {
+  const overrides = getRuleOverrides();
+  return Object.keys(DEFAULT_RULES)
+    .filter(name => overrides[name] !== false)
+    .map(name => ({ name, settings: { ...DEFAULT_RULES[name], ...(overrides[name] || {}) } }));
+}
+
+function getRuleOverrides() {
+  if (!process.env.STUCK_SHIPMENT_RULES) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.STUCK_SHIPMENT_RULES);
+  } catch (error) {
+    log.error('Invalid STUCK_SHIPMENT_RULES, ignoring', { error: error });
+    return {};
+  }
+}
+
+// The first rule the shipment breaks, as { rule, label, detail }, or null.
+// Delivered shipments are never stuck.
+function findStuckRule(shipment, now = Date.now()) {
+  if (shipment.isDelivered) {
+    return null;
+  }
+
+  for (const { name, settings } of getRules()) {
+    const detail = checks[name](shipment, settings, now);
+    if (detail) {
+      return { rule: name, label: RULE_LABELS[name], detail: detail };
+    }
+  }
+  return null;
+}
+
+function checkException(shipment, settings) {
+  if (!settings.stages.includes(shipment.stage)) {
+    return null;
+  }
+  const subStatus = shipment.trackingSubStatus ? ` (${shipment.trackingSubStatus})` : '';
+  return `${getStageLabel(shipment.stage)}${subStatus}`;
+}
+
+function checkEtaPassed(shipment, settings, now) {
+  if (!shipment.actuallyShipped) {
+    return null;
+  }
+  const estimate = shipment.estimatedDelivery;
+  const latest = estimate ? parseDate(estimate.to) : null;
+  if (!latest || now < latest.getTime() + (settings.graceDays + 1) * DAY_MS) {
+    return null;
+  }
+  return `Expected by ${estimate.to} (${estimate.source === 'calculated' ? 'our estimate' : 'carrier estimate'})`;
+}
+
+function checkNoMovement(shipment, settings, now) {
+  if (!shipment.actuallyShipped) {
+    return null;
+  }
+  const lastEventAt = getLastEventTime(shipment);
+  if (!lastEventAt || now - lastEventAt < settings.days * DAY_MS) {
+    return null;
+  }
+  return `No new event since ${new Date(lastEventAt).toISOString().slice(0, 10)}`;
+}
+
+function checkNoFirstScan(shipment, settings, now) {
+  const shipDate = parseDate(shipment.shipDate);
+  if (shipment.actuallyShipped || !shipDate) {
+    return null;
+  }
+  const today = parseDate(formatDate(new Date(now)));
+  const businessDays = countBusinessDays(shipDate, today);
+  if (businessDays < settings.businessDays) {
+    return null;
+  }
+  return `Label created ${formatDate(shipDate)}, no carrier scan after ${businessDays} business days`;
+}
+
+// Newest carrier event, from the timeline or the latest activity
+function getLastEventTime(shipment) {
+  const times = (shipment.events || [])
+    .map(event => Date.parse(event.time))
+    .concat(shipment.latestActivity ? [Date.parse(shipment.latestActivity.time)] : [])
+    .filter(time => !Number.isNaN(time));
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+module.exports = {
+  RULE_LABELS,
+  getRules,
+  findStuckRule
+};
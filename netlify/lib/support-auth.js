@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+// Who may call the support API: a bearer token in the Authorization header,
+// either the shared secret or a JWT. Set one or both:
+//   SUPPORT_API_TOKEN      shared secret (scripts, a helpdesk integration)
+//   SUPPORT_JWT_SECRET     HS256 key for JWTs issued to individual agents (by
+//                          the helpdesk or SSO side); they need an exp, and sub
+//                          or email names the agent in the logs
+//   SUPPORT_JWT_AUDIENCE   optional; when set, the JWT's aud must include it
+
+// The agent making the request ("shared-token" for the shared secret), or
+// null when the request isn't authorized
+function authenticateAgent(event) {
+  const requestHeaders = event.headers || {};
+  const authorization = requestHeaders.authorization || requestHeaders.Authorization || '';
+  const match = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return null;
+  }
+  const token = match[1];
+
+  if (process.env.SUPPORT_API_TOKEN && safeEqual(token, process.env.SUPPORT_API_TOKEN)) {
+    return 'shared-token';
+  }
+
+  if (process.env.SUPPORT_JWT_SECRET) {
+    const claims = verifyJwt(token, process.env.SUPPORT_JWT_SECRET);
+    if (claims) {
+      return String(claims.sub || claims.email || 'jwt');
+    }
+  }
+
+  return null;
+}
+
+function isSupportAuthConfigured() {
+  return Boolean(process.env.SUPPORT_API_TOKEN || process.env.SUPPORT_JWT_SECRET);
+}
+
+// HS256 only - the algorithm comes from our config, never from the token.
+// Returns the claims, or null when the token is malformed, forged, expired,
+// not yet valid or for another audience.
+function verifyJwt(token, secret) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest('base64url');
+  if (!safeEqual(signature, expected)) {
+    return null;
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (header.alg !== 'HS256' || !claims || typeof claims.exp !== 'number' || claims.exp < now) {
+    return null;
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf > now) {
+    return null;
+  }
+
+  const audience = process.env.SUPPORT_JWT_AUDIENCE;
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      return null;
+    }
+  }
+
+  return claims;
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a || ''));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+module.exports = {
+  authenticateAgent,
+  isSupportAuthConfigured
+};
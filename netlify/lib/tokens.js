@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+// Signed, expiring tokens for links we send out (magic links to a customer's
+// recent orders, shareable tracking links). Format:
+// base64url(JSON claims) + "." + base64url(HMAC-SHA256).
+//
+//   TOKEN_SECRET            signs new tokens and verifies existing ones
+//   TOKEN_SECRET_PREVIOUS   still accepted when verifying, during a rotation
+//
+// To revoke every outstanding link, set a new TOKEN_SECRET and move the old one
+// to TOKEN_SECRET_PREVIOUS; once links signed with it should stop working (or
+// straight away, to revoke immediately), drop TOKEN_SECRET_PREVIOUS.
+
+function getSecret() {
+  const secret = process.env.TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('TOKEN_SECRET is not configured');
+  }
+  return secret;
+}
+
+// Current secret first, then the one being rotated out
+function getVerificationSecrets() {
+  return [getSecret(), process.env.TOKEN_SECRET_PREVIOUS].filter(Boolean);
+}
+
+function signToken(type, claims, ttlSeconds) {
+  const payload = {
+    ...claims,
+    typ: type,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload, getSecret())}`;
+}
+
+// Returns the claims, or null when the token is malformed, forged, expired or
+// of a different type
+function verifyToken(token, type) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return null;
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+  const signatureValid = getVerificationSecrets()
+    .some(secret => safeEqual(signature, sign(encodedPayload, secret)));
+  if (!signatureValid) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.typ !== type || !payload.exp || payload.exp * 1000 < Date.now()) {
+    return null;
+  }
+  return payload;
+}
+
+function sign(encodedPayload, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(encodedPayload)
+    .digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a || ''));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+module.exports = {
+  signToken,
+  verifyToken
+};
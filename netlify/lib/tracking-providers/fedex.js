@@ -0,0 +1,140 @@
+const { requestJson, getAccessToken } = require('../http');
+const { buildTrackingState, sortEvents, formatLocation } = require('./state');
+const { STAGES } = require('../stages');
+const { getCarrier } = require('../carriers');
+
+// FedEx Track API v1 (up to 30 numbers per request, OAuth client credentials).
+//   FEDEX_API_KEY / FEDEX_SECRET_KEY
+//   FEDEX_API_URL   default https://apis.fedex.com
+
+const DEFAULT_API_URL = 'https://apis.fedex.com';
+const MAX_NUMBERS_PER_REQUEST = 30;
+
+function getApiUrl() {
+  return process.env.FEDEX_API_URL || DEFAULT_API_URL;
+}
+
+function getToken(options) {
+  return getAccessToken('FedEx', {
+    url: `${getApiUrl()}/oauth/token`,
+    form: {
+      grant_type: 'client_credentials',
+      client_id: process.env.FEDEX_API_KEY,
+      client_secret: process.env.FEDEX_SECRET_KEY
+    }
+  }, options);
+}
+
+// FedEx derived status codes
+function getStage(derivedCode) {
+  switch ((derivedCode || '').toUpperCase()) {
+    case 'DL':
+      return STAGES.DELIVERED;
+    case 'OD':
+      return STAGES.OUT_FOR_DELIVERY;
+    case 'HL':
+    case 'HP':
+      return STAGES.AVAILABLE_FOR_PICKUP;
+    case 'DE':
+      return STAGES.DELIVERY_FAILED;
+    case 'CD':
+      return STAGES.CUSTOMS_HOLD;
+    case 'RS':
+    case 'RP':
+      return STAGES.RETURNING_TO_SENDER;
+    case 'SE':
+    case 'DY':
+    case 'CA':
+      return STAGES.EXCEPTION;
+    case 'OC':
+    case 'IN':
+    case '':
+      return STAGES.LABEL_CREATED;
+    default:
+      return STAGES.IN_TRANSIT;
+  }
+}
+
+function findDate(trackResult, type) {
+  const entry = (trackResult.dateAndTimes || []).find(dateAndTime => dateAndTime.type === type);
+  return entry ? entry.dateTime : null;
+}
+
+function getEstimatedDelivery(trackResult) {
+  const window = trackResult.estimatedDeliveryTimeWindow && trackResult.estimatedDeliveryTimeWindow.window;
+  const from = (window && window.begins) || findDate(trackResult, 'ESTIMATED_DELIVERY');
+  const to = (window && window.ends) || from;
+  if (!from) return null;
+  return { from: from.slice(0, 10), to: to.slice(0, 10), source: 'fedex' };
+}
+
+module.exports = {
+  name: 'fedex',
+  carriers: getCarrier('fedex').shipStationCodes,
+
+  isConfigured() {
+    return Boolean(process.env.FEDEX_API_KEY && process.env.FEDEX_SECRET_KEY);
+  },
+
+  async healthCheck(options = {}) {
+    await getToken(options);
+  },
+
+  async fetch(numbers, options = {}) {
+    const token = await getToken(options);
+    const batches = [];
+    for (let i = 0; i < numbers.length; i += MAX_NUMBERS_PER_REQUEST) {
+      batches.push(numbers.slice(i, i + MAX_NUMBERS_PER_REQUEST));
+    }
+
+    const responses = await Promise.all(batches.map(batch => requestJson('FedEx', {
+      method: 'POST',
+      url: `${getApiUrl()}/track/v1/trackingnumbers`,
+      headers: { 'Authorization': `Bearer ${token}` },
+      json: {
+        includeDetailedScans: true,
+        trackingInfo: batch.map(number => ({ trackingNumberInfo: { trackingNumber: number } }))
+      }
+    }, options)));
+
+    const resultsByNumber = new Map(numbers.map(number => [number, null]));
+    responses.forEach(response => {
+      const results = (response.output && response.output.completeTrackResults) || [];
+      results.forEach(result => {
+        const trackResult = (result.trackResults || [])[0];
+        // Unknown numbers come back with trackResult.error (TRACKING.TRACKINGNUMBER.NOTFOUND)
+        if (trackResult && !trackResult.error) {
+          resultsByNumber.set(result.trackingNumber, trackResult);
+        }
+      });
+    });
+    return resultsByNumber;
+  },
+
+  normalize(number, trackResult) {
+    const latestStatus = trackResult && trackResult.latestStatusDetail;
+    if (!latestStatus) {
+      return null;
+    }
+
+    const events = sortEvents((trackResult.scanEvents || []).map(event => {
+      const location = event.scanLocation || {};
+      return {
+        time: event.date || '',
+        location: formatLocation(location.city, location.stateOrProvinceCode, location.countryCode),
+        description: event.eventDescription || '',
+        stage: getStage(event.derivedStatusCode)
+      };
+    }));
+
+    return buildTrackingState('fedex', number, {
+      stage: getStage(latestStatus.derivedCode || latestStatus.code),
+      trackingStatus: latestStatus.statusByLocale || latestStatus.description || '',
+      subStatus: latestStatus.code || '',
+      deliveryDate: findDate(trackResult, 'ACTUAL_DELIVERY'),
+      events: events,
+      estimatedDelivery: getEstimatedDelivery(trackResult),
+      carrierName: 'FedEx'
+    });
+  }
+};
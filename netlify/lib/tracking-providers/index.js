@@ -0,0 +1,93 @@
+const seventeenTrack = require('./seventeen-track');
+const usps = require('./usps');
+const ups = require('./ups');
+const fedex = require('./fedex');
+const log = require('../logger');
+
+// Carrier-tracking providers. Each provider is an object with:
+//   name                        '17track', 'usps', ...
+//   carriers                    ShipStation carrier codes it handles, or null for any
+//   isConfigured()              true when its credentials are set
+//   fetch(numbers, options)     Map of tracking number -> raw provider record (or null)
+//   normalize(number, record)   the shared tracking state (see state.js), or null
+//                               when the provider has no data yet
+//   register(numbers, options)  optional: for providers that only track numbers
+//                               they've been told about; resolves to the numbers
+//                               worth polling. Fills options.registrations (a Map),
+//                               when given, with number -> { provider, status:
+//                               registered | already_registered | rejected, code }
+//   getCarrierName(record)      optional: carrier the provider detected
+//   forceRegister(number, carrierKey, options)
+//                               optional: register a number again by hand, with
+//                               the provider's own carrier key (support API)
+//   healthCheck(options)        a cheap authenticated call for the health function;
+//                               rejects when the provider is unreachable
+//
+// Each shipment gets a chain of providers for its carrier code, tried in
+// order: by default the direct carrier API (when configured), then 17track.
+// TRACKING_PROVIDER_CHAINS overrides the chains as JSON, keyed by carrier
+// code with "default" for everything else, e.g.
+//   {"usps":["17track","usps"],"default":["17track"]}
+
+const PROVIDERS = {
+  [seventeenTrack.name]: seventeenTrack,
+  [usps.name]: usps,
+  [ups.name]: ups,
+  [fedex.name]: fedex
+};
+
+const DIRECT_PROVIDERS = [usps, ups, fedex];
+
+function getProvider(name) {
+  return PROVIDERS[name] || null;
+}
+
+// The configured providers to try for a carrier code, in order
+function getProviderChain(carrierCode) {
+  const carrier = (carrierCode || '').toLowerCase();
+  const overrides = getChainOverrides();
+  const names = overrides[carrier] || overrides.default || getDefaultChain(carrier);
+
+  return names
+    .map(name => PROVIDERS[name])
+    .filter(provider => provider && provider.isConfigured() && handlesCarrier(provider, carrier));
+}
+
+function getDefaultChain(carrier) {
+  const direct = DIRECT_PROVIDERS
+    .filter(provider => handlesCarrier(provider, carrier))
+    .map(provider => provider.name);
+  return [...direct, seventeenTrack.name];
+}
+
+function handlesCarrier(provider, carrier) {
+  return !provider.carriers || provider.carriers.includes(carrier);
+}
+
+function getChainOverrides() {
+  if (!process.env.TRACKING_PROVIDER_CHAINS) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.TRACKING_PROVIDER_CHAINS);
+  } catch (error) {
+    log.error('Invalid TRACKING_PROVIDER_CHAINS, ignoring', { error: error });
+    return {};
+  }
+}
+
+function getConfiguredProviders() {
+  return Object.values(PROVIDERS).filter(provider => provider.isConfigured());
+}
+
+// True when any provider can track anything at all
+function hasTrackingProviders() {
+  return Object.values(PROVIDERS).some(provider => provider.isConfigured());
+}
+
+module.exports = {
+  getProvider,
+  getProviderChain,
+  getConfiguredProviders,
+  hasTrackingProviders
+};
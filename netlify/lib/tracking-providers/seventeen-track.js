@@ -0,0 +1,107 @@
+const {
+  makeSeventeenTrackV22Request,
+  fetchTrackInfo,
+  registerTrackingNumbers,
+  sendTrackingCommand,
+  normalizeTrackInfo,
+  get17trackCarrierName
+} = require('../seventeen-track');
+const log = require('../logger');
+const metrics = require('../metrics');
+
+// 17track v2.2: any carrier, but numbers must be registered before 17track
+// has data for them, so newly registered numbers are polled.
+//   SEVENTEEN_TRACK_API_KEY
+
+// 17track error -18019901: "The tracking number is already registered"
+const ALREADY_REGISTERED = -18019901;
+
+function getApiKey() {
+  return process.env.SEVENTEEN_TRACK_API_KEY;
+}
+
+module.exports = {
+  name: '17track',
+  carriers: null,
+
+  isConfigured() {
+    return Boolean(getApiKey());
+  },
+
+  // The quota lookup proves the key works without spending any quota
+  async healthCheck(options = {}) {
+    const response = await makeSeventeenTrackV22Request('/getquota', {}, getApiKey(), options);
+    if (response.code !== 0) {
+      throw new Error(`17track quota check failed: code ${response.code}`);
+    }
+    return { quotaRemaining: (response.data || {}).quota_remain };
+  },
+
+  fetch(numbers, options) {
+    return fetchTrackInfo(numbers, getApiKey(), options);
+  },
+
+  normalize(number, trackInfo) {
+    const state = normalizeTrackInfo(number, trackInfo);
+    return state ? { ...state, provider: '17track' } : null;
+  },
+
+  // Resolves to the numbers that may get data later; already-registered
+  // numbers come back rejected but are still worth polling
+  async register(numbers, options = {}) {
+    const registration = await registerTrackingNumbers(numbers, getApiKey(), options);
+    const registrations = options.registrations || new Map();
+    const rejectedForGood = new Set();
+
+    if (registration.accepted.length > 0) {
+      metrics.increment('17track.registered', {}, registration.accepted.length);
+    }
+    registration.accepted.forEach(entry => {
+      registrations.set(entry.number, { provider: '17track', status: 'registered', code: null });
+    });
+    registration.rejected.forEach(rejection => {
+      const code = rejection.error ? rejection.error.code : null;
+      log.info('17track registration rejected', { trackingNumber: rejection.number, error: rejection.error });
+      metrics.increment('17track.rejected', { code: code === null ? 'unknown' : code });
+      if (code === ALREADY_REGISTERED) {
+        registrations.set(rejection.number, { provider: '17track', status: 'already_registered', code: code });
+      } else {
+        registrations.set(rejection.number, { provider: '17track', status: 'rejected', code: code });
+        rejectedForGood.add(rejection.number);
+      }
+    });
+
+    return numbers.filter(number => !rejectedForGood.has(number));
+  },
+
+  // Register a number again by hand, pinned to a 17track carrier key when
+  // auto-detect picked the wrong carrier (carrierKey null to leave it to
+  // 17track). A number that's already registered is switched to the carrier,
+  // or restarted when there's none. Resolves to { action, accepted, rejected }.
+  async forceRegister(number, carrierKey, options) {
+    const entry = carrierKey ? { number: number, carrier: carrierKey } : { number: number };
+    const registration = await sendTrackingCommand('/register', [entry], getApiKey(), options);
+
+    const alreadyRegistered = registration.rejected.some(rejection =>
+      rejection.error && rejection.error.code === ALREADY_REGISTERED);
+    if (!alreadyRegistered) {
+      if (registration.accepted.length > 0) {
+        metrics.increment('17track.registered', {}, registration.accepted.length);
+      }
+      return { action: 'register', ...registration };
+    }
+
+    if (carrierKey) {
+      const change = await sendTrackingCommand(
+        '/changecarrier', [{ number: number, carrier_new: carrierKey }], getApiKey(), options);
+      return { action: 'changecarrier', ...change };
+    }
+
+    const retrack = await sendTrackingCommand('/retrack', [{ number: number }], getApiKey(), options);
+    return { action: 'retrack', ...retrack };
+  },
+
+  getCarrierName(trackInfo) {
+    return get17trackCarrierName(trackInfo);
+  }
+};
@@ -0,0 +1,53 @@
+const { STAGES, needsAttention, isShippedStage } = require('../stages');
+
+// Builds the normalized tracking state every provider returns (the shape
+// seventeen-track.js's normalizeTrackInfo established), so the store, the
+// status engine and the notifications don't care where the data came from.
+//
+// fields: { stage, trackingStatus, subStatus, deliveryDate, estimatedDelivery,
+//           events (oldest first), carrierName, carrierId (17track carrier key) }
+// carrierName is the carrier whose API answered; only 17track, which detects
+// the carrier itself, reports providerCarrierDetected.
+function buildTrackingState(provider, trackingNumber, fields) {
+  const events = fields.events || [];
+  const isDelivered = fields.stage === STAGES.DELIVERED;
+  const latestEvent = events[events.length - 1];
+
+  return {
+    trackingNumber: trackingNumber,
+    provider: provider,
+    actuallyShipped: isShippedStage(fields.stage),
+    isDelivered: isDelivered,
+    stage: fields.stage,
+    needsAttention: needsAttention(fields.stage),
+    deliveryDate: isDelivered ? (fields.deliveryDate || (latestEvent && latestEvent.time) || null) : null,
+    trackingStatus: fields.trackingStatus || '',
+    subStatus: fields.subStatus || '',
+    latestActivity: {
+      status: latestEvent ? latestEvent.description : fields.trackingStatus,
+      location: latestEvent ? latestEvent.location : '',
+      time: latestEvent ? latestEvent.time : '',
+      description: latestEvent ? latestEvent.description : fields.trackingStatus
+    },
+    estimatedDelivery: isDelivered ? null : (fields.estimatedDelivery || null),
+    events: events,
+    providerCarrierName: fields.carrierName || null,
+    providerCarrierDetected: false,
+    carrier17trackId: fields.carrierId || null
+  };
+}
+
+// Oldest first; events without a timestamp sink to the start
+function sortEvents(events) {
+  return events.sort((a, b) => (Date.parse(a.time) || 0) - (Date.parse(b.time) || 0));
+}
+
+function formatLocation(...parts) {
+  return parts.filter(Boolean).join(', ');
+}
+
+module.exports = {
+  buildTrackingState,
+  sortEvents,
+  formatLocation
+};
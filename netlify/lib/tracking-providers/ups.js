@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { requestJson, getAccessToken, mapWithConcurrency } = require('../http');
+const { buildTrackingState, sortEvents, formatLocation } = require('./state');
+const { STAGES } = require('../stages');
+const { getCarrier } = require('../carriers');
+
+// UPS Tracking API v1 (one number per request, OAuth client credentials).
+//   UPS_CLIENT_ID / UPS_CLIENT_SECRET
+//   UPS_API_URL   default https://onlinetools.ups.com
+
+const DEFAULT_API_URL = 'https://onlinetools.ups.com';
+const MAX_CONCURRENT_REQUESTS = 5;
+
+function getApiUrl() {
+  return process.env.UPS_API_URL || DEFAULT_API_URL;
+}
+
+function getToken(options) {
+  const credentials = Buffer
+    .from(`${process.env.UPS_CLIENT_ID}:${process.env.UPS_CLIENT_SECRET}`)
+    .toString('base64');
+
+  return getAccessToken('UPS', {
+    url: `${getApiUrl()}/security/v1/oauth/token`,
+    headers: { 'Authorization': `Basic ${credentials}` },
+    form: { grant_type: 'client_credentials' }
+  }, options);
+}
+
+async function fetchOne(number, token, options) {
+  try {
+    const response = await requestJson('UPS', {
+      url: `${getApiUrl()}/api/track/v1/details/${encodeURIComponent(number)}`,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'transId': crypto.randomUUID(),
+        'transactionSrc': 'order-tracker'
+      }
+    }, options);
+
+    const shipment = response.trackResponse && response.trackResponse.shipment && response.trackResponse.shipment[0];
+    return (shipment && shipment.package && shipment.package[0]) || null;
+  } catch (error) {
+    // Unknown numbers
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// status.type: M manifest (label only), P pickup, I in transit, X exception,
+// D delivered, RS returned to shipper. Finer detail is only in the description.
+function getStage(status) {
+  const type = (status.type || '').toUpperCase();
+  const description = (status.description || '').toLowerCase();
+
+  if (type === 'RS' || description.includes('returned to sender') || description.includes('returned to shipper')) {
+    return STAGES.RETURNED_TO_SENDER;
+  }
+  if (type === 'D') return STAGES.DELIVERED;
+  if (description.includes('returning to') || description.includes('return to sender')) {
+    return STAGES.RETURNING_TO_SENDER;
+  }
+  if (description.includes('out for delivery')) return STAGES.OUT_FOR_DELIVERY;
+  if (description.includes('access point') || description.includes('ready for pickup')) {
+    return STAGES.AVAILABLE_FOR_PICKUP;
+  }
+  if (type === 'X') {
+    if (description.includes('customs') || description.includes('clearance')) return STAGES.CUSTOMS_HOLD;
+    if (description.includes('attempt')) return STAGES.DELIVERY_FAILED;
+    return STAGES.EXCEPTION;
+  }
+  if (type === 'M' || description.includes('label created')) return STAGES.LABEL_CREATED;
+  return STAGES.IN_TRANSIT;
+}
+
+// UPS dates are "20240105", times "103000", both in local time
+function formatDateTime(date, time) {
+  if (!date) return '';
+  const day = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  return time ? `${day}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}` : day;
+}
+
+// SDD scheduled, RDD rescheduled; DEL is the actual delivery date
+function getEstimatedDelivery(trackingPackage) {
+  const scheduled = (trackingPackage.deliveryDate || [])
+    .find(entry => entry.type === 'RDD') ||
+    (trackingPackage.deliveryDate || []).find(entry => entry.type === 'SDD');
+  if (!scheduled || !scheduled.date) return null;
+  const date = formatDateTime(scheduled.date);
+  return { from: date, to: date, source: 'ups' };
+}
+
+module.exports = {
+  name: 'ups',
+  carriers: getCarrier('ups').shipStationCodes,
+
+  isConfigured() {
+    return Boolean(process.env.UPS_CLIENT_ID && process.env.UPS_CLIENT_SECRET);
+  },
+
+  async healthCheck(options = {}) {
+    await getToken(options);
+  },
+
+  async fetch(numbers, options = {}) {
+    const token = await getToken(options);
+    const results = await mapWithConcurrency(numbers, MAX_CONCURRENT_REQUESTS,
+      number => fetchOne(number, token, options));
+
+    const packagesByNumber = new Map();
+    numbers.forEach((number, index) => packagesByNumber.set(number, results[index]));
+    return packagesByNumber;
+  },
+
+  normalize(number, trackingPackage) {
+    const activities = (trackingPackage && trackingPackage.activity) || [];
+    const currentStatus = (trackingPackage && trackingPackage.currentStatus) ||
+      (activities[0] && activities[0].status);
+    if (!currentStatus) {
+      return null;
+    }
+
+    const events = sortEvents(activities.map(activity => {
+      const address = (activity.location && activity.location.address) || {};
+      const status = activity.status || {};
+      return {
+        time: formatDateTime(activity.date, activity.time),
+        location: formatLocation(address.city, address.stateProvince, address.country),
+        description: status.description || '',
+        stage: getStage(status)
+      };
+    }));
+
+    // currentStatus has no type; take it from the newest scan
+    const latestStatus = { ...((activities[0] && activities[0].status) || {}), ...currentStatus };
+    const delivered = (trackingPackage.deliveryDate || []).find(entry => entry.type === 'DEL');
+
+    return buildTrackingState('ups', number, {
+      stage: getStage(latestStatus),
+      trackingStatus: latestStatus.description || '',
+      subStatus: latestStatus.code || '',
+      deliveryDate: delivered ? formatDateTime(delivered.date) : null,
+      events: events,
+      estimatedDelivery: getEstimatedDelivery(trackingPackage),
+      carrierName: 'UPS'
+    });
+  }
+};
@@ -0,0 +1,129 @@
+const { requestJson, getAccessToken, mapWithConcurrency } = require('../http');
+const { buildTrackingState, sortEvents, formatLocation } = require('./state');
+const { STAGES } = require('../stages');
+const { getCarrier } = require('../carriers');
+
+// USPS Tracking API v3 (one number per request, OAuth client credentials).
+//   USPS_CLIENT_ID / USPS_CLIENT_SECRET
+//   USPS_API_URL   default https://apis.usps.com
+
+const DEFAULT_API_URL = 'https://apis.usps.com';
+const MAX_CONCURRENT_REQUESTS = 5;
+
+function getApiUrl() {
+  return process.env.USPS_API_URL || DEFAULT_API_URL;
+}
+
+function getToken(options) {
+  return getAccessToken('USPS', {
+    url: `${getApiUrl()}/oauth2/v3/token`,
+    json: {
+      grant_type: 'client_credentials',
+      client_id: process.env.USPS_CLIENT_ID,
+      client_secret: process.env.USPS_CLIENT_SECRET
+    }
+  }, options);
+}
+
+async function fetchOne(number, token, options) {
+  try {
+    return await requestJson('USPS', {
+      url: `${getApiUrl()}/tracking/v3/tracking/${encodeURIComponent(number)}?expand=DETAIL`,
+      headers: { 'Authorization': `Bearer ${token}` }
+    }, options);
+  } catch (error) {
+    // Unknown or not-yet-scanned numbers
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// statusCategory is USPS's coarse status ("In Transit", "Alert", ...); status
+// is the detailed text ("Delivered, In/At Mailbox")
+function getStage(statusCategory, status) {
+  const category = (statusCategory || '').toLowerCase();
+  const detail = (status || '').toLowerCase();
+
+  if (detail.includes('return to sender') || category === 'return to sender') {
+    return detail.includes('delivered') ? STAGES.RETURNED_TO_SENDER : STAGES.RETURNING_TO_SENDER;
+  }
+  if (category === 'delivered') return STAGES.DELIVERED;
+  if (category === 'out for delivery') return STAGES.OUT_FOR_DELIVERY;
+  if (category === 'available for pickup') return STAGES.AVAILABLE_FOR_PICKUP;
+  if (category === 'delivery attempt') return STAGES.DELIVERY_FAILED;
+  if (category === 'alert') {
+    return detail.includes('customs') ? STAGES.CUSTOMS_HOLD : STAGES.EXCEPTION;
+  }
+  if (category.startsWith('pre-shipment')) return STAGES.LABEL_CREATED;
+  return getEventStage(status);
+}
+
+// Individual scans only carry the detailed text
+function getEventStage(eventType) {
+  const text = (eventType || '').toLowerCase();
+
+  if (text.includes('return to sender')) return STAGES.RETURNING_TO_SENDER;
+  if (text.startsWith('delivered')) return STAGES.DELIVERED;
+  if (text.includes('out for delivery')) return STAGES.OUT_FOR_DELIVERY;
+  if (text.includes('available for pickup')) return STAGES.AVAILABLE_FOR_PICKUP;
+  if (text.includes('notice left') || text.includes('delivery attempt')) return STAGES.DELIVERY_FAILED;
+  if (text.includes('customs') && text.includes('held')) return STAGES.CUSTOMS_HOLD;
+  if (!text || text.includes('label created') || text.includes('pre-shipment')) return STAGES.LABEL_CREATED;
+  return STAGES.IN_TRANSIT;
+}
+
+function getEstimatedDelivery(tracking) {
+  const expected = tracking.expectedDeliveryTimeStamp || tracking.expectedDeliveryDate ||
+    tracking.predictedDeliveryDate;
+  if (!expected) return null;
+  const date = String(expected).slice(0, 10);
+  return { from: date, to: date, source: 'usps' };
+}
+
+module.exports = {
+  name: 'usps',
+  // stamps_com labels are USPS labels bought through Stamps.com
+  carriers: getCarrier('usps').shipStationCodes,
+
+  isConfigured() {
+    return Boolean(process.env.USPS_CLIENT_ID && process.env.USPS_CLIENT_SECRET);
+  },
+
+  async healthCheck(options = {}) {
+    await getToken(options);
+  },
+
+  async fetch(numbers, options = {}) {
+    const token = await getToken(options);
+    const results = await mapWithConcurrency(numbers, MAX_CONCURRENT_REQUESTS,
+      number => fetchOne(number, token, options));
+
+    const trackingByNumber = new Map();
+    numbers.forEach((number, index) => trackingByNumber.set(number, results[index]));
+    return trackingByNumber;
+  },
+
+  normalize(number, tracking) {
+    if (!tracking || !(tracking.statusCategory || tracking.status)) {
+      return null;
+    }
+
+    const events = sortEvents((tracking.trackingEvents || []).map(event => ({
+      time: event.eventTimestamp || '',
+      location: formatLocation(event.eventCity, event.eventState, event.eventCountry),
+      description: event.eventType || '',
+      stage: getEventStage(event.eventType)
+    })));
+
+    return buildTrackingState('usps', number, {
+      stage: getStage(tracking.statusCategory, tracking.status),
+      trackingStatus: tracking.statusCategory || tracking.status,
+      subStatus: tracking.status || '',
+      events: events,
+      estimatedDelivery: getEstimatedDelivery(tracking),
+      carrierName: 'USPS'
+    });
+  }
+};
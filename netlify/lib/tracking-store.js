@@ -0,0 +1,57 @@
+const { getStore } = require('./store');
+const { getTtlSeconds } = require('./cache');
+
+// Latest normalized tracking state per tracking number.
+// Written by the 17track webhook and by live lookups in get-order.
+//
+// TRACKING_WEBHOOK_TTL_MULTIPLIER  how many tracking cache TTLs webhook state
+//                                  is trusted for (default 12)
+
+const DEFAULT_WEBHOOK_TTL_MULTIPLIER = 12;
+
+function trackingStore() {
+  return getStore('tracking');
+}
+
+function storeKey(trackingNumber) {
+  return trackingNumber.trim().toUpperCase();
+}
+
+// Returns the stored state, or null on a miss or when the entry is too old to trust
+async function getTrackingState(trackingNumber) {
+  const state = await trackingStore().get(storeKey(trackingNumber));
+  if (!state) {
+    return null;
+  }
+
+  return isFresh(state) ? state : null;
+}
+
+async function saveTrackingState(state, source) {
+  const entry = {
+    ...state,
+    source: source,
+    updatedAt: new Date().toISOString()
+  };
+
+  await trackingStore().set(storeKey(state.trackingNumber), entry);
+  return entry;
+}
+
+// Live lookups follow the tracking cache TTLs, which keep delivered packages
+// much longer. Webhook entries are kept current by 17track pushes, so they get
+// several TTLs - but not forever: pushes stop when 17track stops tracking a
+// number, and a missed push would otherwise freeze the status.
+function isFresh(state) {
+  const multiplier = state.source === 'webhook'
+    ? Number(process.env.TRACKING_WEBHOOK_TTL_MULTIPLIER) || DEFAULT_WEBHOOK_TTL_MULTIPLIER
+    : 1;
+
+  const age = Date.now() - Date.parse(state.updatedAt);
+  return age < getTtlSeconds('tracking', state) * multiplier * 1000;
+}
+
+module.exports = {
+  getTrackingState,
+  saveTrackingState
+};
@@ -0,0 +1,320 @@
+const { getProviderChain } = require('./tracking-providers');
+const { getTrackingState, saveTrackingState } = require('./tracking-store');
+const { checkShipmentDeliveryStatus } = require('./shipstation');
+const { sleep } = require('./retry');
+const { resolveCarrierCode } = require('./carriers');
+const log = require('./logger');
+const metrics = require('./metrics');
+
+const POLL_INTERVAL_MS = 3000;
+// Don't start a provider call with less time than this left before the deadline
+const MIN_REQUEST_BUDGET_MS = 1500;
+// Used when the caller doesn't pass a deadline
+const DEFAULT_TRACKING_BUDGET_MS = 8000;
+
+// Look up carrier tracking for all of an order's shipments at once:
+//   1. stored webhook/live state for each tracking number
+//   2. each number's provider chain (tracking-providers), one batched fetch per
+//      provider; numbers a provider fails on or has no data for move on to the
+//      next provider in their chain
+//   3. numbers nobody had data for are registered with a provider that needs
+//      registration (17track)
+//   4. poll the newly registered numbers together until the shared deadline
+// Options: deadline (ms timestamp), bypassCache, cacheStatus - an object
+// that gets a `tracking` entry of hit / partial / miss / bypass, poll (false to
+// register without waiting for data, for batch jobs) and registrations - a Map
+// the registering provider fills with number -> { provider, status, code }.
+// Shipments whose carrier has no configured provider come back as null.
+async function getShipmentsWithTracking(shipments, options = {}) {
+  const deadline = options.deadline || Date.now() + DEFAULT_TRACKING_BUDGET_MS;
+  const trackingStates = new Map();
+  const carrierNames = new Map();
+  const chains = new Map();
+
+  log.debug('Tracking lookup started', { shipments: shipments.length });
+
+  shipments.forEach(shipment => {
+    if (shipment.trackingNumber && !chains.has(shipment.trackingNumber)) {
+      const carrierCode = resolveCarrierCode(shipment.carrierCode, shipment.trackingNumber);
+      chains.set(shipment.trackingNumber, getProviderChain(carrierCode));
+    }
+  });
+
+  const trackingNumbers = [...chains.keys()].filter(number => chains.get(number).length > 0);
+
+  // Step 1: Stored state, written by a tracking webhook or a recent lookup
+  if (!options.bypassCache) {
+    const storedStates = await Promise.all(trackingNumbers.map(readStoredTrackingState));
+    storedStates.forEach((state, index) => {
+      if (state) {
+        log.debug('Using stored tracking state', { trackingNumber: trackingNumbers[index], source: state.source });
+        trackingStates.set(trackingNumbers[index], state);
+      }
+    });
+  }
+
+  const trackingCacheResult = describeCacheResult(trackingStates.size, trackingNumbers.length, options.bypassCache);
+  if (trackingNumbers.length > 0) {
+    metrics.increment('cache', { type: 'tracking', result: trackingCacheResult });
+  }
+  if (options.cacheStatus) {
+    options.cacheStatus.tracking = trackingCacheResult;
+  }
+
+  let pending = trackingNumbers.filter(number => !trackingStates.has(number));
+  // Numbers at least one provider answered for (with or without data)
+  const answered = new Set();
+
+  // Step 2: Walk the provider chains, one batched fetch per provider per position
+  for (let position = 0; pending.length > 0 && hasTimeFor(deadline, 0); position++) {
+    const batches = groupByProvider(pending.filter(number => chains.get(number)[position]),
+      number => chains.get(number)[position]);
+    if (batches.size === 0) break;
+
+    await Promise.all([...batches].map(async ([provider, numbers]) => {
+      log.debug('Fetching tracking data', { provider: provider.name, numbers: numbers.length });
+      try {
+        const found = await provider.fetch(numbers, { deadline });
+        numbers.forEach(number => answered.add(number));
+        await collectTrackingStates(provider, numbers, found, trackingStates, carrierNames);
+      } catch (error) {
+        log.error('Tracking lookup failed', { provider: provider.name, error: error });
+        metrics.increment('tracking.provider_error', { provider: provider.name });
+      }
+    }));
+
+    pending = pending.filter(number => !trackingStates.has(number));
+  }
+
+  // Every provider in the chain errored: fall back to the order source's view
+  const failedNumbers = new Set(pending.filter(number => !answered.has(number)));
+  pending = pending.filter(number => answered.has(number));
+  if (failedNumbers.size > 0) {
+    metrics.increment('tracking.fallback', { reason: 'provider_errors' }, failedNumbers.size);
+  }
+
+  // Step 3: Register the misses in one go per provider that needs it
+  const polling = new Map();
+  const registrations = groupByProvider(pending,
+    number => chains.get(number).find(provider => provider.register));
+
+  for (const [provider, numbers] of registrations) {
+    if (!hasTimeFor(deadline, 0)) break;
+    log.debug('Registering tracking numbers', { provider: provider.name, numbers: numbers.length });
+    try {
+      polling.set(provider, await provider.register(numbers, { deadline, registrations: options.registrations }));
+    } catch (error) {
+      log.error('Tracking registration failed', { provider: provider.name, error: error });
+    }
+  }
+
+  // Step 4: Poll the registered numbers together until data arrives or time runs out
+  let attempt = 0;
+  while (options.poll !== false &&
+      [...polling.values()].some(numbers => numbers.length > 0) && hasTimeFor(deadline, POLL_INTERVAL_MS)) {
+    attempt++;
+    await sleep(POLL_INTERVAL_MS);
+
+    for (const [provider, numbers] of polling) {
+      if (numbers.length === 0 || !hasTimeFor(deadline, 0)) continue;
+      log.debug('Polling tracking data', { provider: provider.name, attempt: attempt, numbers: numbers.length });
+
+      try {
+        const found = await provider.fetch(numbers, { deadline });
+        polling.set(provider, await collectTrackingStates(provider, numbers, found, trackingStates, carrierNames));
+      } catch (error) {
+        log.error('Tracking poll failed', { provider: provider.name, attempt: attempt, error: error });
+      }
+    }
+  }
+
+  const untracked = trackingNumbers.filter(number => !trackingStates.has(number) && !failedNumbers.has(number));
+  if (untracked.length > 0) {
+    log.info('No tracking data yet', { trackingNumbers: untracked });
+    metrics.increment('tracking.pending', {}, untracked.length);
+  }
+
+  const trackedShipments = shipments.map(shipment => {
+    const number = shipment.trackingNumber;
+
+    if (!number) {
+      log.debug('Shipment has no tracking number', { shipmentId: shipment.shipmentId });
+      return {
+        ...shipment,
+        actuallyShipped: false,
+        isDelivered: false,
+        trackingStatus: '',
+        latestActivity: null,
+        events: []
+      };
+    }
+
+    if (chains.get(number).length === 0) {
+      return null;
+    }
+
+    if (trackingStates.has(number)) {
+      return mergeTrackingState(shipment, trackingStates.get(number));
+    }
+
+    if (failedNumbers.has(number)) {
+      // Return fallback data
+      return {
+        ...shipment,
+        actuallyShipped: true, // Assume shipped if we can't verify
+        isDelivered: checkShipmentDeliveryStatus(shipment),
+        trackingStatus: 'error',
+        latestActivity: null,
+        events: []
+      };
+    }
+
+    return {
+      ...shipment,
+      actuallyShipped: false,
+      isDelivered: false,
+      trackingStatus: '',
+      latestActivity: null,
+      events: [],
+      // Only providers that detect the carrier report one for pending numbers
+      providerCarrierName: carrierNames.get(number) || null,
+      providerCarrierDetected: carrierNames.has(number)
+    };
+  });
+
+  log.debug('Tracking lookup complete', { tracked: trackingStates.size, total: trackingNumbers.length });
+  return trackedShipments;
+}
+
+// Register new shipments' numbers up front (SHIP_NOTIFY), with the first
+// provider in each chain when it needs registration - numbers a direct carrier
+// API covers aren't spent against the 17track quota.
+// Resolves to { registered, skipped } counts.
+async function registerShipments(shipments, options = {}) {
+  const numbers = [...new Set(shipments
+    .filter(shipment => shipment.trackingNumber && !shipment.voided)
+    .map(shipment => shipment.trackingNumber.trim()))];
+  const carrierByNumber = new Map(shipments
+    .filter(shipment => shipment.trackingNumber)
+    .map(shipment => [
+      shipment.trackingNumber.trim(),
+      resolveCarrierCode(shipment.carrierCode, shipment.trackingNumber)
+    ]));
+
+  const batches = groupByProvider(numbers, number => {
+    const primary = getProviderChain(carrierByNumber.get(number))[0];
+    return primary && primary.register ? primary : null;
+  });
+
+  let registered = 0;
+  for (const [provider, batch] of batches) {
+    log.debug('Registering tracking numbers', { provider: provider.name, numbers: batch.length });
+    registered += (await provider.register(batch, options)).length;
+  }
+
+  return { registered, skipped: numbers.length - registered };
+}
+
+// Map of provider -> numbers, skipping numbers with no provider
+function groupByProvider(numbers, pickProvider) {
+  const groups = new Map();
+  numbers.forEach(number => {
+    const provider = pickProvider(number);
+    if (!provider) return;
+    if (!groups.has(provider)) groups.set(provider, []);
+    groups.get(provider).push(number);
+  });
+  return groups;
+}
+
+// Normalize whatever came back, persist it, and return the numbers still without data
+async function collectTrackingStates(provider, numbers, recordsByNumber, trackingStates, carrierNames) {
+  const stillPending = [];
+  const writes = [];
+
+  numbers.forEach(number => {
+    const record = recordsByNumber.get(number);
+    if (record && provider.getCarrierName && provider.getCarrierName(record)) {
+      carrierNames.set(number, provider.getCarrierName(record));
+    }
+
+    const trackingState = provider.normalize(number, record);
+    if (trackingState) {
+      log.debug('Tracking state', {
+        trackingNumber: number,
+        provider: provider.name,
+        shipped: trackingState.actuallyShipped,
+        delivered: trackingState.isDelivered,
+        status: trackingState.trackingStatus
+      });
+      trackingStates.set(number, trackingState);
+      writes.push(writeStoredTrackingState(trackingState));
+    } else {
+      stillPending.push(number);
+    }
+  });
+
+  await Promise.all(writes);
+  return stillPending;
+}
+
+function mergeTrackingState(shipment, trackingState) {
+  return {
+    ...shipment,
+    actuallyShipped: trackingState.actuallyShipped,
+    isDelivered: trackingState.isDelivered,
+    deliveryDate: trackingState.deliveryDate || null,
+    trackingStatus: trackingState.trackingStatus,
+    subStatus: trackingState.subStatus || '',
+    stage: trackingState.stage,
+    latestActivity: trackingState.latestActivity,
+    estimatedDelivery: trackingState.estimatedDelivery || null,
+    events: trackingState.events || [],
+    // States stored before providerCarrierName have 17track's detected
+    // carrier, or a direct provider's own, as carrier17trackName
+    providerCarrierName: trackingState.providerCarrierName || trackingState.carrier17trackName || null,
+    providerCarrierDetected: trackingState.providerCarrierDetected !== undefined
+      ? trackingState.providerCarrierDetected
+      : Boolean(trackingState.carrier17trackName) && (trackingState.provider || '17track') === '17track',
+    carrier17trackId: trackingState.carrier17trackId || null,
+    // States stored before there were other providers are all 17track's
+    trackingSource: trackingState.provider || '17track'
+  };
+}
+
+function describeCacheResult(hits, total, bypassed) {
+  if (bypassed) return 'bypass';
+  if (total === 0 || hits === total) return 'hit';
+  return hits === 0 ? 'miss' : 'partial';
+}
+
+function remainingTime(deadline) {
+  return Math.max(deadline - Date.now(), 0);
+}
+
+function hasTimeFor(deadline, waitMs) {
+  return remainingTime(deadline) >= waitMs + MIN_REQUEST_BUDGET_MS;
+}
+
+// Store failures must never break a lookup - treat them as a miss
+async function readStoredTrackingState(trackingNumber) {
+  try {
+    return await getTrackingState(trackingNumber);
+  } catch (error) {
+    log.error('Tracking store read failed', { trackingNumber: trackingNumber, error: error });
+    return null;
+  }
+}
+
+async function writeStoredTrackingState(trackingState) {
+  try {
+    await saveTrackingState(trackingState, 'live');
+  } catch (error) {
+    log.error('Tracking store write failed', { trackingNumber: trackingState.trackingNumber, error: error });
+  }
+}
+
+module.exports = {
+  getShipmentsWithTracking,
+  registerShipments
+};
@@ -0,0 +1,37 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const log = require('./logger');
+
+// Raw upstream responses seen while some work runs, so the support API can
+// show the ShipStation, 17track and carrier payloads a response was built
+// from. The API clients report every response they get; outside
+// captureUpstream() that's a no-op.
+//
+// Each entry is { service, request, statusCode, body, time }, with credentials
+// redacted (OAuth token responses, keys) and customer data left in.
+
+const context = new AsyncLocalStorage();
+
+// request identifies the call: { method, path, body } as far as it's known
+function recordUpstreamResponse(service, request, statusCode, body) {
+  const responses = context.getStore();
+  if (!responses) return;
+
+  responses.push({
+    service: service,
+    request: log.redactPayload(request),
+    statusCode: statusCode,
+    body: log.redactPayload(body),
+    time: new Date().toISOString()
+  });
+}
+
+// Run fn, adding every upstream response it gets to `responses` - the caller
+// keeps the array, so what was captured survives fn throwing
+function captureUpstream(responses, fn) {
+  return context.run(responses, fn);
+}
+
+module.exports = {
+  recordUpstreamResponse,
+  captureUpstream
+};
@@ -0,0 +1,93 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'silent';
+process.env.METRICS_SINKS = 'none';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getTtlSeconds, readThrough, formatCacheStatus } = require('../netlify/lib/cache');
+
+function counter(value) {
+  const loader = async () => {
+    loader.calls++;
+    return typeof value === 'function' ? value(loader.calls) : value;
+  };
+  loader.calls = 0;
+  return loader;
+}
+
+test('loads on a miss and answers from the cache afterwards', async () => {
+  const loader = counter({ orderNumber: '1001' });
+
+  const first = await readThrough('order', ['1001', 'a@example.com'], loader);
+  const second = await readThrough('order', ['1001', 'a@example.com'], loader);
+
+  assert.equal(first.cacheStatus, 'miss');
+  assert.equal(second.cacheStatus, 'hit');
+  assert.deepEqual(second.value, { orderNumber: '1001' });
+  assert.equal(loader.calls, 1);
+});
+
+test('keys ignore case and surrounding whitespace', async () => {
+  const loader = counter('value');
+  await readThrough('order', ['1002', 'B@Example.com'], loader);
+  const result = await readThrough('order', [' 1002', 'b@example.com '], loader);
+  assert.equal(result.cacheStatus, 'hit');
+  assert.equal(loader.calls, 1);
+});
+
+test('bypass always loads, and refreshes the cached value', async () => {
+  const loader = counter(calls => calls);
+  await readThrough('order', ['1003'], loader);
+
+  const bypassed = await readThrough('order', ['1003'], loader, { bypass: true });
+  assert.equal(bypassed.cacheStatus, 'bypass');
+  assert.equal(bypassed.value, 2);
+
+  const cached = await readThrough('order', ['1003'], loader);
+  assert.equal(cached.cacheStatus, 'hit');
+  assert.equal(cached.value, 2);
+});
+
+test('keeps nothing that shouldCache turns down', async () => {
+  const loader = counter(null);
+  const options = { shouldCache: value => value !== null };
+  await readThrough('order', ['1004'], loader, options);
+  const result = await readThrough('order', ['1004'], loader, options);
+  assert.equal(result.cacheStatus, 'miss');
+  assert.equal(loader.calls, 2);
+});
+
+test('expires entries after their TTL', async () => {
+  process.env.CACHE_TTL_SHIPMENTS_SECONDS = '0';
+  try {
+    const loader = counter([]);
+    await readThrough('shipments', ['1005'], loader);
+    const result = await readThrough('shipments', ['1005'], loader);
+    assert.equal(result.cacheStatus, 'miss');
+    assert.equal(loader.calls, 2);
+  } finally {
+    delete process.env.CACHE_TTL_SHIPMENTS_SECONDS;
+  }
+});
+
+test('keeps delivered tracking much longer than tracking still moving', () => {
+  assert.equal(getTtlSeconds('tracking', { isDelivered: false }), 300);
+  assert.equal(getTtlSeconds('tracking', { isDelivered: true }), 7 * 24 * 60 * 60);
+  assert.equal(getTtlSeconds('order'), 300);
+});
+
+test('takes TTLs from the environment and ignores values that are not numbers', () => {
+  process.env.CACHE_TTL_ORDER_SECONDS = '60';
+  process.env.CACHE_TTL_DELIVERED_SECONDS = 'soon';
+  try {
+    assert.equal(getTtlSeconds('order'), 60);
+    assert.equal(getTtlSeconds('tracking', { isDelivered: true }), 7 * 24 * 60 * 60);
+  } finally {
+    delete process.env.CACHE_TTL_ORDER_SECONDS;
+    delete process.env.CACHE_TTL_DELIVERED_SECONDS;
+  }
+});
+
+test('formats the cache status for the response header', () => {
+  assert.equal(formatCacheStatus({ order: 'hit', shipments: 'miss' }), 'order=hit, shipments=miss');
+});
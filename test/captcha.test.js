@@ -0,0 +1,47 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'silent';
+process.env.METRICS_SINKS = 'none';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyCaptcha } = require('../netlify/lib/captcha');
+const { guardLookup } = require('../netlify/lib/order-lookup');
+
+test.afterEach(() => {
+  delete process.env.CAPTCHA_PROVIDER;
+  delete process.env.CAPTCHA_SECRET;
+});
+
+test('passes everything when no provider is set', async () => {
+  assert.equal(await verifyCaptcha(undefined, '10.1.0.1'), true);
+});
+
+test('checks tokens with the stub provider', async () => {
+  process.env.CAPTCHA_PROVIDER = 'stub';
+  assert.equal(await verifyCaptcha('test-pass', '10.1.0.1'), true);
+  assert.equal(await verifyCaptcha('wrong', '10.1.0.1'), false);
+  assert.equal(await verifyCaptcha('', '10.1.0.1'), false);
+});
+
+test('reports a provider without a secret as unavailable instead of throwing', async () => {
+  process.env.CAPTCHA_PROVIDER = 'turnstile';
+  assert.equal(await verifyCaptcha('token', '10.1.0.1'), null);
+});
+
+test('answers 403 to a failed CAPTCHA', async () => {
+  process.env.CAPTCHA_PROVIDER = 'stub';
+  const response = await guardLookup('10.1.0.2', 'order-1', { captchaToken: 'wrong' }, {});
+  assert.equal(response.statusCode, 403);
+});
+
+test('answers 503 with Retry-After when the CAPTCHA can\'t be checked', async () => {
+  process.env.CAPTCHA_PROVIDER = 'hcaptcha';
+  const response = await guardLookup('10.1.0.3', 'order-1', { captchaToken: 'token' }, {});
+  assert.equal(response.statusCode, 503);
+  assert.ok(Number(response.headers['Retry-After']) > 0);
+});
+
+test('lets the lookup through when the CAPTCHA passes', async () => {
+  process.env.CAPTCHA_PROVIDER = 'stub';
+  assert.equal(await guardLookup('10.1.0.4', 'order-1', { captchaToken: 'test-pass' }, {}), null);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const carriers = require('../netlify/lib/carriers');
+
+test('detects carriers from tracking-number formats', () => {
+  assert.equal(carriers.detectCarrier('1Z999AA10123456784').id, 'ups');
+  assert.equal(carriers.detectCarrier('9400 1118 9922 3033 0052 75').id, 'usps');
+  assert.equal(carriers.detectCarrier('tba123456789012').id, 'amazon');
+  assert.equal(carriers.detectCarrier('not-a-number'), null);
+  assert.equal(carriers.detectCarrier(''), null);
+});
+
+test('matches carrier names on whole words only', () => {
+  assert.equal(carriers.findCarrierByName('USPS').id, 'usps');
+  assert.equal(carriers.findCarrierByName('United States Postal Service').id, 'usps');
+  assert.equal(carriers.findCarrierByName('UPS Mail Innovations').id, 'ups');
+  assert.equal(carriers.findCarrierByName('Groupsend'), null);
+});
+
+test('finds carriers by ShipStation code and 17track id', () => {
+  assert.equal(carriers.findCarrierByCode(' Stamps_Com ').id, 'usps');
+  assert.equal(carriers.findCarrierBy17trackId('100003').id, 'fedex');
+  assert.equal(carriers.findCarrierBy17trackId(null), null);
+});
+
+test('prefers what the tracking provider detected over the order source', () => {
+  const carrier = carriers.resolveCarrier({
+    carrierCode: 'usps',
+    trackingNumber: '1Z999AA10123456784',
+    providerCarrierName: 'UPS'
+  });
+  assert.equal(carrier.id, 'ups');
+});
+
+test('only guesses from the number when the order source gave no carrier code', () => {
+  assert.equal(carriers.resolveCarrier({ trackingNumber: '1Z999AA10123456784' }).id, 'ups');
+  assert.equal(carriers.resolveCarrier({ carrierCode: 'local_courier', trackingNumber: '1Z999AA10123456784' }), null);
+});
+
+test('fills in a carrier code only for numbers that came without one', () => {
+  assert.equal(carriers.resolveCarrierCode('fedex', '1Z999AA10123456784'), 'fedex');
+  assert.equal(carriers.resolveCarrierCode(null, '1Z999AA10123456784'), 'ups');
+  assert.equal(carriers.resolveCarrierCode(null, 'unknown'), null);
+});
+
+test('builds tracking links with the number encoded', () => {
+  assert.equal(
+    carriers.generateTrackingUrl({ carrierCode: 'ups', trackingNumber: '1Z999AA10123456784' }),
+    'https://www.ups.com/track?track=yes&trackNums=1Z999AA10123456784'
+  );
+  assert.match(carriers.generateTrackingUrl({ carrierCode: 'usps', trackingNumber: 'a&b' }), /tLabels=a%26b$/);
+  assert.equal(carriers.generateTrackingUrl({ carrierCode: 'ups' }), null);
+});
+
+test('shows unknown carriers by their code', () => {
+  assert.equal(carriers.getCarrierName({ carrierCode: 'fedex_ground' }), 'FedEx');
+  assert.equal(carriers.getCarrierName({ carrierCode: 'local_courier' }), 'LOCAL_COURIER');
+  assert.equal(carriers.getCarrierName({}), 'CARRIER');
+});
+
+test('keeps carrier ids, codes and 17track ids unique', () => {
+  const ids = carriers.CARRIERS.map(carrier => carrier.id);
+  const codes = carriers.CARRIERS.flatMap(carrier => carrier.shipStationCodes);
+  const seventeenTrackIds = carriers.CARRIERS.flatMap(carrier => carrier.seventeenTrackIds);
+  assert.equal(new Set(ids).size, ids.length);
+  assert.equal(new Set(codes).size, codes.length);
+  assert.equal(new Set(seventeenTrackIds).size, seventeenTrackIds.length);
+});
@@ -0,0 +1,56 @@
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCorsHeaders, isOriginAllowed } = require('../netlify/lib/cors');
+
+test.afterEach(() => {
+  delete process.env.CORS_ALLOWED_ORIGINS;
+});
+
+test('allows only the store origin by default', () => {
+  assert.equal(isOriginAllowed('https://www.cameupinthedrought.com'), true);
+  assert.equal(isOriginAllowed('https://cameupinthedrought.com'), false);
+});
+
+test('matches exact origins case-insensitively and ignores trailing slashes in the list', () => {
+  process.env.CORS_ALLOWED_ORIGINS = ' https://Shop.example.com/ , http://localhost:8888';
+  assert.equal(isOriginAllowed('https://shop.example.com'), true);
+  assert.equal(isOriginAllowed('http://localhost:8888'), true);
+  assert.equal(isOriginAllowed('http://localhost:3000'), false);
+});
+
+test('lets a wildcard match within one host label only', () => {
+  process.env.CORS_ALLOWED_ORIGINS = 'https://deploy-preview-*--site.netlify.app';
+  assert.equal(isOriginAllowed('https://deploy-preview-42--site.netlify.app'), true);
+  assert.equal(isOriginAllowed('https://deploy-preview-42.evil.com--site.netlify.app'), false);
+  assert.equal(isOriginAllowed('https://deploy-preview-42--site.netlify.app.evil.com'), false);
+  assert.equal(isOriginAllowed('http://deploy-preview-42--site.netlify.app'), false);
+});
+
+test('treats regex characters in patterns literally', () => {
+  process.env.CORS_ALLOWED_ORIGINS = 'https://*.example.com';
+  assert.equal(isOriginAllowed('https://shop.example.com'), true);
+  assert.equal(isOriginAllowed('https://shopXexample.com'), false);
+});
+
+test('echoes an allowed origin and varies on Origin', () => {
+  const cors = getCorsHeaders({ headers: { origin: 'https://www.cameupinthedrought.com' } });
+  assert.equal(cors.allowed, true);
+  assert.equal(cors.headers['Access-Control-Allow-Origin'], 'https://www.cameupinthedrought.com');
+  assert.equal(cors.headers.Vary, 'Origin');
+});
+
+test('rejects other browser origins without an Allow-Origin header', () => {
+  const cors = getCorsHeaders({ headers: { Origin: 'https://evil.example' } });
+  assert.equal(cors.allowed, false);
+  assert.equal(cors.headers['Access-Control-Allow-Origin'], undefined);
+});
+
+test('lets requests without an Origin through', () => {
+  const cors = getCorsHeaders({}, { allowMethods: 'GET, OPTIONS', exposeHeaders: 'X-Request-Id' });
+  assert.equal(cors.allowed, true);
+  assert.equal(cors.headers['Access-Control-Allow-Origin'], undefined);
+  assert.equal(cors.headers['Access-Control-Allow-Methods'], 'GET, OPTIONS');
+  assert.equal(cors.headers['Access-Control-Expose-Headers'], 'X-Request-Id');
+});
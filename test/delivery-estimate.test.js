@@ -0,0 +1,68 @@
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateDelivery, countBusinessDays, parseDate } = require('../netlify/lib/delivery-estimate');
+
+function estimate(shipDate, serviceCode, carrierCode) {
+  const result = estimateDelivery({ shipDate, serviceCode, carrierCode });
+  return result && [result.from, result.to];
+}
+
+test.afterEach(() => {
+  delete process.env.DELIVERY_BUSINESS_DAYS;
+  delete process.env.DELIVERY_HOLIDAYS;
+  delete process.env.DELIVERY_FEDERAL_HOLIDAYS;
+  delete process.env.DELIVERY_TRANSIT_DAYS;
+});
+
+test('counts business days from the day after shipping, skipping weekends', () => {
+  // Friday
+  assert.deepEqual(estimate('2026-10-16T00:00:00.0000000', 'usps_priority_mail'), ['2026-10-19', '2026-10-21']);
+  assert.equal(estimateDelivery({ shipDate: '2026-10-16', serviceCode: 'ups_ground' }).source, 'calculated');
+});
+
+test('skips US federal holidays, on their observed dates', () => {
+  // Thanksgiving, Thursday 2026-11-26
+  assert.deepEqual(estimate('2026-11-25', 'ups_2nd_day_air'), ['2026-11-30', '2026-11-30']);
+  // Independence Day falls on a Saturday in 2026 and is observed Friday 2026-07-03
+  assert.deepEqual(estimate('2026-07-02', 'ups_next_day_air'), ['2026-07-06', '2026-07-06']);
+});
+
+test('can stop skipping federal holidays', () => {
+  process.env.DELIVERY_FEDERAL_HOLIDAYS = 'false';
+  assert.deepEqual(estimate('2026-11-25', 'ups_next_day_air'), ['2026-11-26', '2026-11-26']);
+});
+
+test('skips configured holidays and delivers on configured business days', () => {
+  process.env.DELIVERY_HOLIDAYS = '2026-10-19';
+  assert.deepEqual(estimate('2026-10-16', 'ups_next_day_air'), ['2026-10-20', '2026-10-20']);
+
+  delete process.env.DELIVERY_HOLIDAYS;
+  process.env.DELIVERY_BUSINESS_DAYS = '1,2,3,4,5,6';
+  assert.deepEqual(estimate('2026-10-16', 'ups_next_day_air'), ['2026-10-17', '2026-10-17']);
+});
+
+test('falls back from the service to the carrier to a default range', () => {
+  assert.deepEqual(estimate('2026-10-19', 'ups_something_new', 'UPS'), ['2026-10-20', '2026-10-26']);
+  assert.deepEqual(estimate('2026-10-19', null, 'local_courier'), ['2026-10-22', '2026-10-28']);
+});
+
+test('takes transit days from DELIVERY_TRANSIT_DAYS first, and ignores it when invalid', () => {
+  process.env.DELIVERY_TRANSIT_DAYS = '{"usps_ground_advantage":[1,1]}';
+  assert.deepEqual(estimate('2026-10-19', 'usps_ground_advantage'), ['2026-10-20', '2026-10-20']);
+
+  process.env.DELIVERY_TRANSIT_DAYS = '{not json';
+  assert.deepEqual(estimate('2026-10-19', 'usps_ground_advantage'), ['2026-10-21', '2026-10-26']);
+});
+
+test('gives no estimate without a ship date', () => {
+  assert.equal(estimateDelivery({ serviceCode: 'ups_ground' }), null);
+  assert.equal(parseDate('not a date'), null);
+});
+
+test('counts the business days between two dates', () => {
+  assert.equal(countBusinessDays(parseDate('2026-10-16'), parseDate('2026-10-19')), 1);
+  assert.equal(countBusinessDays(parseDate('2026-10-19'), parseDate('2026-10-19')), 0);
+  assert.equal(countBusinessDays(parseDate('2026-11-25'), parseDate('2026-11-30')), 2);
+});
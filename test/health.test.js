@@ -0,0 +1,43 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'silent';
+process.env.METRICS_SINKS = 'none';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { handler } = require('../netlify/functions/health');
+
+function get(headers = {}) {
+  return handler({ httpMethod: 'GET', headers }, {});
+}
+
+test.afterEach(() => {
+  delete process.env.HEALTH_CHECK_TOKEN;
+  delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+});
+
+test('is open to local runs without HEALTH_CHECK_TOKEN', async () => {
+  const response = await get();
+  const report = JSON.parse(response.body);
+  assert.equal(report.status, 'down');
+  assert.equal(report.checks.store.ok, true);
+});
+
+test('answers 401 to everyone when deployed without HEALTH_CHECK_TOKEN', async () => {
+  process.env.AWS_LAMBDA_FUNCTION_NAME = 'health';
+  const response = await get({ authorization: 'Bearer anything' });
+  assert.equal(response.statusCode, 401);
+});
+
+test('requires the token once it is set', async () => {
+  process.env.AWS_LAMBDA_FUNCTION_NAME = 'health';
+  process.env.HEALTH_CHECK_TOKEN = 'health-token';
+  assert.equal((await get()).statusCode, 401);
+  assert.equal((await get({ authorization: 'Bearer wrong-token' })).statusCode, 401);
+  assert.notEqual((await get({ authorization: 'Bearer health-token' })).statusCode, 401);
+});
+
+test('reports unset mail and SMS transports as null', async () => {
+  const report = JSON.parse((await get()).body);
+  assert.equal(report.config.mailTransport, null);
+  assert.equal(report.config.smsTransport, null);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLineItems, summarizeFulfillment } = require('../netlify/lib/line-items');
+
+const order = {
+  items: [
+    { orderItemId: 1, lineItemKey: 'a', sku: 'TEE-M', name: 'Tee', quantity: 2 },
+    { orderItemId: 2, lineItemKey: 'b', sku: 'TEE-M', name: 'Tee (gift)', quantity: 1 },
+    { orderItemId: 3, lineItemKey: 'c', sku: 'HAT', name: 'Hat', quantity: 1 },
+    { orderItemId: 4, name: 'Discount', quantity: 1, adjustment: true }
+  ]
+};
+
+function box(shipmentNumber, items) {
+  return { shipmentId: 100 + shipmentNumber, shipmentNumber, trackingNumber: `TRK${shipmentNumber}`, items };
+}
+
+function byId(lineItems) {
+  return Object.fromEntries(lineItems.map(item => [item.orderItemId, item]));
+}
+
+test('leaves out adjustment lines and starts everything unfulfilled', () => {
+  const lineItems = buildLineItems(order, []);
+  assert.deepEqual(lineItems.map(item => item.orderItemId), [1, 2, 3]);
+  assert.ok(lineItems.every(item => item.fulfillmentStatus === 'unfulfilled' && item.quantityUnfulfilled === item.quantity));
+});
+
+test('allocates a SKU shared by several lines to them in order', () => {
+  const items = byId(buildLineItems(order, [box(1, [{ sku: 'TEE-M', quantity: 3 }])]));
+  assert.equal(items[1].quantityShipped, 2);
+  assert.equal(items[1].fulfillmentStatus, 'fulfilled');
+  assert.equal(items[2].quantityShipped, 1);
+  assert.deepEqual(items[2].shipments, [{ shipmentId: 101, shipmentNumber: 1, trackingNumber: 'TRK1', quantity: 1 }]);
+  assert.equal(items[3].fulfillmentStatus, 'unfulfilled');
+});
+
+test('prefers the order item id, then the line key, over the SKU', () => {
+  const items = byId(buildLineItems(order, [
+    box(1, [{ orderItemId: 2, sku: 'TEE-M', quantity: 1 }]),
+    box(2, [{ lineItemKey: 'a', sku: 'TEE-M', quantity: 1 }])
+  ]));
+  assert.equal(items[2].fulfillmentStatus, 'fulfilled');
+  assert.equal(items[1].quantityShipped, 1);
+  assert.equal(items[1].fulfillmentStatus, 'partially_fulfilled');
+  assert.equal(items[1].shipments[0].shipmentNumber, 2);
+});
+
+test('splits a line across boxes and never ships more than was ordered', () => {
+  const items = byId(buildLineItems(order, [
+    box(1, [{ orderItemId: 1, quantity: 1 }]),
+    box(2, [{ orderItemId: 1, quantity: 5 }])
+  ]));
+  assert.equal(items[1].quantityShipped, 2);
+  assert.equal(items[1].quantityUnfulfilled, 0);
+  assert.deepEqual(items[1].shipments.map(shipment => shipment.quantity), [1, 1]);
+});
+
+test('ignores shipment items it cannot match', () => {
+  const items = buildLineItems(order, [box(1, [{ sku: 'MUG', quantity: 1 }, { quantity: 1 }])]);
+  assert.ok(items.every(item => item.quantityShipped === 0));
+});
+
+test('summarizes units shipped and still to ship', () => {
+  const lineItems = buildLineItems(order, [box(1, [{ sku: 'HAT', quantity: 1 }, { orderItemId: 1, quantity: 1 }])]);
+  assert.deepEqual(summarizeFulfillment(lineItems), { totalQuantity: 4, shippedQuantity: 2, unfulfilledQuantity: 2 });
+});
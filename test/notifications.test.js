@@ -0,0 +1,126 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'silent';
+process.env.TOKEN_SECRET = 'test-secret';
+process.env.URL = 'https://tracker.example.com';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STAGES, needsAttention } = require('../netlify/lib/stages');
+const notifications = require('../netlify/lib/notifications');
+
+const order = { source: 'shipstation', orderId: 42, orderNumber: '1001', customerEmail: 'a@example.com' };
+
+function shipment(trackingNumber, stage) {
+  return {
+    trackingNumber,
+    stage,
+    isDelivered: stage === STAGES.DELIVERED,
+    actuallyShipped: stage !== STAGES.LABEL_CREATED,
+    needsAttention: needsAttention(stage)
+  };
+}
+
+function response(...shipments) {
+  return { shipments };
+}
+
+function emailSubscription(events = notifications.NOTIFICATION_EVENTS, baseline = response()) {
+  return notifications.subscribe(order, baseline, { channel: 'email', destination: 'a@example.com', events });
+}
+
+test('announces nothing that had already happened when subscribing', async () => {
+  const baseline = response(shipment('T1', STAGES.IN_TRANSIT));
+  const subscription = await emailSubscription(undefined, baseline);
+  assert.deepEqual(notifications.findTransitions(subscription, baseline), []);
+});
+
+test('finds each shipment that moved to a new event', async () => {
+  const subscription = await emailSubscription(undefined, response(
+    shipment('T1', STAGES.LABEL_CREATED),
+    shipment('T2', STAGES.IN_TRANSIT)
+  ));
+
+  const transitions = notifications.findTransitions(subscription, response(
+    shipment('T1', STAGES.IN_TRANSIT),
+    shipment('T2', STAGES.OUT_FOR_DELIVERY)
+  ));
+  assert.deepEqual(transitions.map(transition => transition.dedupeKey), ['shipped:T1', 'out_for_delivery:T2']);
+});
+
+test('rolls attention stages up to the exception event, and delivery wins over everything', async () => {
+  const subscription = await emailSubscription();
+  const transitions = notifications.findTransitions(subscription, response(
+    shipment('T1', STAGES.DELIVERY_FAILED),
+    shipment('T2', STAGES.DELIVERED)
+  ));
+  assert.deepEqual(transitions.map(transition => transition.event), ['exception', 'delivered']);
+});
+
+test('only sends the events the subscriber asked for', async () => {
+  const subscription = await emailSubscription(['delivered']);
+  const transitions = notifications.findTransitions(subscription, response(
+    shipment('T1', STAGES.IN_TRANSIT),
+    shipment('T2', STAGES.DELIVERED)
+  ));
+  assert.deepEqual(transitions.map(transition => transition.event), ['delivered']);
+});
+
+test('never sends the same event for the same shipment twice', async () => {
+  const subscription = await emailSubscription();
+  subscription.sent.push('shipped:T1');
+  // Back to in transit after an exception was announced
+  subscription.lastKnown.T1 = 'exception';
+  assert.deepEqual(notifications.findTransitions(subscription, response(shipment('T1', STAGES.IN_TRANSIT))), []);
+});
+
+test('keeps what was sent when the same destination subscribes again', async () => {
+  const first = await emailSubscription();
+  first.sent.push('shipped:T9');
+  await notifications.saveSubscription(first);
+
+  const again = await emailSubscription(['delivered']);
+  assert.equal(again.id, first.id);
+  assert.deepEqual(again.sent, ['shipped:T9']);
+  assert.deepEqual(again.events, ['delivered']);
+});
+
+test('starts SMS subscriptions unconfirmed and texts the confirmation link only once in a while', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-test-'));
+  process.env.SMS_TRANSPORT = 'file';
+  process.env.SMS_FILE_DIR = dir;
+  try {
+    const subscription = await notifications.subscribe(order, response(), {
+      channel: 'sms',
+      destination: '+15555550123',
+      events: ['shipped']
+    });
+    assert.equal(subscription.confirmed, false);
+
+    assert.equal(await notifications.sendSmsConfirmation(subscription), true);
+    assert.equal(await notifications.sendSmsConfirmation(subscription), false);
+
+    const texts = fs.readdirSync(dir).map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+    assert.equal(texts.length, 1);
+    const link = new URL(texts[0].body.match(/https:\/\/\S+/)[0]);
+    assert.equal(link.origin, 'https://tracker.example.com');
+    assert.equal(notifications.verifySmsConfirmationToken(link.searchParams.get('confirm')), subscription.id);
+
+    assert.equal((await notifications.confirmSubscription(subscription.id)).confirmed, true);
+  } finally {
+    delete process.env.SMS_TRANSPORT;
+    delete process.env.SMS_FILE_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('expires unconfirmed SMS subscriptions after a day and the rest after the TTL', () => {
+  const dayAndABitAgo = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+  assert.equal(notifications.isSubscriptionExpired({ confirmed: false, createdAt: dayAndABitAgo }), true);
+  assert.equal(notifications.isSubscriptionExpired({ confirmed: true, createdAt: dayAndABitAgo }), false);
+
+  const monthsAgo = new Date(Date.now() - 61 * 24 * 60 * 60 * 1000).toISOString();
+  assert.equal(notifications.isSubscriptionExpired({ confirmed: true, createdAt: monthsAgo }), true);
+});
@@ -0,0 +1,87 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'silent';
+process.env.METRICS_SINKS = 'none';
+process.env.SHIPSTATION_API_KEY = 'key';
+process.env.SHIPSTATION_API_SECRET = 'secret';
+
+const https = require('https');
+const { EventEmitter } = require('events');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildOrderResponse } = require('../netlify/lib/order-lookup');
+
+// ShipStation shipments for order 42: a delivered box, the label it replaced
+// and a return label the customer used
+const shipments = [
+  {
+    shipmentId: 1,
+    orderId: 42,
+    trackingNumber: '1Z999AA10123456784',
+    carrierCode: 'ups',
+    shipDate: '2026-10-01',
+    deliveryDate: '2026-10-03',
+    shipmentItems: [{ orderItemId: 7, sku: 'TEE', quantity: 1 }]
+  },
+  {
+    shipmentId: 2,
+    orderId: 42,
+    trackingNumber: '1Z999AA10123456785',
+    carrierCode: 'ups',
+    shipDate: '2026-10-01',
+    voided: true,
+    voidDate: '2026-10-01',
+    shipmentItems: [{ orderItemId: 7, sku: 'TEE', quantity: 1 }]
+  },
+  {
+    shipmentId: 3,
+    orderId: 42,
+    trackingNumber: '1Z999AA10123456786',
+    carrierCode: 'ups',
+    shipDate: '2026-10-10',
+    isReturnLabel: true,
+    shipmentItems: [{ orderItemId: 7, sku: 'TEE', quantity: 1 }]
+  }
+];
+
+test.before(() => {
+  test.mock.method(https, 'request', (options, callback) => {
+    const req = new EventEmitter();
+    req.setTimeout = () => req;
+    req.destroy = () => {};
+    req.end = () => {
+      const res = new EventEmitter();
+      res.statusCode = 200;
+      res.headers = {};
+      process.nextTick(() => {
+        callback(res);
+        res.emit('data', JSON.stringify({ shipments: shipments, page: 1, pages: 1 }));
+        res.emit('end');
+      });
+    };
+    return req;
+  });
+});
+
+test.after(() => {
+  test.mock.restoreAll();
+});
+
+test('keeps voided labels and return legs out of the shipments, status and items', async () => {
+  const order = {
+    source: 'shipstation',
+    orderId: 42,
+    orderNumber: '1001',
+    orderStatus: 'shipped',
+    items: [{ orderItemId: 7, sku: 'TEE', name: 'Tee', quantity: 1 }]
+  };
+
+  const response = await buildOrderResponse(order, { deadline: Date.now() + 5000 });
+
+  assert.deepEqual(response.shipments.map(shipment => shipment.shipmentId), [1]);
+  assert.deepEqual(response.returns.map(shipment => shipment.shipmentId), [3]);
+  assert.equal(response.returns[0].isReturn, true);
+  assert.deepEqual(response.replacedLabels.map(label => label.shipmentId), [2]);
+  assert.equal(response.orderStatus, 'delivered');
+  assert.equal(response.items[0].quantityShipped, 1);
+  assert.deepEqual(response.items[0].shipments.map(shipment => shipment.shipmentId), [1]);
+});
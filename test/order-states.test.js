@@ -0,0 +1,33 @@
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ORDER_STATES, describeOrderStatus } = require('../netlify/lib/order-states');
+
+test('maps every ShipStation order status to a customer-facing state', () => {
+  assert.equal(describeOrderStatus('awaiting_payment').state, ORDER_STATES.AWAITING_PAYMENT);
+  assert.equal(describeOrderStatus('awaiting_shipment').state, ORDER_STATES.PROCESSING);
+  assert.equal(describeOrderStatus('pending_fulfillment').state, ORDER_STATES.PROCESSING);
+  assert.equal(describeOrderStatus('on_hold').state, ORDER_STATES.ON_HOLD);
+  assert.equal(describeOrderStatus('shipped').state, ORDER_STATES.SHIPPED);
+  assert.equal(describeOrderStatus('cancelled').state, ORDER_STATES.CANCELLED);
+});
+
+test('maps every rolled-up shipment status', () => {
+  assert.equal(describeOrderStatus('awaiting_fulfillment').state, ORDER_STATES.PROCESSING);
+  assert.equal(describeOrderStatus('out_for_delivery').state, ORDER_STATES.OUT_FOR_DELIVERY);
+  assert.equal(describeOrderStatus('partially_delivered').state, ORDER_STATES.PARTIALLY_DELIVERED);
+  assert.equal(describeOrderStatus('delivered').state, ORDER_STATES.DELIVERED);
+  assert.equal(describeOrderStatus('needs_attention').state, ORDER_STATES.NEEDS_ATTENTION);
+});
+
+test('ignores case and gives every state a label and message', () => {
+  const described = describeOrderStatus('On_Hold');
+  assert.equal(described.state, ORDER_STATES.ON_HOLD);
+  assert.ok(described.label && described.message);
+});
+
+test('shows statuses it does not know as processing', () => {
+  assert.equal(describeOrderStatus('something_new').state, ORDER_STATES.PROCESSING);
+  assert.equal(describeOrderStatus(undefined).state, ORDER_STATES.PROCESSING);
+});
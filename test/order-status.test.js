@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STAGES, needsAttention } = require('../netlify/lib/stages');
+const {
+  partitionShipments,
+  buildShipments,
+  buildReplacedLabels,
+  aggregateOrderStatus,
+  getArrivesBy
+} = require('../netlify/lib/order-status');
+
+// The fields aggregateOrderStatus reads from a normalized shipment
+function shipment(stage) {
+  return {
+    stage: stage,
+    isDelivered: stage === STAGES.DELIVERED,
+    actuallyShipped: stage !== STAGES.PROCESSING && stage !== STAGES.LABEL_CREATED,
+    needsAttention: needsAttention(stage)
+  };
+}
+
+function aggregate(stages, orderStatus = 'shipped') {
+  return aggregateOrderStatus(stages.map(shipment), orderStatus);
+}
+
+test('is delivered only when every shipment is', () => {
+  assert.equal(aggregate([STAGES.DELIVERED, STAGES.DELIVERED]), 'delivered');
+  assert.equal(aggregate([STAGES.DELIVERED, STAGES.IN_TRANSIT]), 'partially_delivered');
+});
+
+test('puts needs_attention ahead of partial delivery and everything in flight', () => {
+  assert.equal(aggregate([STAGES.DELIVERED, STAGES.DELIVERY_FAILED]), 'needs_attention');
+  assert.equal(aggregate([STAGES.OUT_FOR_DELIVERY, STAGES.EXCEPTION]), 'needs_attention');
+});
+
+test('puts out_for_delivery ahead of shipped', () => {
+  assert.equal(aggregate([STAGES.IN_TRANSIT, STAGES.OUT_FOR_DELIVERY]), 'out_for_delivery');
+  assert.equal(aggregate([STAGES.IN_TRANSIT, STAGES.LABEL_CREATED]), 'shipped');
+});
+
+test('is awaiting fulfillment while no label has been scanned', () => {
+  assert.equal(aggregate([STAGES.LABEL_CREATED]), 'awaiting_fulfillment');
+});
+
+test('keeps the order source status when there are no shipments', () => {
+  assert.equal(aggregate([], 'awaiting_shipment'), 'awaiting_shipment');
+});
+
+test('arrives by the latest ETA among shipments still on their way', () => {
+  assert.equal(getArrivesBy([
+    { isDelivered: false, estimatedDelivery: { from: '2026-10-20', to: '2026-10-22' } },
+    { isDelivered: false, estimatedDelivery: { from: '2026-10-21', to: '2026-10-26' } },
+    { isDelivered: true, estimatedDelivery: { from: '2026-10-28', to: '2026-10-30' } },
+    { isDelivered: false, estimatedDelivery: null }
+  ]), '2026-10-26');
+  assert.equal(getArrivesBy([{ isDelivered: true, estimatedDelivery: null }]), null);
+});
+
+test('keeps a cancelled order cancelled unless something actually went out', () => {
+  assert.equal(aggregate([STAGES.LABEL_CREATED], 'cancelled'), 'cancelled');
+  assert.equal(aggregate([], 'Cancelled'), 'cancelled');
+  assert.equal(aggregate([STAGES.IN_TRANSIT], 'cancelled'), 'shipped');
+});
+
+test('splits voided labels and return labels off the outbound packages', () => {
+  const { outbound, returns, voided } = partitionShipments([
+    { shipmentId: 1, trackingNumber: '1Z999AA10123456784' },
+    { shipmentId: 2, trackingNumber: '1Z999AA10123456785', voided: true, voidDate: '2026-10-02' },
+    { shipmentId: 3, trackingNumber: '1Z999AA10123456786', isReturnLabel: true },
+    { shipmentId: 4, trackingNumber: '1Z999AA10123456787', isReturnLabel: true, voided: true }
+  ]);
+  assert.deepEqual(outbound.map(shipment => shipment.shipmentId), [1]);
+  assert.deepEqual(returns.map(shipment => shipment.shipmentId), [3]);
+  assert.deepEqual(voided.map(shipment => shipment.shipmentId), [2, 4]);
+});
+
+test('lists voided labels as replaced, with the carrier name', () => {
+  assert.deepEqual(buildReplacedLabels([
+    { shipmentId: 2, trackingNumber: '1Z999AA10123456785', carrierCode: 'ups', voidDate: '2026-10-02' }
+  ]), [{ shipmentId: 2, trackingNumber: '1Z999AA10123456785', carrierName: 'UPS', voidDate: '2026-10-02' }]);
+});
+
+test('marks return legs and numbers them on their own', () => {
+  const returns = buildShipments([
+    { shipmentId: 3, trackingNumber: '1Z999AA10123456786', carrierCode: 'ups', isReturnLabel: true }
+  ], null);
+  assert.equal(returns[0].isReturn, true);
+  assert.equal(returns[0].shipmentNumber, 1);
+  assert.equal(returns[0].totalShipments, 1);
+});
@@ -0,0 +1,63 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'silent';
+process.env.RATE_LIMIT_IP_MAX = '5';
+process.env.RATE_LIMIT_ORDER_MAX = '2';
+process.env.LOOKUP_LOCKOUT_THRESHOLD = '2';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getClientIp, consumeLookup, recordFailedLookup } = require('../netlify/lib/rate-limit');
+
+// The memory store lives for the whole file, so each test uses its own IPs
+// and subjects
+
+test('limits lookups per IP', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await consumeLookup('10.0.0.1', `order-a${i}`)).allowed, true);
+  }
+  const result = await consumeLookup('10.0.0.1', 'order-a9');
+  assert.equal(result.allowed, false);
+  assert.equal(result.reason, 'ip_rate_limited');
+  assert.ok(result.retryAfterSeconds > 0);
+});
+
+test('limits how often one IP looks up the same subject', async () => {
+  assert.equal((await consumeLookup('10.0.1.1', 'order-b')).allowed, true);
+  assert.equal((await consumeLookup('10.0.1.1', 'order-b')).allowed, true);
+
+  const result = await consumeLookup('10.0.1.1', 'order-b');
+  assert.equal(result.allowed, false);
+  assert.equal(result.reason, 'subject_rate_limited');
+  assert.equal((await consumeLookup('10.0.1.1', 'order-b2')).allowed, true);
+});
+
+test('does not block other IPs from a subject someone else hammered', async () => {
+  for (let i = 0; i < 4; i++) {
+    await consumeLookup('10.0.2.1', 'order-c');
+  }
+  assert.equal((await consumeLookup('10.0.2.1', 'order-c')).allowed, false);
+  assert.equal((await consumeLookup('10.0.2.2', 'order-c')).allowed, true);
+});
+
+test('locks out an IP after repeated failed lookups', async () => {
+  await recordFailedLookup('10.0.3.1');
+  assert.equal((await consumeLookup('10.0.3.1', 'order-d')).allowed, true);
+  await recordFailedLookup('10.0.3.1');
+
+  const result = await consumeLookup('10.0.3.1', 'order-d2');
+  assert.equal(result.allowed, false);
+  assert.equal(result.reason, 'locked_out');
+});
+
+test('does not lock other IPs out of the subject that was guessed at', async () => {
+  await recordFailedLookup('10.0.4.1');
+  await recordFailedLookup('10.0.4.1');
+  assert.equal((await consumeLookup('10.0.4.1', 'order-e')).allowed, false);
+  assert.equal((await consumeLookup('10.0.4.2', 'order-e')).allowed, true);
+});
+
+test('takes the client IP from Netlify, then the proxy chain', () => {
+  assert.equal(getClientIp({ headers: { 'x-nf-client-connection-ip': '1.1.1.1', 'x-forwarded-for': '2.2.2.2' } }), '1.1.1.1');
+  assert.equal(getClientIp({ headers: { 'x-forwarded-for': '2.2.2.2, 3.3.3.3' } }), '2.2.2.2');
+  assert.equal(getClientIp({}), 'unknown');
+});
@@ -0,0 +1,105 @@
+process.env.LOG_LEVEL = 'silent';
+process.env.METRICS_SINKS = 'none';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  UpstreamBusyError,
+  withRetry,
+  hasTimeToWait,
+  getFunctionDeadline,
+  getScheduledFunctionDeadline,
+  getRequestTimeout,
+  parseRetryAfter
+} = require('../netlify/lib/retry');
+
+function httpError(statusCode, retryAfterSeconds) {
+  const error = new Error(`HTTP ${statusCode}`);
+  error.statusCode = statusCode;
+  error.retryAfterSeconds = retryAfterSeconds;
+  return error;
+}
+
+// Fails with the given errors in turn, then succeeds
+function flaky(...errors) {
+  const requestFn = async (attempt) => {
+    requestFn.attempts.push(attempt);
+    if (attempt < errors.length) {
+      throw errors[attempt];
+    }
+    return 'ok';
+  };
+  requestFn.attempts = [];
+  return requestFn;
+}
+
+test('retries a 429 and returns what the retry got', async () => {
+  const requestFn = flaky(httpError(429));
+  assert.equal(await withRetry('ShipStation', requestFn), 'ok');
+  assert.deepEqual(requestFn.attempts, [0, 1]);
+});
+
+test('does not retry client errors or errors without a status', async () => {
+  const notFound = flaky(httpError(404));
+  await assert.rejects(withRetry('ShipStation', notFound), /HTTP 404/);
+  assert.deepEqual(notFound.attempts, [0]);
+
+  const network = flaky(new Error('socket hang up'));
+  await assert.rejects(withRetry('ShipStation', network), /socket hang up/);
+  assert.deepEqual(network.attempts, [0]);
+});
+
+test('gives up with UpstreamBusyError once out of retries', async () => {
+  const requestFn = flaky(httpError(503), httpError(503));
+  await assert.rejects(withRetry('17track', requestFn, { maxRetries: 0 }), (error) => {
+    assert.ok(error instanceof UpstreamBusyError);
+    assert.equal(error.service, '17track');
+    assert.ok(error.retryAfterSeconds >= 1);
+    return true;
+  });
+  assert.deepEqual(requestFn.attempts, [0]);
+});
+
+test('gives up instead of waiting past the deadline, reporting the wait asked for', async () => {
+  const requestFn = flaky(httpError(429, 30));
+  await assert.rejects(withRetry('ShipStation', requestFn, { deadline: Date.now() + 5000 }), (error) => {
+    assert.ok(error instanceof UpstreamBusyError);
+    assert.equal(error.retryAfterSeconds, 30);
+    return true;
+  });
+  assert.deepEqual(requestFn.attempts, [0]);
+});
+
+test('only waits when the retried request still fits before the deadline', () => {
+  assert.equal(hasTimeToWait(undefined, 60000), true);
+  assert.equal(hasTimeToWait(Date.now() + 10000, 1000), true);
+  assert.equal(hasTimeToWait(Date.now() + 2000, 1000), false);
+});
+
+test('shortens request timeouts to the deadline', () => {
+  assert.equal(getRequestTimeout(undefined, 8000), 8000);
+  assert.ok(getRequestTimeout(Date.now() + 2000, 8000) <= 2000);
+  assert.equal(getRequestTimeout(Date.now() - 1000, 8000), 1);
+});
+
+test('parses Retry-After seconds and ignores anything else', () => {
+  assert.equal(parseRetryAfter('12'), 12);
+  assert.equal(parseRetryAfter('0'), null);
+  assert.equal(parseRetryAfter('Wed, 21 Oct 2026 07:28:00 GMT'), null);
+  assert.equal(parseRetryAfter(undefined), null);
+});
+
+test('takes the function deadline from the Lambda context when there is one', () => {
+  const deadline = getFunctionDeadline({ getRemainingTimeInMillis: () => 26000 });
+  assert.ok(Math.abs(deadline - (Date.now() + 26000)) < 100);
+
+  const fallback = getFunctionDeadline({});
+  assert.ok(Math.abs(fallback - (Date.now() + 10000)) < 100);
+});
+
+test('gives scheduled functions 30 seconds when there is no Lambda context', () => {
+  assert.ok(Math.abs(getScheduledFunctionDeadline(undefined) - (Date.now() + 30000)) < 100);
+
+  const deadline = getScheduledFunctionDeadline({ getRemainingTimeInMillis: () => 12000 });
+  assert.ok(Math.abs(deadline - (Date.now() + 12000)) < 100);
+});
@@ -0,0 +1,52 @@
+process.env.TOKEN_SECRET = 'test-secret';
+process.env.TRACKER_PAGE_URL = 'https://shop.example.com/pages/track?utm=email';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken } = require('../netlify/lib/tokens');
+const { createShareUrl, verifyShareToken, isShareLinkConfigured } = require('../netlify/lib/share-links');
+
+const order = { source: 'shipstation', orderId: 42, orderNumber: '1001', customerEmail: 'a@example.com' };
+
+function tokenFrom(url) {
+  return new URL(url).searchParams.get('share');
+}
+
+test('links to the tracker page with a token for the order, keeping its query', () => {
+  const url = new URL(createShareUrl(order));
+  assert.equal(url.origin + url.pathname, 'https://shop.example.com/pages/track');
+  assert.equal(url.searchParams.get('utm'), 'email');
+
+  const claims = verifyShareToken(url.searchParams.get('share'));
+  assert.equal(claims.source, 'shipstation');
+  assert.equal(claims.orderId, 42);
+  assert.equal(claims.orderNumber, '1001');
+  assert.equal(claims.customerEmail, undefined);
+});
+
+test('redacts by default and only shows everything when asked to', () => {
+  assert.equal(verifyShareToken(tokenFrom(createShareUrl(order))).redact, true);
+  assert.equal(verifyShareToken(tokenFrom(createShareUrl(order, { redact: false }))).redact, false);
+});
+
+test('rejects tokens of other types and tokens without an order', () => {
+  assert.equal(verifyShareToken(signToken('magic-link', { orderNumber: '1001' }, 60)), null);
+  assert.equal(verifyShareToken(signToken('share', { orderId: 42 }, 60)), null);
+  assert.equal(verifyShareToken('garbage'), null);
+});
+
+test('expires after SHARE_LINK_TTL_DAYS', () => {
+  const claims = verifyShareToken(tokenFrom(createShareUrl(order)));
+  const days = (claims.exp - Date.now() / 1000) / (24 * 60 * 60);
+  assert.ok(days > 29.9 && days <= 30);
+});
+
+test('makes no links without the tracker page URL', () => {
+  delete process.env.TRACKER_PAGE_URL;
+  try {
+    assert.equal(isShareLinkConfigured(), false);
+    assert.equal(createShareUrl(order), null);
+  } finally {
+    process.env.TRACKER_PAGE_URL = 'https://shop.example.com/pages/track?utm=email';
+  }
+});
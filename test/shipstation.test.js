@@ -0,0 +1,99 @@
+process.env.LOG_LEVEL = 'silent';
+process.env.METRICS_SINKS = 'none';
+process.env.SHIPSTATION_API_KEY = 'key';
+process.env.SHIPSTATION_API_SECRET = 'secret';
+
+const https = require('https');
+const { EventEmitter } = require('events');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeShipStationListRequest } = require('../netlify/lib/shipstation');
+const { getOrderSource } = require('../netlify/lib/order-sources');
+
+// Answers every ShipStation request with respond(url) and records the URLs
+function fakeShipStation(respond) {
+  const requests = [];
+  test.mock.method(https, 'request', (options, callback) => {
+    const req = new EventEmitter();
+    req.setTimeout = () => req;
+    req.destroy = () => {};
+    req.end = () => {
+      const url = new URL(options.path, `https://${options.hostname}`);
+      requests.push(url);
+
+      const res = new EventEmitter();
+      res.statusCode = 200;
+      res.headers = {};
+      process.nextTick(() => {
+        callback(res);
+        res.emit('data', JSON.stringify(respond(url)));
+        res.emit('end');
+      });
+    };
+    return req;
+  });
+  return requests;
+}
+
+function page(url, pages, results) {
+  return { shipments: results, page: Number(url.searchParams.get('page')), pages: pages };
+}
+
+test.afterEach(() => {
+  test.mock.restoreAll();
+  delete process.env.SHIPSTATION_STORE_IDS;
+});
+
+test('follows every page of a list endpoint and combines the results', async () => {
+  const requests = fakeShipStation(url => page(url, 3, [{ shipmentId: Number(url.searchParams.get('page')) }]));
+
+  const shipments = await makeShipStationListRequest('/shipments?orderId=1', 'shipments', 'auth');
+  assert.deepEqual(shipments.map(shipment => shipment.shipmentId), [1, 2, 3]);
+  assert.deepEqual(requests.map(url => url.searchParams.get('page')), ['1', '2', '3']);
+  assert.equal(requests[0].searchParams.get('pageSize'), '500');
+  assert.equal(requests[0].searchParams.get('orderId'), '1');
+});
+
+test('stops paging once the caller has enough', async () => {
+  const requests = fakeShipStation(url => page(url, 5, [{ shipmentId: Number(url.searchParams.get('page')) }]));
+
+  const shipments = await makeShipStationListRequest('/shipments', 'shipments', 'auth', {
+    until: results => results.length >= 2
+  });
+  assert.equal(shipments.length, 2);
+  assert.equal(requests.length, 2);
+});
+
+test('stops at ten pages', async () => {
+  const requests = fakeShipStation(url => page(url, 50, []));
+  await makeShipStationListRequest('/shipments', 'shipments', 'auth');
+  assert.equal(requests.length, 10);
+});
+
+test('finds the order across pages, matching number and email exactly', async () => {
+  fakeShipStation(url => ({
+    orders: url.searchParams.get('page') === '1'
+      ? [{ orderId: 1, orderNumber: '10012', customerEmail: 'a@example.com', orderStatus: 'shipped' }]
+      : [{ orderId: 2, orderNumber: '1001', customerEmail: 'A@Example.com', orderStatus: 'on_hold' }],
+    pages: 2
+  }));
+
+  const order = await getOrderSource('shipstation').findOrder('1001', 'a@example.com');
+  assert.equal(order.orderId, 2);
+  assert.equal(order.orderStatus, 'on_hold');
+});
+
+test('ignores orders from other stores and takes the newest when several stores match', async () => {
+  process.env.SHIPSTATION_STORE_IDS = '10, 20';
+  fakeShipStation(() => ({
+    orders: [
+      { orderId: 1, orderNumber: '1001', customerEmail: 'a@example.com', orderDate: '2026-10-01', advancedOptions: { storeId: 10 } },
+      { orderId: 2, orderNumber: '1001', customerEmail: 'a@example.com', orderDate: '2026-10-09', advancedOptions: { storeId: 30 } },
+      { orderId: 3, orderNumber: '1001', customerEmail: 'a@example.com', orderDate: '2026-10-05', advancedOptions: { storeId: 20 } }
+    ],
+    pages: 1
+  }));
+
+  const order = await getOrderSource('shipstation').findOrder('1001', 'a@example.com');
+  assert.equal(order.orderId, 3);
+});
@@ -0,0 +1,48 @@
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sendSms } = require('../netlify/lib/sms');
+
+const message = { to: '+15555550123', body: 'Your order shipped' };
+
+test.afterEach(() => {
+  delete process.env.SMS_TRANSPORT;
+  delete process.env.SMS_FILE_DIR;
+  delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+  delete process.env.NETLIFY_DEV;
+});
+
+test('logs texts to the console transport when run locally', async () => {
+  await sendSms(message);
+});
+
+test('refuses to send from a deployed function without SMS_TRANSPORT', async () => {
+  process.env.AWS_LAMBDA_FUNCTION_NAME = 'send-notifications';
+  await assert.rejects(sendSms(message), /SMS_TRANSPORT is not configured/);
+
+  process.env.NETLIFY_DEV = 'true';
+  await sendSms(message);
+});
+
+test('writes texts to SMS_FILE_DIR with the file transport', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-test-'));
+  process.env.SMS_TRANSPORT = 'File';
+  process.env.SMS_FILE_DIR = dir;
+  try {
+    await sendSms(message);
+    const files = fs.readdirSync(dir);
+    assert.equal(files.length, 1);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8')), message);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('rejects unknown transports', async () => {
+  process.env.SMS_TRANSPORT = 'pigeon';
+  await assert.rejects(sendSms(message), /Unknown SMS_TRANSPORT: pigeon/);
+});
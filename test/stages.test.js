@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STAGES, ATTENTION_STAGES, needsAttention, isShippedStage, getStageLabel } = require('../netlify/lib/stages');
+const { getTrackingStage } = require('../netlify/lib/seventeen-track');
+
+test('counts a shipment as shipped once the carrier has it', () => {
+  assert.equal(isShippedStage(STAGES.PROCESSING), false);
+  assert.equal(isShippedStage(STAGES.LABEL_CREATED), false);
+  assert.equal(isShippedStage(STAGES.IN_TRANSIT), true);
+  assert.equal(isShippedStage(STAGES.RETURNED_TO_SENDER), true);
+  assert.equal(isShippedStage(STAGES.DELIVERED), true);
+});
+
+test('flags only the stages the customer may need to act on', () => {
+  assert.equal(needsAttention(STAGES.DELIVERY_FAILED), true);
+  assert.equal(needsAttention(STAGES.CUSTOMS_HOLD), true);
+  assert.equal(needsAttention(STAGES.OUT_FOR_DELIVERY), false);
+  assert.equal(needsAttention(STAGES.DELIVERED), false);
+  assert.equal(ATTENTION_STAGES.has(STAGES.IN_TRANSIT), false);
+});
+
+test('labels every stage, and unknown stages as processing', () => {
+  Object.values(STAGES).forEach(stage => {
+    assert.notEqual(getStageLabel(stage), undefined, stage);
+  });
+  assert.equal(getStageLabel('something_new'), 'Processing');
+});
+
+test('maps 17track statuses and sub-statuses onto stages', () => {
+  assert.equal(getTrackingStage('Delivered', 'Delivered_Other'), STAGES.DELIVERED);
+  assert.equal(getTrackingStage('OutForDelivery', ''), STAGES.OUT_FOR_DELIVERY);
+  assert.equal(getTrackingStage('AvailableForPickup', ''), STAGES.AVAILABLE_FOR_PICKUP);
+  assert.equal(getTrackingStage('DeliveryFailure', 'DeliveryFailure_NoBody'), STAGES.DELIVERY_FAILED);
+  assert.equal(getTrackingStage('InTransit', 'InTransit_CustomsRequiringInformation'), STAGES.CUSTOMS_HOLD);
+  assert.equal(getTrackingStage('InTransit', 'InTransit_Other'), STAGES.IN_TRANSIT);
+  assert.equal(getTrackingStage('Exception', 'Exception_Returning'), STAGES.RETURNING_TO_SENDER);
+  assert.equal(getTrackingStage('Exception', 'Exception_Returned'), STAGES.RETURNED_TO_SENDER);
+  assert.equal(getTrackingStage('Exception', 'Exception_Damage'), STAGES.EXCEPTION);
+  assert.equal(getTrackingStage('Expired', ''), STAGES.EXPIRED);
+});
+
+test('treats info-received and unknown statuses as label created, unless picked up', () => {
+  assert.equal(getTrackingStage('InfoReceived', ''), STAGES.LABEL_CREATED);
+  assert.equal(getTrackingStage('NotFound', ''), STAGES.LABEL_CREATED);
+  assert.equal(getTrackingStage('', ''), STAGES.LABEL_CREATED);
+  assert.equal(getTrackingStage('InfoReceived', 'InfoReceived_PickedUp'), STAGES.IN_TRANSIT);
+});
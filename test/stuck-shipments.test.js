@@ -0,0 +1,93 @@
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STAGES } = require('../netlify/lib/stages');
+const { getRules, findStuckRule } = require('../netlify/lib/stuck-shipments');
+
+// Tuesday 2026-10-20, noon
+const NOW = Date.parse('2026-10-20T12:00:00Z');
+
+function shipment(fields) {
+  return {
+    stage: STAGES.IN_TRANSIT,
+    isDelivered: false,
+    actuallyShipped: true,
+    shipDate: '2026-10-15',
+    estimatedDelivery: null,
+    events: [{ time: '2026-10-19T08:00:00Z' }],
+    latestActivity: null,
+    ...fields
+  };
+}
+
+function ruleFor(fields) {
+  const stuck = findStuckRule(shipment(fields), NOW);
+  return stuck && stuck.rule;
+}
+
+test.afterEach(() => {
+  delete process.env.STUCK_SHIPMENT_RULES;
+});
+
+test('checks the rules in order: exception, no_first_scan, eta_passed, no_movement', () => {
+  assert.deepEqual(getRules().map(rule => rule.name), ['exception', 'no_first_scan', 'eta_passed', 'no_movement']);
+});
+
+test('lists a shipment that moves normally under no rule, and never a delivered one', () => {
+  assert.equal(ruleFor({}), null);
+  assert.equal(ruleFor({ stage: STAGES.DELIVERED, isDelivered: true, events: [] }), null);
+});
+
+test('flags every attention stage as an exception, ahead of the other rules', () => {
+  const stuck = findStuckRule(shipment({
+    stage: STAGES.CUSTOMS_HOLD,
+    trackingSubStatus: 'InTransit_CustomsRequiringInformation',
+    events: [{ time: '2026-10-01T08:00:00Z' }]
+  }), NOW);
+  assert.equal(stuck.rule, 'exception');
+  assert.equal(stuck.detail, 'Held in customs (InTransit_CustomsRequiringInformation)');
+  assert.equal(ruleFor({ stage: STAGES.EXPIRED }), 'exception');
+});
+
+test('flags a label with no carrier scan after two business days', () => {
+  const unscanned = { stage: STAGES.LABEL_CREATED, actuallyShipped: false, events: [] };
+  // Friday: Monday and Tuesday have passed
+  assert.equal(ruleFor({ ...unscanned, shipDate: '2026-10-16' }), 'no_first_scan');
+  // Monday: only Tuesday has
+  assert.equal(ruleFor({ ...unscanned, shipDate: '2026-10-19' }), null);
+});
+
+test('reports an unscanned label as no_first_scan even when its estimate has passed', () => {
+  assert.equal(ruleFor({
+    stage: STAGES.LABEL_CREATED,
+    actuallyShipped: false,
+    shipDate: '2026-10-12',
+    estimatedDelivery: { from: '2026-10-14', to: '2026-10-15', source: 'calculated' },
+    events: []
+  }), 'no_first_scan');
+});
+
+test('flags a shipment still moving a grace day after its latest ETA', () => {
+  const stuck = findStuckRule(shipment({ estimatedDelivery: { from: '2026-10-16', to: '2026-10-18', source: 'carrier' } }), NOW);
+  assert.equal(stuck.rule, 'eta_passed');
+  assert.equal(stuck.detail, 'Expected by 2026-10-18 (carrier estimate)');
+  assert.equal(ruleFor({ estimatedDelivery: { from: '2026-10-17', to: '2026-10-19', source: 'calculated' } }), null);
+});
+
+test('flags a shipment without a new carrier event for four days', () => {
+  assert.equal(ruleFor({ events: [{ time: '2026-10-15T08:00:00Z' }] }), 'no_movement');
+  assert.equal(ruleFor({ events: [{ time: '2026-10-15T08:00:00Z' }], latestActivity: { time: '2026-10-18T08:00:00Z' } }), null);
+});
+
+test('takes rule settings from STUCK_SHIPMENT_RULES and turns rules off with false', () => {
+  process.env.STUCK_SHIPMENT_RULES = '{"no_movement":{"days":10},"exception":false}';
+  assert.deepEqual(getRules().map(rule => rule.name), ['no_first_scan', 'eta_passed', 'no_movement']);
+  assert.equal(ruleFor({ events: [{ time: '2026-10-15T08:00:00Z' }] }), null);
+  assert.equal(ruleFor({ stage: STAGES.DELIVERY_FAILED }), null);
+});
+
+test('ignores STUCK_SHIPMENT_RULES that is not JSON', () => {
+  process.env.STUCK_SHIPMENT_RULES = '{oops';
+  assert.equal(getRules().length, 4);
+});
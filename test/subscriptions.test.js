@@ -0,0 +1,92 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'silent';
+process.env.METRICS_SINKS = 'none';
+process.env.TOKEN_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken } = require('../netlify/lib/tokens');
+const { subscribe, getSubscription } = require('../netlify/lib/notifications');
+const { handler } = require('../netlify/functions/subscriptions');
+
+const order = { source: 'shipstation', orderId: 42, orderNumber: '1001', customerEmail: 'a@example.com' };
+
+function smsSubscription(phone) {
+  return subscribe(order, { shipments: [] }, { channel: 'sms', destination: phone, events: ['shipped'] });
+}
+
+function openLink(parameter, token) {
+  return handler({ httpMethod: 'GET', headers: {}, queryStringParameters: { [parameter]: token } }, {});
+}
+
+function postForm(fields, options = {}) {
+  const body = new URLSearchParams(fields).toString();
+  return handler({
+    httpMethod: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded; charset=UTF-8', origin: 'https://unlisted.example' },
+    queryStringParameters: {},
+    body: options.base64 ? Buffer.from(body).toString('base64') : body,
+    isBase64Encoded: Boolean(options.base64)
+  }, {});
+}
+
+test('opening a confirmation link only shows a button that posts the token', async () => {
+  const subscription = await smsSubscription('+15555550101');
+  const token = signToken('sms-confirm', { subscriptionId: subscription.id }, 60);
+
+  const response = await openLink('confirm', token);
+  assert.equal(response.statusCode, 200);
+  assert.match(response.body, /<form method="post">/);
+  assert.match(response.body, new RegExp(`name="confirm" value="${token}"`));
+  assert.equal((await getSubscription(subscription.id)).confirmed, false);
+});
+
+test('posting the confirmation form confirms the subscription', async () => {
+  const subscription = await smsSubscription('+15555550102');
+  const token = signToken('sms-confirm', { subscriptionId: subscription.id }, 60);
+
+  const response = await postForm({ confirm: token }, { base64: true });
+  assert.equal(response.statusCode, 200);
+  assert.equal((await getSubscription(subscription.id)).confirmed, true);
+});
+
+test('opening an unsubscribe link leaves the subscription alone until the form is posted', async () => {
+  const subscription = await smsSubscription('+15555550103');
+  const token = signToken('unsubscribe', { subscriptionId: subscription.id }, 60);
+
+  assert.equal((await openLink('unsubscribe', token)).statusCode, 200);
+  assert.ok(await getSubscription(subscription.id));
+
+  assert.equal((await postForm({ unsubscribe: token })).statusCode, 200);
+  assert.equal(await getSubscription(subscription.id), null);
+});
+
+test('reports invalid links and tokens of the wrong type without a form', async () => {
+  const subscription = await smsSubscription('+15555550104');
+  const unsubscribeToken = signToken('unsubscribe', { subscriptionId: subscription.id }, 60);
+
+  const opened = await openLink('confirm', unsubscribeToken);
+  assert.equal(opened.statusCode, 400);
+  assert.doesNotMatch(opened.body, /<form/);
+
+  assert.equal((await openLink('unsubscribe', 'garbage')).statusCode, 400);
+  assert.equal((await postForm({ confirm: unsubscribeToken })).statusCode, 400);
+  assert.equal((await getSubscription(subscription.id)).confirmed, false);
+});
+
+test('answers a configuration error when there is no site to link back to', async () => {
+  process.env.SHIPSTATION_API_KEY = 'key';
+  process.env.SHIPSTATION_API_SECRET = 'secret';
+  try {
+    const response = await handler({
+      httpMethod: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ orderNumber: '1001', email: 'a@example.com' })
+    }, {});
+    assert.equal(response.statusCode, 500);
+    assert.equal(JSON.parse(response.body).error, 'Server configuration error');
+  } finally {
+    delete process.env.SHIPSTATION_API_KEY;
+    delete process.env.SHIPSTATION_API_SECRET;
+  }
+});
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticateAgent, isSupportAuthConfigured } = require('../netlify/lib/support-auth');
+
+const JWT_SECRET = 'jwt-secret';
+
+function jwt(claims, options = {}) {
+  const header = Buffer.from(JSON.stringify({ alg: options.alg || 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto
+    .createHmac('sha256', options.secret || JWT_SECRET)
+    .update(`${header}.${payload}`)
+    .digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+function bearer(token) {
+  return { headers: { authorization: `Bearer ${token}` } };
+}
+
+function inSeconds(seconds) {
+  return Math.floor(Date.now() / 1000) + seconds;
+}
+
+test.beforeEach(() => {
+  process.env.SUPPORT_API_TOKEN = 'shared-secret';
+  process.env.SUPPORT_JWT_SECRET = JWT_SECRET;
+  delete process.env.SUPPORT_JWT_AUDIENCE;
+});
+
+test('accepts the shared token', () => {
+  assert.equal(authenticateAgent(bearer('shared-secret')), 'shared-token');
+  assert.equal(authenticateAgent({ headers: { Authorization: 'Bearer shared-secret' } }), 'shared-token');
+});
+
+test('rejects a missing or wrong token', () => {
+  assert.equal(authenticateAgent({}), null);
+  assert.equal(authenticateAgent({ headers: { authorization: 'shared-secret' } }), null);
+  assert.equal(authenticateAgent(bearer('shared-secreT')), null);
+});
+
+test('accepts a valid JWT and names the agent by sub, then email', () => {
+  assert.equal(authenticateAgent(bearer(jwt({ sub: 'agent-7', exp: inSeconds(60) }))), 'agent-7');
+  assert.equal(authenticateAgent(bearer(jwt({ email: 'a@example.com', exp: inSeconds(60) }))), 'a@example.com');
+});
+
+test('rejects JWTs that are forged, expired, without exp or not yet valid', () => {
+  assert.equal(authenticateAgent(bearer(jwt({ sub: 'x', exp: inSeconds(60) }, { secret: 'other' }))), null);
+  assert.equal(authenticateAgent(bearer(jwt({ sub: 'x', exp: inSeconds(-60) }))), null);
+  assert.equal(authenticateAgent(bearer(jwt({ sub: 'x' }))), null);
+  assert.equal(authenticateAgent(bearer(jwt({ sub: 'x', exp: inSeconds(120), nbf: inSeconds(60) }))), null);
+});
+
+test('rejects JWTs whose header names another algorithm', () => {
+  assert.equal(authenticateAgent(bearer(jwt({ sub: 'x', exp: inSeconds(60) }, { alg: 'none' }))), null);
+});
+
+test('checks the audience when SUPPORT_JWT_AUDIENCE is set', () => {
+  process.env.SUPPORT_JWT_AUDIENCE = 'support';
+  assert.equal(authenticateAgent(bearer(jwt({ sub: 'x', exp: inSeconds(60), aud: 'other' }))), null);
+  assert.equal(authenticateAgent(bearer(jwt({ sub: 'x', exp: inSeconds(60), aud: ['other', 'support'] }))), 'x');
+});
+
+test('accepts nothing when neither secret is configured', () => {
+  delete process.env.SUPPORT_API_TOKEN;
+  delete process.env.SUPPORT_JWT_SECRET;
+  assert.equal(isSupportAuthConfigured(), false);
+  assert.equal(authenticateAgent(bearer(jwt({ sub: 'x', exp: inSeconds(60) }))), null);
+});
@@ -0,0 +1,57 @@
+process.env.TOKEN_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken, verifyToken } = require('../netlify/lib/tokens');
+
+test('verifies its own tokens and returns the claims', () => {
+  const claims = verifyToken(signToken('share', { orderNumber: '1001' }, 60), 'share');
+  assert.equal(claims.orderNumber, '1001');
+  assert.equal(claims.typ, 'share');
+});
+
+test('rejects a token of another type', () => {
+  assert.equal(verifyToken(signToken('share', {}, 60), 'magic-link'), null);
+});
+
+test('rejects an expired token', () => {
+  assert.equal(verifyToken(signToken('share', {}, -1), 'share'), null);
+});
+
+test('rejects a token whose claims were changed', () => {
+  const [, signature] = signToken('share', { orderNumber: '1001' }, 60).split('.');
+  const forged = Buffer.from(JSON.stringify({
+    orderNumber: '1002',
+    typ: 'share',
+    exp: Math.floor(Date.now() / 1000) + 60
+  })).toString('base64url');
+  assert.equal(verifyToken(`${forged}.${signature}`, 'share'), null);
+});
+
+test('rejects malformed tokens', () => {
+  assert.equal(verifyToken(undefined, 'share'), null);
+  assert.equal(verifyToken('no-dot', 'share'), null);
+  assert.equal(verifyToken('.', 'share'), null);
+});
+
+test('accepts tokens from the previous secret during a rotation, and only then', () => {
+  const oldToken = signToken('share', {}, 60);
+  process.env.TOKEN_SECRET = 'rotated-secret';
+  try {
+    assert.equal(verifyToken(oldToken, 'share'), null);
+    process.env.TOKEN_SECRET_PREVIOUS = 'test-secret';
+    assert.ok(verifyToken(oldToken, 'share'));
+  } finally {
+    process.env.TOKEN_SECRET = 'test-secret';
+    delete process.env.TOKEN_SECRET_PREVIOUS;
+  }
+});
+
+test('refuses to sign without TOKEN_SECRET', () => {
+  delete process.env.TOKEN_SECRET;
+  try {
+    assert.throws(() => signToken('share', {}, 60), /TOKEN_SECRET is not configured/);
+  } finally {
+    process.env.TOKEN_SECRET = 'test-secret';
+  }
+});
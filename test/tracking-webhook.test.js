@@ -0,0 +1,83 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'silent';
+process.env.METRICS_SINKS = 'none';
+process.env.SEVENTEEN_TRACK_WEBHOOK_KEY = 'webhook-key';
+
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { handler } = require('../netlify/functions/tracking-webhook');
+const { getTrackingState } = require('../netlify/lib/tracking-store');
+
+const body = JSON.stringify({ event: 'TRACKING_STOPPED', data: { number: '1Z999AA10123456784' } });
+
+function sign(rawBody, key = 'webhook-key') {
+  return crypto.createHash('sha256').update(`${rawBody}/${key}`).digest('hex');
+}
+
+function post(headers, requestBody = body, extra = {}) {
+  return handler({ httpMethod: 'POST', headers: headers, body: requestBody, ...extra }, {});
+}
+
+test('accepts a push signed with the webhook key', async () => {
+  const response = await post({ sign: sign(body) });
+  assert.equal(response.statusCode, 200);
+});
+
+test('accepts an upper-case signature and a differently cased header name', async () => {
+  const response = await post({ Sign: sign(body).toUpperCase() });
+  assert.equal(response.statusCode, 200);
+});
+
+test('checks the signature against the decoded body when it is base64 encoded', async () => {
+  const response = await post({ sign: sign(body) }, Buffer.from(body).toString('base64'), { isBase64Encoded: true });
+  assert.equal(response.statusCode, 200);
+});
+
+test('rejects a missing signature', async () => {
+  const response = await post({});
+  assert.equal(response.statusCode, 401);
+});
+
+test('rejects a signature made with another key', async () => {
+  const response = await post({ sign: sign(body, 'other-key') });
+  assert.equal(response.statusCode, 401);
+});
+
+test('rejects a signature for another body', async () => {
+  const response = await post({ sign: sign(body) }, body.replace('TRACKING_STOPPED', 'TRACKING_UPDATED'));
+  assert.equal(response.statusCode, 401);
+});
+
+test('rejects a truncated signature', async () => {
+  const response = await post({ sign: sign(body).slice(0, 32) });
+  assert.equal(response.statusCode, 401);
+});
+
+test('rejects signed bodies that are valid JSON but not an object', async () => {
+  for (const requestBody of ['null', '42', '"text"', '[]', '{"event":"TRACKING_UPDATED","data":null}']) {
+    const response = await post({ sign: sign(requestBody) }, requestBody);
+    assert.equal(response.statusCode, 400, requestBody);
+  }
+});
+
+test('stores the pushed tracking state', async () => {
+  const update = JSON.stringify({
+    event: 'TRACKING_UPDATED',
+    data: {
+      number: '1Z999AA10123456785',
+      track_info: {
+        latest_status: { status: 'Delivered', sub_status: 'Delivered_Other' },
+        latest_event: { description: 'Delivered', time_iso: '2026-10-01T12:00:00Z' }
+      }
+    }
+  });
+
+  const response = await post({ sign: sign(update) }, update);
+  assert.equal(response.statusCode, 200);
+
+  const state = await getTrackingState('1z999aa10123456785');
+  assert.equal(state.source, 'webhook');
+  assert.equal(state.isDelivered, true);
+  assert.equal(state.deliveryDate, '2026-10-01T12:00:00Z');
+});